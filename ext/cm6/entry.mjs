@@ -12,6 +12,8 @@ export {
   WidgetType,
   ViewUpdate,
   drawSelection,
+  gutter,
+  GutterMarker,
 } from '@codemirror/view';
 
 export {
@@ -77,4 +79,6 @@ export {
 export {
   tags,
   styleTags,
+  highlightTree,
+  tagHighlighter,
 } from '@lezer/highlight';
@@ -0,0 +1,762 @@
+// ── JS SCOPE ANALYSIS ──
+//
+// Zero-dependency tokenizer + lightweight parser used by the DAG to find a
+// cell's top-level bindings (what it defines) and its free variables (what it
+// reads from elsewhere). No AST is built: the parser walks the token stream
+// once, tracking function/block scopes and recording every identifier
+// reference together with the scope it appeared in. References are resolved
+// against the scope chain at the end, so hoisted declarations work.
+//
+// The parser is deliberately tolerant — cells are analysed while being typed,
+// so unexpected tokens are skipped instead of thrown.
+
+// words that can never be an identifier reference
+const RESERVED = new Set([
+  'break','case','catch','class','const','continue','debugger','default','delete',
+  'do','else','enum','export','extends','finally','for','function','if','import',
+  'in','instanceof','new','return','super','switch','this','throw','try','typeof',
+  'var','void','while','with','yield','null','true','false'
+]);
+
+// keywords after which a `/` starts a regex rather than a division
+const BEFORE_EXPR = new Set([
+  'return','typeof','case','do','else','in','of','new','delete','void','throw',
+  'instanceof','yield','await'
+]);
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+const ASSIGN_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=']);
+const BINARY_OPS = new Set(['??', '||', '&&', '|', '^', '&', '==', '!=', '===', '!==', '<', '>', '<=', '>=', '<<', '>>', '>>>', '+', '-', '*', '/', '%', '**']);
+const UNARY_OPS = new Set(['!', '~', '+', '-', '++', '--']);
+
+const ID_START = /[\p{ID_Start}$_\\]/u;
+const ID_PART = /[\p{ID_Continue}$\u200c\u200d\\]/u;
+const NUMBER_RE = /(?:0[xXoObB][0-9a-fA-F_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?)n?/y;
+
+// ── tokenizer ──
+
+// token: { t: type, v: value, nl: newline before, s/e: source offsets }
+//        a '}' punc also has block: whether it closed a block
+// types: name, num, str, regex, priv (#field), tpl (no substitutions),
+//        tplHead / tplMid / tplTail (template split around ${...}), punc, eof
+export function tokenize(src) {
+  const toks = [];
+  const braces = []; // '{' block, '{}' object literal, or '${' — a '}' closing '${' resumes the template
+  const n = src.length;
+  let i = 0, nl = false, start = 0;
+
+  const push = (t, v) => { toks.push({ t, v, nl, s: start, e: i }); nl = false; };
+
+  const regexAllowed = () => {
+    const p = toks[toks.length - 1];
+    if (!p) return true;
+    if (p.t === 'name') return BEFORE_EXPR.has(p.v);
+    // a regex can start a statement after a block, not after an object literal
+    if (p.v === '}' && p.t === 'punc') return p.block;
+    if (p.t === 'punc') return p.v !== ')' && p.v !== ']';
+    return p.t === 'tplHead' || p.t === 'tplMid';
+  };
+
+  // whether a '{' about to be pushed opens a block (statement, function or
+  // class body) rather than an object literal or pattern
+  const braceIsBlock = () => {
+    const p = toks[toks.length - 1];
+    if (!p) return true;
+    if (p.t === 'name') return !BEFORE_EXPR.has(p.v) || p.v === 'else' || p.v === 'do';
+    if (p.t !== 'punc') return false;
+    if (p.v === ':') return braces.length === 0 || braces[braces.length - 1] === '{';  // label or case, unless in an object
+    return p.v === ')' || p.v === '=>' || p.v === '{' || p.v === '}' || p.v === ';';
+  };
+
+  // scan template characters; returns true if stopped at ${
+  const readTemplate = () => {
+    while (i < n) {
+      const ch = src[i];
+      if (ch === '\\') { i += 2; continue; }
+      if (ch === '`') { i++; return false; }
+      if (ch === '$' && src[i + 1] === '{') { i += 2; return true; }
+      i++;
+    }
+    return false;
+  };
+
+  const readName = () => {
+    const from = i;
+    while (i < n && ID_PART.test(src[i])) {
+      // \uXXXX escapes in identifiers
+      if (src[i] === '\\') { i++; if (src[i] === 'u') i++; if (src[i] === '{') { while (i < n && src[i] !== '}') i++; } }
+      i++;
+    }
+    return src.slice(from, i);
+  };
+
+  while (i < n) {
+    const ch = src[i];
+    start = i;
+
+    if (ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029') { nl = true; i++; continue; }
+    if (/\s/.test(ch)) { i++; continue; }
+
+    // comments
+    if (ch === '/' && src[i + 1] === '/') {
+      while (i < n && src[i] !== '\n') i++;
+      continue;
+    }
+    if (ch === '/' && src[i + 1] === '*') {
+      const end = src.indexOf('*/', i + 2);
+      const stop = end < 0 ? n : end + 2;
+      if (src.slice(i, stop).includes('\n')) nl = true;
+      i = stop;
+      continue;
+    }
+
+    if (ID_START.test(ch)) { push('name', readName()); continue; }
+
+    if (ch === '#' && i + 1 < n && ID_START.test(src[i + 1])) {
+      i++;
+      push('priv', '#' + readName());
+      continue;
+    }
+
+    if ((ch >= '0' && ch <= '9') || (ch === '.' && src[i + 1] >= '0' && src[i + 1] <= '9')) {
+      NUMBER_RE.lastIndex = i;
+      const m = NUMBER_RE.exec(src);
+      i += m ? m[0].length : 1;
+      push('num', src.slice(start, i));
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      i++;
+      while (i < n && src[i] !== ch && src[i] !== '\n') { if (src[i] === '\\') i++; i++; }
+      i++;
+      push('str', src.slice(start + 1, i - 1));
+      continue;
+    }
+
+    if (ch === '`') {
+      i++;
+      if (readTemplate()) { push('tplHead', '`'); braces.push('${'); }
+      else push('tpl', '`');
+      continue;
+    }
+
+    if (ch === '{') { i++; braces.push(braceIsBlock() ? '{' : '{}'); push('punc', '{'); continue; }
+    if (ch === '}') {
+      i++;
+      const open = braces.pop();
+      if (open === '${') {
+        if (readTemplate()) { push('tplMid', '}'); braces.push('${'); }
+        else push('tplTail', '}');
+      } else {
+        push('punc', '}');
+        toks[toks.length - 1].block = open !== '{}';
+      }
+      continue;
+    }
+
+    if (ch === '/' && regexAllowed()) {
+      i++;
+      let inClass = false;
+      while (i < n && src[i] !== '\n') {
+        const c = src[i];
+        if (c === '\\') { i += 2; continue; }
+        if (c === '[') inClass = true;
+        else if (c === ']') inClass = false;
+        else if (c === '/' && !inClass) break;
+        i++;
+      }
+      i++;
+      while (i < n && /[a-z]/i.test(src[i])) i++;
+      push('regex', src.slice(start, i));
+      continue;
+    }
+
+    // punctuators — longest match first
+    let p = PUNCTUATORS.find(op => src.startsWith(op, i)) || ch;
+    if (p === '?.' && src[i + 2] >= '0' && src[i + 2] <= '9') p = '?'; // a?.5:b
+    i += p.length;
+    push('punc', p);
+  }
+
+  start = i;
+  push('eof', '');
+  return toks;
+}
+
+// ── parser ──
+
+function analyze(code) {
+  const toks = tokenize(code);
+  let pos = 0;
+
+  const top = { parent: null, fn: true, names: new Set() };
+  let scope = top;
+  const refs = []; // [name, scope, token, shorthand]
+  const mutables = new Set();  // names declared with `mutable x = ...`
+  const mutableKeywords = [];  // the `mutable` tokens themselves
+  const topInits = [];         // { name, s, e } of top-level `const x = init`
+
+  // token helpers
+  const peek = (o = 0) => toks[Math.min(pos + o, toks.length - 1)];
+  const next = () => toks[pos < toks.length - 1 ? pos++ : pos];
+  const atEnd = () => peek().t === 'eof';
+  const is = (v, o = 0) => { const t = peek(o); return (t.t === 'punc' || t.t === 'name') && t.v === v; };
+  const eat = v => is(v) ? (next(), true) : false;
+  const isIdent = (o = 0) => { const t = peek(o); return t.t === 'name' && !RESERVED.has(t.v); };
+
+  // scope helpers
+  const ref = (tok, shorthand = false) => refs.push([tok.v, scope, tok, shorthand]);
+  const declare = (name, kind) => {
+    let s = scope;
+    if (kind === 'var') while (!s.fn) s = s.parent;
+    s.names.add(name);
+  };
+  const withScope = (fn, body) => {
+    const saved = scope;
+    scope = { parent: saved, fn, names: new Set() };
+    try { body(); } finally { scope = saved; }
+  };
+
+  // comma-separated list up to `close`, skipping tokens that make no progress
+  const list = (close, item) => {
+    while (!is(close) && !atEnd()) {
+      const p = pos;
+      item();
+      if (!eat(',') && pos === p) next();
+    }
+    eat(close);
+  };
+
+  // statements until the closing brace of the current block
+  const parseBody = () => {
+    while (!is('}') && !atEnd()) {
+      const p = pos;
+      parseStatement();
+      if (pos === p) next();
+    }
+    eat('}');
+  };
+
+  // offset of the bracket matching the opener at offset o, or -1
+  const matchBracket = o => {
+    let depth = 0;
+    for (let k = pos + o; k < toks.length; k++) {
+      const t = toks[k];
+      if (t.t === 'punc') {
+        if (t.v === '(' || t.v === '[' || t.v === '{') depth++;
+        else if (t.v === ')' || t.v === ']' || t.v === '}') { if (--depth === 0) return k - pos; }
+      } else if (t.t === 'tplHead') depth++;
+      else if (t.t === 'tplTail') depth--;
+    }
+    return -1;
+  };
+
+  // ── bindings ──
+
+  function parseBinding(kind) {
+    if (isIdent()) { declare(next().v, kind); return; }
+    if (eat('[')) {
+      list(']', () => {
+        if (is(',')) return;
+        eat('...');
+        parseBinding(kind);
+        if (eat('=')) parseAssign();
+      });
+      return;
+    }
+    if (eat('{')) {
+      list('}', () => {
+        if (eat('...')) { parseBinding(kind); return; }
+        const key = parsePropertyKey();
+        if (eat(':')) parseBinding(kind);
+        else if (key && key.t === 'name') declare(key.v, kind);
+        if (eat('=')) parseAssign();
+      });
+    }
+  }
+
+  function parseDeclarations(kind, noIn) {
+    do {
+      const name = scope === top && isIdent() ? peek() : null;
+      parseBinding(kind);
+      if (eat('=')) {
+        const start = pos;
+        parseAssign(noIn);
+        if (name && pos > start) topInits.push({ name: name.v, s: toks[start].s, e: toks[pos - 1].e });
+      }
+    } while (eat(','));
+  }
+
+  function parseParams() {
+    if (!eat('(')) return;
+    list(')', () => {
+      eat('...');
+      parseBinding('let');
+      if (eat('=')) parseAssign();
+    });
+  }
+
+  // ── functions and classes ──
+
+  function parseFunction(isDecl) {
+    eat('*');
+    const name = isIdent() ? next().v : null;
+    if (isDecl && name) declare(name, 'let');
+    withScope(true, () => {
+      if (!isDecl && name) declare(name, 'let'); // named function expressions see their own name
+      parseParams();
+      if (eat('{')) parseBody();
+    });
+  }
+
+  function parseArrow() {
+    if (is('async') && !is('=>', 1)) next();
+    withScope(true, () => {
+      if (is('(')) parseParams();
+      else declare(next().v, 'let');
+      eat('=>');
+      if (eat('{')) parseBody();
+      else parseAssign();
+    });
+  }
+
+  function arrowAhead() {
+    let o = 0;
+    if (is('async') && !peek(1).nl && (peek(1).t === 'name' || is('(', 1))) o = 1;
+    if (isIdent(o) && is('=>', o + 1)) return true;
+    if (is('(', o)) {
+      const close = matchBracket(o);
+      return close > 0 && is('=>', close + 1);
+    }
+    return false;
+  }
+
+  // property key: identifier, string, number, private name or [computed]
+  // returns the key token, or null for computed keys
+  function parsePropertyKey() {
+    if (eat('[')) { parseAssign(); eat(']'); return null; }
+    const t = peek();
+    if (t.t === 'name' || t.t === 'str' || t.t === 'num' || t.t === 'priv') return next();
+    return null;
+  }
+
+  // true if the token at offset o ends a key (so a preceding get/set/static/async is the key itself)
+  const keyEnds = o => { const t = peek(o); return t.t === 'eof' || (t.t === 'punc' && '(=;},:'.includes(t.v)); };
+
+  function parseMethod() {
+    withScope(true, () => {
+      parseParams();
+      if (eat('{')) parseBody();
+    });
+  }
+
+  function parseClass(isDecl) {
+    const name = isIdent() && !is('extends') ? next().v : null;
+    if (isDecl && name) declare(name, 'let');
+    withScope(false, () => {
+      if (!isDecl && name) declare(name, 'let');
+      if (eat('extends')) parseUnary();
+      if (!eat('{')) return;
+      while (!is('}') && !atEnd()) {
+        const p = pos;
+        if (!eat(';')) parseClassMember();
+        if (pos === p) next();
+      }
+      eat('}');
+    });
+  }
+
+  function parseClassMember() {
+    if (is('static') && is('{', 1)) {
+      next(); next();
+      withScope(true, parseBody);
+      return;
+    }
+    while ((is('static') || is('async') || is('get') || is('set')) && !keyEnds(1)) next();
+    eat('*');
+    parsePropertyKey();
+    if (is('(')) { parseMethod(); return; }
+    if (eat('=')) withScope(true, () => parseAssign());
+    eat(';');
+  }
+
+  function parseObject() {
+    list('}', () => {
+      if (eat('...')) { parseAssign(); return; }
+      while ((is('async') || is('get') || is('set')) && !keyEnds(1)) next();
+      eat('*');
+      const key = parsePropertyKey();
+      if (is('(')) parseMethod();
+      else if (eat(':')) parseAssign();
+      else if (key && key.t === 'name') {
+        // shorthand {x} — and {x = 1} in destructuring assignment targets
+        ref(key, true);
+        if (eat('=')) parseAssign();
+      }
+    });
+  }
+
+  // ── expressions ──
+
+  function parseExpression(noIn) {
+    parseAssign(noIn);
+    while (eat(',')) parseAssign(noIn);
+  }
+
+  function startsExpression() {
+    const t = peek();
+    if (t.t === 'eof') return false;
+    return !(t.t === 'punc' && ')]},;:'.includes(t.v));
+  }
+
+  function parseAssign(noIn) {
+    if (arrowAhead()) { parseArrow(); return; }
+    if (is('yield')) {
+      next();
+      if (!peek().nl && startsExpression()) { eat('*'); parseAssign(noIn); }
+      return;
+    }
+    parseUnary();
+    for (;;) {
+      const t = peek();
+      if (t.t === 'punc' && BINARY_OPS.has(t.v)) { next(); parseUnary(); continue; }
+      if (t.t === 'name' && (t.v === 'instanceof' || (t.v === 'in' && !noIn))) { next(); parseUnary(); continue; }
+      break;
+    }
+    if (eat('?')) { parseAssign(); eat(':'); parseAssign(noIn); return; }
+    const t = peek();
+    if (t.t === 'punc' && ASSIGN_OPS.has(t.v)) { next(); parseAssign(noIn); }
+  }
+
+  function parseUnary() {
+    const t = peek();
+    if ((t.t === 'punc' && UNARY_OPS.has(t.v)) ||
+        (t.t === 'name' && (t.v === 'typeof' || t.v === 'void' || t.v === 'delete' || t.v === 'await'))) {
+      next();
+      parseUnary();
+      return;
+    }
+    parseCallMember();
+    if ((is('++') || is('--')) && !peek().nl) next();
+  }
+
+  function parseCallMember() {
+    if (eat('new')) {
+      if (eat('.')) next(); // new.target
+      else parseCallMember();
+      return;
+    }
+    parsePrimary();
+    for (;;) {
+      if (eat('.') || eat('?.')) {
+        const t = peek();
+        if (t.t === 'name' || t.t === 'priv') next();
+        continue;
+      }
+      if (eat('[')) { parseExpression(); eat(']'); continue; }
+      if (eat('(')) { list(')', () => { eat('...'); parseAssign(); }); continue; }
+      const t = peek();
+      if (t.t === 'tpl' || t.t === 'tplHead') { parseTemplate(); continue; }
+      break;
+    }
+  }
+
+  function parseTemplate() {
+    if (next().t !== 'tplHead') return;
+    for (;;) {
+      parseExpression();
+      const t = peek();
+      if (t.t === 'tplMid') { next(); continue; }
+      if (t.t === 'tplTail') next();
+      return;
+    }
+  }
+
+  function parsePrimary() {
+    const t = peek();
+    switch (t.t) {
+      case 'num': case 'str': case 'regex': case 'tpl': case 'priv':
+        next();
+        return;
+      case 'tplHead':
+        parseTemplate();
+        return;
+      case 'name':
+        if (t.v === 'function') { next(); parseFunction(false); return; }
+        if (t.v === 'async' && is('function', 1) && !peek(1).nl) { next(); next(); parseFunction(false); return; }
+        if (t.v === 'class') { next(); parseClass(false); return; }
+        if (t.v === 'import') { next(); if (eat('.')) next(); return; } // import(...) / import.meta
+        if (t.v === 'this' || t.v === 'super' || t.v === 'null' || t.v === 'true' || t.v === 'false') { next(); return; }
+        if (RESERVED.has(t.v)) return;
+        ref(next());
+        return;
+      case 'punc':
+        if (t.v === '(') { next(); if (!is(')')) parseExpression(); eat(')'); return; }
+        if (t.v === '[') {
+          next();
+          list(']', () => { if (is(',')) return; eat('...'); parseAssign(); });
+          return;
+        }
+        if (t.v === '{') { next(); parseObject(); return; }
+    }
+  }
+
+  // ── statements ──
+
+  function parseParenExpression() {
+    if (!eat('(')) return;
+    parseExpression();
+    eat(')');
+  }
+
+  function parseBlockOrStatement() {
+    if (eat('{')) withScope(false, parseBody);
+    else parseStatement();
+  }
+
+  const letDeclares = o => is('let', o) && (isIdent(o + 1) || is('[', o + 1) || is('{', o + 1));
+
+  function parseFor() {
+    eat('await');
+    if (!eat('(')) return;
+    withScope(false, () => {
+      if (is('var') || is('const') || letDeclares(0)) {
+        parseDeclarations(next().v, true);
+      } else if (!is(';')) {
+        parseExpression(true);
+      }
+      if (eat('of') || eat('in')) {
+        parseExpression();
+      } else {
+        eat(';');
+        if (!is(';')) parseExpression();
+        eat(';');
+        if (!is(')')) parseExpression();
+      }
+      eat(')');
+      parseStatement();
+    });
+  }
+
+  function parseImport() {
+    if (peek().t === 'str') { next(); eat(';'); return; } // import 'side-effect'
+    while (!atEnd() && !is('from') && !is(';')) {
+      const p = pos;
+      if (eat('*')) { eat('as'); if (isIdent()) declare(next().v, 'let'); }
+      else if (eat('{')) {
+        list('}', () => {
+          const name = next();
+          if (eat('as')) declare(next().v, 'let');
+          else if (name.t === 'name') declare(name.v, 'let');
+        });
+      } else if (isIdent()) declare(next().v, 'let');
+      if (!eat(',') && pos === p) break;
+    }
+    if (eat('from')) next();
+    eat(';');
+  }
+
+  function parseExport() {
+    if (eat('default')) {
+      if (is('function') || is('class') || (is('async') && is('function', 1))) parseStatement();
+      else { parseAssign(); eat(';'); }
+      return;
+    }
+    if (eat('*')) {
+      if (eat('as')) next();
+      if (eat('from')) next();
+      eat(';');
+      return;
+    }
+    if (eat('{')) {
+      const names = [];
+      list('}', () => {
+        const name = next();
+        if (name.t === 'name') names.push(name);
+        if (eat('as')) next();
+      });
+      // re-exports don't read local bindings
+      if (eat('from')) next();
+      else for (const name of names) ref(name);
+      eat(';');
+      return;
+    }
+    parseStatement();
+  }
+
+  function parseStatement() {
+    const t = peek();
+    if (t.t === 'punc') {
+      if (t.v === '{') { next(); withScope(false, parseBody); return; }
+      if (t.v === ';') { next(); return; }
+    }
+    if (t.t === 'name') {
+      switch (t.v) {
+        case 'var': case 'const':
+          next(); parseDeclarations(t.v); eat(';');
+          return;
+        case 'let':
+          if (letDeclares(0)) { next(); parseDeclarations('let'); eat(';'); return; }
+          break;
+        case 'function':
+          next(); parseFunction(true);
+          return;
+        case 'async':
+          if (is('function', 1) && !peek(1).nl) { next(); next(); parseFunction(true); return; }
+          break;
+        case 'class':
+          next(); parseClass(true);
+          return;
+        case 'if':
+          next(); parseParenExpression(); parseBlockOrStatement();
+          if (eat('else')) parseBlockOrStatement();
+          return;
+        case 'for':
+          next(); parseFor();
+          return;
+        case 'while': case 'with':
+          next(); parseParenExpression(); parseBlockOrStatement();
+          return;
+        case 'do':
+          next(); parseBlockOrStatement();
+          if (eat('while')) parseParenExpression();
+          eat(';');
+          return;
+        case 'switch':
+          next(); parseParenExpression();
+          if (!eat('{')) return;
+          // all case clauses share one block scope
+          withScope(false, () => {
+            while (!is('}') && !atEnd()) {
+              const p = pos;
+              if (eat('case')) { parseExpression(); eat(':'); }
+              else if (eat('default')) eat(':');
+              else parseStatement();
+              if (pos === p) next();
+            }
+            eat('}');
+          });
+          return;
+        case 'try':
+          next(); parseBlockOrStatement();
+          if (eat('catch')) {
+            withScope(false, () => {
+              if (eat('(')) { parseBinding('let'); eat(')'); }
+              if (eat('{')) parseBody();
+            });
+          }
+          if (eat('finally')) parseBlockOrStatement();
+          return;
+        case 'return': case 'throw':
+          next();
+          if (!peek().nl && startsExpression()) parseExpression();
+          eat(';');
+          return;
+        case 'break': case 'continue':
+          next();
+          if (peek().t === 'name' && !peek().nl) next(); // label
+          eat(';');
+          return;
+        case 'debugger':
+          next(); eat(';');
+          return;
+        case 'import':
+          if (!is('(', 1) && !is('.', 1)) { next(); parseImport(); return; }
+          break;
+        case 'export':
+          next(); parseExport();
+          return;
+        case 'mutable':
+          // `mutable x = 1, y = 2` — top-level shared variables (see exec.js)
+          if (scope === top && isIdent(1) && !peek(1).nl) {
+            mutableKeywords.push(next());
+            do {
+              if (!isIdent()) break;
+              const name = next();
+              declare(name.v, 'let');
+              mutables.add(name.v);
+              ref(name);
+              if (eat('=')) parseAssign();
+            } while (eat(','));
+            eat(';');
+            return;
+          }
+          break;
+      }
+      // labelled statement — the label is not a reference
+      if (!RESERVED.has(t.v) && is(':', 1)) { next(); next(); parseStatement(); return; }
+    }
+    parseExpression();
+    eat(';');
+  }
+
+  while (!atEnd()) {
+    const p = pos;
+    parseStatement();
+    if (pos === p) next();
+  }
+
+  // resolve references against their scope chains; keep the positions of
+  // free references and of references to this cell's own mutables
+  const free = new Set();
+  const outerRefs = [];
+  for (const [name, s, tok, shorthand] of refs) {
+    let r = s;
+    while (r && !r.names.has(name)) r = r.parent;
+    if (!r) free.add(name);
+    if (!r || (r === top && mutables.has(name))) outerRefs.push({ name, s: tok.s, e: tok.e, shorthand });
+  }
+
+  return { defines: top.names, free, mutables, outerRefs, mutableKeywords, topInits };
+}
+
+// small memo: buildDAG asks for the same code's defines and uses in separate passes
+const _cache = new Map();
+
+// returns { defines, free, mutables, ... } — shared sets, callers must copy before mutating
+export function analyzeScope(code) {
+  let result = _cache.get(code);
+  if (result) return result;
+  result = analyze(code);
+  if (_cache.size > 256) _cache.clear();
+  _cache.set(code, result);
+  return result;
+}
+
+// rewrite every reference to a mutable (declared here or in another cell) as a
+// property access on the injected __mutable proxy, and drop the `mutable`
+// keyword so `mutable n = 0` becomes the assignment `__mutable.n = 0`
+export function rewriteMutables(code, names) {
+  const { outerRefs, mutableKeywords } = analyzeScope(code);
+  const edits = [];
+  for (const k of mutableKeywords) edits.push([k.s, k.e, '']);
+  for (const r of outerRefs) {
+    if (!names.has(r.name)) continue;
+    const target = '__mutable.' + r.name;
+    edits.push([r.s, r.e, r.shorthand ? r.name + ': ' + target : target]);
+  }
+  if (!edits.length) return code;
+  edits.sort((a, b) => b[0] - a[0]);
+  let out = code;
+  for (const [s, e, text] of edits) out = out.slice(0, s) + text + out.slice(e);
+  return out;
+}
+
+// wrap the initializer of each top-level `const x = init` (let and var too)
+// as wrap(name, init), so a %params cell can swap in the page URL's values
+// before the rest of the cell reads them. destructuring is left alone
+export function rewriteInits(code, wrap) {
+  const { topInits } = analyzeScope(code);
+  let out = code;
+  for (let k = topInits.length - 1; k >= 0; k--) {
+    const { name, s, e } = topInits[k];
+    out = out.slice(0, s) + wrap(name, code.slice(s, e)) + out.slice(e);
+  }
+  return out;
+}
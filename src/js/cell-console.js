@@ -0,0 +1,155 @@
+import { renderValue, inspect } from './display.js';
+
+// ── CELL CONSOLE ──
+// each run of a cell gets its own console, injected as `console`, that writes
+// into the cell's output as well as devtools. callbacks and timers created by
+// the cell close over it, so their logs land in the right cell; once the cell
+// re-runs (or is deleted) the old console only reaches devtools.
+
+const LEVELS = { log: 'log', info: 'info', debug: 'debug', warn: 'warn', error: 'error', dir: 'log', trace: 'log' };
+
+// printf-style substitutions (%s %d %i %f %o %O %c) on a leading format string
+export function applyFormat(args) {
+  if (typeof args[0] !== 'string' || !args[0].includes('%')) return args;
+  const rest = args.slice(1);
+  const text = args[0].replace(/%([sdifoOc%])/g, (m, k) => {
+    if (k === '%') return '%';
+    if (!rest.length) return m;
+    const v = rest.shift();
+    if (k === 's') return typeof v === 'string' ? v : String(v);
+    if (k === 'd' || k === 'i') return String(parseInt(v, 10));
+    if (k === 'f') return String(parseFloat(v));
+    if (k === 'c') return '';
+    try { return JSON.stringify(v); } catch { return String(v); }
+  });
+  return [text, ...rest];
+}
+
+// rows and columns for console.table: (index) first, then the union of keys,
+// with a Values column for primitive rows
+export function tableRows(data, columns) {
+  const entries = data instanceof Map ? [...data] : Object.entries(data);
+  const keys = [];
+  let primitives = false;
+  for (const [, row] of entries) {
+    if (row && typeof row === 'object') {
+      for (const k of Object.keys(row)) if (!keys.includes(k)) keys.push(k);
+    } else {
+      primitives = true;
+    }
+  }
+  const cols = columns ? columns.filter(c => keys.includes(c)) : keys;
+  const header = ['(index)', ...cols, ...(primitives ? ['Values'] : [])];
+  const rows = entries.map(([i, row]) => {
+    const obj = row && typeof row === 'object';
+    return [i, ...cols.map(c => obj ? row[c] : undefined), ...(primitives ? [obj ? undefined : row] : [])];
+  });
+  return { header, rows };
+}
+
+export function makeConsole(outputEl, native = console) {
+  let live = true;
+  const groups = [];         // open group bodies, innermost last
+  const timers = new Map();  // label -> start
+  const counts = new Map();  // label -> n
+
+  const target = () => groups[groups.length - 1] || outputEl;
+
+  const line = (level, parts) => {
+    const el = document.createElement('div');
+    el.className = `console-line console-${level}`;
+    parts.forEach((p, i) => {
+      if (i) el.appendChild(document.createTextNode(' '));
+      // nodes are described, not moved out of the page
+      el.appendChild(typeof p === 'string' ? document.createTextNode(p) : p instanceof Node ? inspect(p) : renderValue(p));
+    });
+    target().appendChild(el);
+    return el;
+  };
+
+  const write = (method, args, render) => {
+    native[method]?.(...args);
+    if (live) render();
+  };
+
+  const con = {};
+  for (const [method, level] of Object.entries(LEVELS)) {
+    con[method] = (...args) => write(method, args, () => line(level, applyFormat(args)));
+  }
+
+  con.assert = (cond, ...args) => {
+    if (cond) return;
+    write('assert', [cond, ...args], () => line('error', ['Assertion failed:', ...applyFormat(args)]));
+  };
+
+  con.table = (data, columns) => write('table', [data, columns], () => {
+    if (!data || typeof data !== 'object') { line('log', [data]); return; }
+    const { header, rows } = tableRows(data, columns);
+    const t = document.createElement('table');
+    t.className = 'console-table';
+    const hr = t.createTHead().insertRow();
+    for (const h of header) {
+      const th = document.createElement('th');
+      th.textContent = h;
+      hr.appendChild(th);
+    }
+    const body = t.createTBody();
+    for (const r of rows) {
+      const tr = body.insertRow();
+      for (const v of r) {
+        const td = tr.insertCell();
+        if (v !== undefined) td.appendChild(renderValue(v));
+      }
+    }
+    const el = line('log', []);
+    el.appendChild(t);
+  });
+
+  const group = (collapsed) => (...args) => write(collapsed ? 'groupCollapsed' : 'group', args, () => {
+    const details = document.createElement('details');
+    details.className = 'console-group';
+    details.open = !collapsed;
+    const summary = document.createElement('summary');
+    summary.textContent = args.length ? applyFormat(args).map(String).join(' ') : 'console.group';
+    const body = document.createElement('div');
+    body.className = 'console-group-body';
+    details.append(summary, body);
+    target().appendChild(details);
+    groups.push(body);
+  });
+  con.group = group(false);
+  con.groupCollapsed = group(true);
+  con.groupEnd = () => write('groupEnd', [], () => { groups.pop(); });
+
+  con.time = (label = 'default') => {
+    native.time?.(label);
+    timers.set(label, performance.now());
+  };
+  const elapsed = (method, label, args, end) => {
+    native[method]?.(label, ...args);
+    if (!timers.has(label)) return;
+    const ms = performance.now() - timers.get(label);
+    if (end) timers.delete(label);
+    if (live) line('log', [`${label}: ${ms.toFixed(1)}ms`, ...args]);
+  };
+  con.timeLog = (label = 'default', ...args) => elapsed('timeLog', label, args, false);
+  con.timeEnd = (label = 'default') => elapsed('timeEnd', label, [], true);
+
+  con.count = (label = 'default') => {
+    const n = (counts.get(label) || 0) + 1;
+    counts.set(label, n);
+    write('count', [label], () => line('log', [`${label}: ${n}`]));
+  };
+  con.countReset = (label = 'default') => { native.countReset?.(label); counts.delete(label); };
+
+  con.clear = () => write('clear', [], () => {
+    groups.length = 0;
+    for (const el of outputEl.querySelectorAll(':scope > .console-line, :scope > .console-group')) el.remove();
+  });
+
+  // anything else (profile, timeStamp, ...) goes straight to devtools
+  const cellConsole = new Proxy(con, {
+    get: (o, k) => k in o ? o[k] : typeof native[k] === 'function' ? native[k].bind(native) : native[k],
+  });
+  return { console: cellConsole, close: () => { live = false; } };
+}
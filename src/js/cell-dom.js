@@ -3,6 +3,7 @@ import { isManual } from './dag.js';
 import { renderMd } from './markdown.js';
 import { onCodeEdit, onCssEdit, onHtmlEdit, onMdEdit } from './editor.js';
 import { renderMdCell } from './exec.js';
+import { jumpToAnchor } from './outline-panel.js';
 import { createEditor, getEditor } from './cm6.js';
 
 // ── CELL DOM ──
@@ -17,6 +18,8 @@ export function cssSummary(code) {
 function cellHeaderHTML(type, id) {
   return `<div class="cell-header">
     <span class="cell-type">${type}</span>
+    <span class="cell-time" title="last run"></span>
+    <button class="cell-btn cell-stop" onclick="interruptCell(${id})" title="stop">\u25a0</button>
     <button class="cell-btn cell-convert" onclick="toggleTypePicker(${id})" title="convert type">\u21c4</button>
     <div class="cell-type-picker" data-cell-id="${id}">
       <button onclick="convertCell(${id},'code')">code</button>
@@ -132,7 +135,14 @@ export function createCellEl(type, id, initialCode) {
     const ta = div.querySelector('.cell-md-edit textarea');
     div.querySelector('.cell-type').addEventListener('click', () => div.classList.toggle('collapsed'));
 
-    view.addEventListener('click', () => {
+    view.addEventListener('click', (e) => {
+      // links to headings (a [TOC]) jump there instead of opening the editor
+      const a = e.target.closest('a[href^="#"]');
+      if (a && jumpToAnchor(a.getAttribute('href').slice(1))) {
+        e.preventDefault();
+        e.stopPropagation();
+        return;
+      }
       editWrap.style.display = '';
       view.style.display = 'none';
       ta.focus();
@@ -5,7 +5,7 @@ import { S } from './state.js';
 const {
   EditorView, EditorState, Compartment, StateEffect, StateField,
   keymap, lineNumbers, highlightActiveLine, highlightSpecialChars,
-  ViewPlugin, Decoration, WidgetType, drawSelection,
+  ViewPlugin, Decoration, WidgetType, drawSelection, gutter, GutterMarker,
   minimalSetup, javascript, css, html,
   indentWithTab, insertNewlineAndIndent, toggleComment, history, undo: cm6Undo, redo: cm6Redo,
   bracketMatching, syntaxHighlighting, HighlightStyle, syntaxTree, indentOnInput, indentService,
@@ -220,6 +220,48 @@ const searchField = StateField.define({
   provide: f => EditorView.decorations.from(f),
 });
 
+// ── ERROR LINE MARKERS ──
+// the line a cell's last run threw on: highlighted, with a marker in its own
+// gutter. follows edits until the next run clears it.
+
+const setErrorLineEffect = StateEffect.define(); // { line, message } or null
+
+const errorLineField = StateField.define({
+  create() { return Decoration.none; },
+  update(deco, tr) {
+    for (const e of tr.effects) {
+      if (!e.is(setErrorLineEffect)) continue;
+      if (!e.value) return Decoration.none;
+      const line = tr.state.doc.line(Math.min(e.value.line, tr.state.doc.lines));
+      return Decoration.set([
+        Decoration.line({ class: 'cm-error-line', attributes: { title: e.value.message } }).range(line.from),
+      ]);
+    }
+    return tr.docChanged ? deco.map(tr.changes) : deco;
+  },
+  provide: f => EditorView.decorations.from(f),
+});
+
+class ErrorMarker extends GutterMarker {
+  toDOM() {
+    const el = document.createElement('span');
+    el.className = 'cm-error-marker';
+    el.textContent = '\u25cf';
+    return el;
+  }
+}
+const errorMarker = new ErrorMarker();
+
+const errorGutter = gutter({
+  class: 'cm-error-gutter',
+  lineMarker(view, line) {
+    let hit = false;
+    view.state.field(errorLineField).between(line.from, line.from, () => { hit = true; });
+    return hit ? errorMarker : null;
+  },
+  lineMarkerChange: update => update.transactions.some(tr => tr.effects.some(e => e.is(setErrorLineEffect))),
+});
+
 // ── TAGGED TEMPLATE NESTED LANGUAGE SUPPORT ──
 
 // Map our tokenizer types to @lezer/highlight tags
@@ -558,6 +600,8 @@ export function createEditor(container, cellId, initialCode, cellType, onChange)
     autocompleteComp.of([]),
     // search decorations
     searchField,
+    // error line (code cells only)
+    ...(cellType === 'code' ? [errorLineField, errorGutter] : []),
     // color swatch (CSS cells only)
     ...(cellType === 'css' ? [colorSwatchPlugin] : []),
     // update listener
@@ -688,6 +732,30 @@ export function clearAllSearchDecorations() {
   }
 }
 
+// ── ERROR LINE HELPERS ──
+
+export function setEditorErrorLine(cellId, line, message = '') {
+  const editor = _editors.get(cellId);
+  if (!editor || !editor.view.state.field(errorLineField, false)) return;
+  editor.view.dispatch({ effects: setErrorLineEffect.of({ line, message }) });
+}
+
+export function clearEditorErrorLine(cellId) {
+  const editor = _editors.get(cellId);
+  if (!editor || !editor.view.state.field(errorLineField, false)) return;
+  if (editor.view.state.field(errorLineField).size) editor.view.dispatch({ effects: setErrorLineEffect.of(null) });
+}
+
+// put the cursor at line:col (1-based) and scroll it into view
+export function revealEditorLine(cellId, line, col = 1) {
+  const editor = _editors.get(cellId);
+  if (!editor) return;
+  const doc = editor.view.state.doc;
+  const l = doc.line(Math.max(1, Math.min(line, doc.lines)));
+  editor.view.dispatch({ selection: { anchor: Math.min(l.from + col - 1, l.to) }, scrollIntoView: true });
+  editor.view.focus();
+}
+
 // ── RE-EXPORTS FOR AUTOCOMPLETE ──
 
 export { autocompletion, CompletionContext };
@@ -1,5 +1,6 @@
 import { S, JS_KEYWORDS, JS_BUILTINS } from './state.js';
 import { autocompletion, CompletionContext, setEditorAutocomplete, setOnEditorCreated } from './cm6.js';
+import { widgetNames, getWidget, isBuiltinWidget } from './widget-registry.js';
 
 // ── AUTOCOMPLETE ENGINE ──
 
@@ -15,10 +16,11 @@ const KNOWN_PROPS = {
   Promise: ['all','allSettled','any','race','resolve','reject'],
   Number: ['isFinite','isInteger','isNaN','parseFloat','parseInt','MAX_SAFE_INTEGER','MIN_SAFE_INTEGER','EPSILON'],
   String: ['fromCharCode','fromCodePoint','raw'],
-  ui: ['display','print','canvas','table','slider','dropdown','checkbox','textInput'],
+  // widgets come from the registry, so extension widgets complete too
+  get ui() { return ['display','print','canvas','table','view', ...widgetNames()]; },
   std: ['csv','fetchJSON','sum','mean','median','extent','bin','linspace',
         'unique','zip','cross','file','download','el','copy','fmt','include',
-        'color','colorScale','viridis','magma','inferno','plasma','turbo','palette10'],
+        'color','colorScale','viridis','magma','inferno','plasma','turbo','palette10','plot'],
 };
 
 // common prototype methods by type
@@ -37,6 +39,17 @@ const PROTO_PROPS = {
 
 const BUILTIN_HELP = '__AUDITABLE_BUILTINS__';
 
+// help for a builtin, including ui.* widgets registered by extensions
+function builtinHelp(name) {
+  if (BUILTIN_HELP[name]) return BUILTIN_HELP[name];
+  const w = name.startsWith('ui.') && !isBuiltinWidget(name.slice(3)) && getWidget(name.slice(3));
+  return w ? { sig: w.sig, desc: w.desc } : null;
+}
+
+function builtinHelpNames() {
+  return [...Object.keys(BUILTIN_HELP), ...widgetNames().filter(n => !isBuiltinWidget(n)).map(n => 'ui.' + n)];
+}
+
 // ── FUZZY MATCHING ──
 
 // returns { score, indices } or null if no match
@@ -351,10 +364,10 @@ export function getCompletions(code, cursor, cellId) {
   }
 
   // 3. builtin functions (with help detail)
-  for (const name of Object.keys(BUILTIN_HELP)) {
+  for (const name of builtinHelpNames()) {
     if (!seen.has(name)) {
       seen.add(name);
-      const h = BUILTIN_HELP[name];
+      const h = builtinHelp(name);
       candidates.push({ text: name, kind: 'fn', detail: h.sig });
     }
   }
@@ -441,7 +454,7 @@ function detectCallContext(code, cursor) {
         while (start >= 0 && /[a-zA-Z0-9_$.]/.test(code[start])) start--;
         start++;
         const fnName = code.slice(start, end);
-        if (BUILTIN_HELP[fnName]) {
+        if (builtinHelp(fnName)) {
           // figure out which parameter we're on by counting commas at depth 0
           let paramIdx = 0;
           let d = 0;
@@ -560,7 +573,7 @@ function updateSigHint(view) {
   const call = detectCallContext(code, sel.head);
   if (!call) { dismissSigHint(); return; }
 
-  const help = BUILTIN_HELP[call.fnName];
+  const help = builtinHelp(call.fnName);
   if (!help) { dismissSigHint(); return; }
 
   showSigHintAt(view, call.parenPos, help.sig, help.desc, call.paramIdx);
@@ -1,4 +1,6 @@
 import { S } from './state.js';
+import { analyzeScope } from './analyze.js';
+import { widgetTags, onWidgetRegistered } from './widget-registry.js';
 
 // ── REACTIVE DAG ──
 
@@ -17,166 +19,39 @@ export const isManual    = code => hasDirective(code, 'manual');
 export const isHidden    = code => hasDirective(code, 'hide');
 export const isNorun     = code => hasDirective(code, 'norun');
 export const isCollapsed = code => hasDirective(code, 'collapsed');
+export const isWorker    = code => hasDirective(code, 'worker');
+export const isCached    = code => hasDirective(code, 'cache');
+export const isParams    = code => hasDirective(code, 'params');
 export const parseCellName    = code => getDirective(code, 'cellName');
 export const parseOutputId    = code => { const v = getDirective(code, 'outputId'); return v ? v.split(/\s+/)[0] : null; };
 export const parseOutputClass = code => getDirective(code, 'outputClass');
 
-// ── code analysis ──
-
-function stripCommentsAndStrings(code) {
-  // single-pass: strings take precedence over comments (// inside "..." is not a comment)
-  let out = '', i = 0;
-  while (i < code.length) {
-    // single-quoted string
-    if (code[i] === "'") {
-      out += '""';
-      i++;
-      while (i < code.length && code[i] !== "'") { if (code[i] === '\\') i++; i++; }
-      i++; // skip closing quote
-      continue;
-    }
-    // double-quoted string
-    if (code[i] === '"') {
-      out += '""';
-      i++;
-      while (i < code.length && code[i] !== '"') { if (code[i] === '\\') i++; i++; }
-      i++; // skip closing quote
-      continue;
-    }
-    // template literal: replace string parts with spaces but keep ${expr} content
-    if (code[i] === '`') {
-      i++;
-      while (i < code.length && code[i] !== '`') {
-        if (code[i] === '\\') { i += 2; continue; }
-        if (code[i] === '$' && code[i + 1] === '{') {
-          i += 2;
-          let depth = 1;
-          out += ' ';
-          while (i < code.length && depth > 0) {
-            if (code[i] === '{') depth++;
-            else if (code[i] === '}') { depth--; if (depth === 0) break; }
-            out += code[i];
-            i++;
-          }
-          out += ' ';
-          i++; // skip closing }
-          continue;
-        }
-        i++;
-      }
-      i++; // skip closing backtick
-      continue;
-    }
-    // line comment
-    if (code[i] === '/' && code[i + 1] === '/') {
-      while (i < code.length && code[i] !== '\n') i++;
-      continue;
-    }
-    // block comment
-    if (code[i] === '/' && code[i + 1] === '*') {
-      i += 2;
-      while (i < code.length && !(code[i - 1] === '*' && code[i] === '/')) i++;
-      i++;
-      continue;
-    }
-    out += code[i];
-    i++;
-  }
-  return out;
+// `// %timeout 5s` — also accepts ms, m, or a bare number of seconds
+const TIMEOUT_UNITS = { ms: 1, s: 1000, m: 60000 };
+export function parseTimeout(code) {
+  const v = getDirective(code, 'timeout');
+  const m = v && v.match(/^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/);
+  return m ? parseFloat(m[1]) * TIMEOUT_UNITS[m[2] || 's'] : null;
 }
 
-export function parseNames(code) {
-  // extract ONLY top-level variable definitions (brace depth 0)
-  const defines = new Set();
-
-  const stripped = stripCommentsAndStrings(code);
-
-  let depth = 0;
-  let parenDepth = 0;
-  let i = 0;
-  while (i < stripped.length) {
-    const ch = stripped[i];
-    if (ch === '{') { depth++; i++; continue; }
-    if (ch === '}') { depth--; i++; continue; }
-    if (ch === '(') { parenDepth++; i++; continue; }
-    if (ch === ')') { parenDepth--; i++; continue; }
-
-    if (depth === 0 && parenDepth === 0) {
-      // check for const/let/var
-      const rest = stripped.slice(i);
-      const dm = rest.match(/^(?:const|let|var)\s+(\w+)/);
-      if (dm) {
-        defines.add(dm[1]);
-        // scan forward for comma-separated declarations: const W = 80, H = 60
-        // skip initializer expressions tracking depth, grab identifiers after commas
-        let j = dm[0].length;
-        let d = 0, pd = 0, bd = 0;
-        while (j < rest.length) {
-          const ch = rest[j];
-          if (ch === '{') d++;
-          else if (ch === '}') d--;
-          else if (ch === '(') pd++;
-          else if (ch === ')') pd--;
-          else if (ch === '[') bd++;
-          else if (ch === ']') bd--;
-          else if (ch === ';' || ch === '\n') {
-            if (d === 0 && pd === 0 && bd === 0) break;
-          }
-          else if (ch === ',' && d === 0 && pd === 0 && bd === 0) {
-            // next identifier after comma
-            const after = rest.slice(j + 1).match(/^\s*(\w+)/);
-            if (after) defines.add(after[1]);
-          }
-          j++;
-        }
-        i += j;
-        continue;
-      }
-      // destructuring: const { a, b } = ... or const [ a, b ] = ...
-      const destruct = rest.match(/^(?:const|let|var)\s*[\{\[]/);
-      if (destruct) {
-        // find the closing } or ] then extract identifiers
-        const opener = rest[destruct[0].length - 1];
-        const closer = opener === '{' ? '}' : ']';
-        const closeIdx = rest.indexOf(closer, destruct[0].length);
-        if (closeIdx > 0) {
-          const inner = rest.slice(destruct[0].length, closeIdx);
-          // split on commas, take last word of each part (handles renaming)
-          inner.split(',').forEach(part => {
-            const parts = part.trim().split(/\s*:\s*/);
-            const name = (parts.length > 1 ? parts[1] : parts[0]).trim().match(/^\w+/);
-            if (name) defines.add(name[0]);
-          });
-          i += closeIdx + 1;
-          continue;
-        }
-      }
-      // check for function declarations
-      const fm = rest.match(/^function\s+(\w+)/);
-      if (fm) {
-        defines.add(fm[1]);
-        i += fm[0].length;
-        continue;
-      }
-    }
-    i++;
-  }
+// ── code analysis ──
+// parsing lives in analyze.js — a tokenizer + scope-tracking parser that
+// understands classes, destructuring defaults, labels, shadowing and imports
 
-  return { defines };
+export function parseNames(code) {
+  // top-level bindings only (const/let/var/function/class/import/mutable);
+  // copied so callers (e.g. goto's __goto) can add to them without touching the memo
+  const { defines, mutables } = analyzeScope(code);
+  return { defines: new Set(defines), mutables: new Set(mutables) };
 }
 
 export function findUses(code, allDefined, selfDefined) {
-  // find identifiers that reference other cells' definitions
+  // free variables of the cell that some other cell defines
   const uses = new Set();
-  const stripped = stripCommentsAndStrings(code);
-  if (!selfDefined) selfDefined = parseNames(code).defines;
-
-  const idRe = /\b([a-zA-Z_$]\w*)\b/g;
-  let m;
-  while ((m = idRe.exec(stripped))) {
-    if (allDefined.has(m[1]) && !selfDefined.has(m[1])) {
-      uses.add(m[1]);
-    }
+  const { defines, free } = analyzeScope(code);
+  if (!selfDefined) selfDefined = defines;
+  for (const name of free) {
+    if (allDefined.has(name) && !selfDefined.has(name)) uses.add(name);
   }
   return uses;
 }
@@ -186,11 +61,9 @@ export function findHtmlUses(code, allDefined) {
   const re = /\$\{([^}]+)\}/g;
   let m;
   while ((m = re.exec(code))) {
-    const expr = m[1];
-    const idRe = /\b([a-zA-Z_$]\w*)\b/g;
-    let im;
-    while ((im = idRe.exec(expr))) {
-      if (allDefined.has(im[1])) uses.add(im[1]);
+    // parenthesize so a leading { parses as an object, not a block
+    for (const name of analyzeScope('(' + m[1] + ')').free) {
+      if (allDefined.has(name)) uses.add(name);
     }
   }
   return uses;
@@ -198,20 +71,29 @@ export function findHtmlUses(code, allDefined) {
 
 export function parseHtmlDefines(html) {
   const defines = new Set();
-  const re = /<audit-(?:slider|dropdown|checkbox|text-input)\b[^>]*\bname="([^"]+)"/g;
+  // registered tags are [a-z0-9-], nothing to escape
+  const re = new RegExp(`<(?:${widgetTags().join('|')})(?=[\\s/>])[^>]*\\bname="([^"]+)"`, 'gi');
   let m;
   while (m = re.exec(html)) defines.add(m[1]);
+  const viewRe = /<[a-z][\w-]*\b[^>]*\saudit-view="([^"]+)"/gi;
+  while (m = viewRe.exec(html)) defines.add(m[1]);
   return defines;
 }
 
+// a widget registered later can turn existing HTML cell markup into defines
+onWidgetRegistered(() => {
+  for (const c of S.cells) if (c.type === 'html') c._parsedCode = null;
+});
+
 export function buildDAG() {
   // collect all defined names globally (only re-parse changed cells)
   const allDefined = new Map(); // name -> cell id
   for (const c of S.cells) {
     if (c.type !== 'code') continue;
     if (c.code !== c._parsedCode) {
-      const { defines } = parseNames(c.code);
+      const { defines, mutables } = parseNames(c.code);
       c.defines = defines;
+      c.mutables = mutables;
       c._parsedCode = c.code;
     }
     for (const name of c.defines) {
@@ -250,9 +132,64 @@ export function buildDAG() {
     }
   }
 
+  const diagnostics = findDiagnostics(S.cells);
+  for (const c of S.cells) c.diagnostics = diagnostics.get(c.id);
+
   return allDefined;
 }
 
+// ── diagnostics ──
+// a name defined by more than one cell (the later definitions are flagged), and
+// a use whose only definitions come later in the document — which is also how
+// a cycle shows up, since cells only ever see what is defined above them
+
+export function findDiagnostics(cells) {
+  const definers = new Map(); // name -> indices of defining cells, in order
+  cells.forEach((c, i) => {
+    if (!c.defines) return;
+    for (const name of c.defines) {
+      // runtime-internal names (goto's __goto) are not user definitions
+      if (name.startsWith('__')) continue;
+      if (!definers.has(name)) definers.set(name, []);
+      definers.get(name).push(i);
+    }
+  });
+
+  // does cell `from` (transitively) read anything defined by cell `to`?
+  const reaches = (from, to) => {
+    const seen = new Set([from]);
+    const queue = [from];
+    while (queue.length) {
+      const c = cells[queue.shift()];
+      if (!c.uses) continue;
+      for (const name of c.uses) {
+        for (const j of definers.get(name) || []) {
+          if (j === to) return true;
+          if (!seen.has(j)) { seen.add(j); queue.push(j); }
+        }
+      }
+    }
+    return false;
+  };
+
+  const diags = new Map(cells.map(c => [c.id, []]));
+  for (const [name, idxs] of definers) {
+    for (const i of idxs.slice(1)) {
+      diags.get(cells[i].id).push({ kind: 'duplicate', name, other: cells[idxs[0]].id });
+    }
+  }
+  cells.forEach((c, i) => {
+    if (!c.uses) return;
+    for (const name of c.uses) {
+      const idxs = definers.get(name);
+      if (!idxs || idxs[0] <= i) continue;
+      const kind = reaches(idxs[0], i) ? 'cycle' : 'forward';
+      diags.get(c.id).push({ kind, name, other: cells[idxs[0]].id });
+    }
+  });
+  return diags;
+}
+
 export function topoSort(dirtyIds) {
   // BFS from dirty cells to find all downstream dependents
   const dependents = new Map(); // varName -> Set<cellId>
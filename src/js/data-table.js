@@ -0,0 +1,301 @@
+// ── DATA TABLE ──
+// ui.table()'s output. rows are drawn only while they're scrolled into view,
+// so a 100k-row table costs about as much as a 30-row one. headers sort
+// (ascending, descending, off), the filter box matches the text of any cell,
+// column edges drag to resize, and with `select` set clicking rows selects
+// them and table() returns the selected rows as a reactive value. the view
+// state lives in a plain object the caller keeps, so it survives re-runs.
+
+const TABLE_ROW_H = 20;     // px; .data-table td has the same fixed height
+const TABLE_OVERSCAN = 10;  // rows drawn above and below the visible ones
+const TABLE_HEIGHT = 320;   // default scroll area height
+
+// [{ key, numeric }] for the given keys, or the first row's; a column is
+// numeric when its first 10 values are numbers (or empty)
+export function tableColumns(data, columns) {
+  const keys = columns || Object.keys(data[0] ?? {});
+  return keys.map(key => {
+    let numeric = true;
+    for (const row of data.slice(0, 10)) {
+      const v = row?.[key];
+      if (v !== null && v !== undefined && typeof v !== 'number') { numeric = false; break; }
+    }
+    return { key, numeric };
+  });
+}
+
+// Intl.NumberFormat is slow to build, so each options object gets one
+const numberFormats = new WeakMap();
+
+function numberFormat(opts) {
+  let f = numberFormats.get(opts);
+  if (!f) numberFormats.set(opts, f = new Intl.NumberFormat(undefined, opts));
+  return f;
+}
+
+// a column format is a function (value, row) => string, a number of decimals,
+// or Intl.NumberFormat options. unformatted numbers get 4 decimals unless whole
+export function formatCell(v, fmt, row) {
+  if (typeof fmt === 'function') return String(fmt(v, row) ?? '');
+  if (typeof v === 'number' && fmt != null) {
+    if (typeof fmt === 'number') return v.toFixed(fmt);
+    if (typeof fmt === 'object') return numberFormat(fmt).format(v);
+  }
+  if (typeof v === 'number') return Number.isInteger(v) ? String(v) : v.toFixed(4);
+  if (v instanceof Date) return isNaN(v) ? 'Invalid Date' : v.toISOString();
+  return String(v ?? '');
+}
+
+// numbers and dates by value, the rest as text with digit runs compared
+// numerically; dir -1 for descending. empty values go last either way
+export function compareValues(a, b, dir = 1) {
+  const ea = a === null || a === undefined || Number.isNaN(a);
+  const eb = b === null || b === undefined || Number.isNaN(b);
+  if (ea || eb) return ea - eb;
+  if (typeof a === 'number' && typeof b === 'number') return dir * (a - b);
+  if (a instanceof Date && b instanceof Date) return dir * (a - b);
+  return dir * String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// indices of the rows to show, filtered then sorted, per state
+// { sort: { key, dir }, filter }; formats are applied before matching
+export function viewRows(data, cols, state, formats = {}) {
+  let idx = [...data.keys()];
+  const q = (state.filter || '').trim().toLowerCase();
+  if (q) {
+    idx = idx.filter(i => cols.some(c => formatCell(data[i]?.[c.key], formats[c.key], data[i]).toLowerCase().includes(q)));
+  }
+  const sort = state.sort;
+  if (sort && cols.some(c => c.key === sort.key)) {
+    // stable: ties keep data order, also when descending
+    idx.sort((i, j) => compareValues(data[i]?.[sort.key], data[j]?.[sort.key], sort.dir) || i - j);
+  }
+  return idx;
+}
+
+// the selection is row indices, which only mean something in the array they
+// were picked from: a different data array drops it. the re-run a pick itself
+// causes keeps it, even when the cell builds the array anew
+export function syncSelection(state, data) {
+  if (state.data !== data && !state.picked) {
+    state.selected = [];
+    state.anchor = null;
+  }
+  state.data = data;
+  state.picked = false;
+}
+
+// starting width from the header and the first rows' text, in px
+function guessWidth(data, col, fmt) {
+  let chars = String(col.key).length + 2;
+  for (const row of data.slice(0, 50)) chars = Math.max(chars, formatCell(row?.[col.key], fmt, row).length);
+  return Math.min(Math.max(chars * 7 + 18, 48), 320);
+}
+
+// the table element. opts: { formats, height, select: 'single' | 'multi',
+// filter: false to hide the filter box }. state is read and updated in place:
+// { sort, filter, widths, scrollTop, selected: [data indices], anchor }.
+// onSelect(rows) is called after the selection changes
+export function renderDataTable(data, cols, opts, state, onSelect) {
+  const formats = opts.formats || {};
+  const multi = opts.select === 'multi';
+  state.widths ||= {};
+  syncSelection(state, data);
+  const selected = new Set((state.selected || []).filter(i => i < data.length));
+  let shown = viewRows(data, cols, state, formats);
+
+  const root = document.createElement('div');
+  root.className = 'data-table';
+  if (opts.select) root.classList.add('selectable');
+
+  // filter box and row count
+  const bar = document.createElement('div');
+  bar.className = 'data-table-bar';
+  const filter = document.createElement('input');
+  filter.type = 'search';
+  filter.className = 'data-table-filter';
+  filter.placeholder = 'filter…';
+  filter.value = state.filter || '';
+  filter.spellcheck = false;
+  const count = document.createElement('span');
+  count.className = 'data-table-count';
+  if (opts.filter !== false) bar.appendChild(filter);
+  bar.appendChild(count);
+  root.appendChild(bar);
+
+  const scroll = document.createElement('div');
+  scroll.className = 'data-table-scroll';
+  scroll.style.maxHeight = `${opts.height ?? TABLE_HEIGHT}px`;
+  root.appendChild(scroll);
+
+  const t = document.createElement('table');
+  const colgroup = document.createElement('colgroup');
+  const thead = document.createElement('thead');
+  const hr = document.createElement('tr');
+  const colEls = [];
+  for (const c of cols) {
+    const col = document.createElement('col');
+    col.style.width = `${state.widths[c.key] ??= guessWidth(data, c, formats[c.key])}px`;
+    colgroup.appendChild(col);
+    colEls.push(col);
+
+    const th = document.createElement('th');
+    th.textContent = c.key;
+    th.style.textAlign = c.numeric ? 'right' : 'left';
+    th.title = 'sort';
+    th.dataset.key = c.key;
+    const grip = document.createElement('span');
+    grip.className = 'data-table-resize';
+    th.appendChild(grip);
+    hr.appendChild(th);
+  }
+  thead.appendChild(hr);
+  const tbody = document.createElement('tbody');
+  t.append(colgroup, thead, tbody);
+  scroll.appendChild(t);
+
+  const fitWidth = () => { t.style.width = `${cols.reduce((n, c) => n + state.widths[c.key], 0)}px`; };
+  fitWidth();
+
+  const showSort = () => {
+    for (const th of hr.children) {
+      const dir = state.sort?.key === th.dataset.key ? state.sort.dir : 0;
+      th.classList.toggle('sort-asc', dir === 1);
+      th.classList.toggle('sort-desc', dir === -1);
+    }
+  };
+  const showCount = () => {
+    const n = shown.length === data.length ? `${data.length.toLocaleString()} rows`
+      : `${shown.length.toLocaleString()} of ${data.length.toLocaleString()} rows`;
+    count.textContent = selected.size ? `${n} · ${selected.size.toLocaleString()} selected` : n;
+  };
+
+  // draw the rows in (and near) view between two spacer rows
+  let drawn = null;
+  const draw = force => {
+    const height = scroll.clientHeight || opts.height || TABLE_HEIGHT;
+    const first = Math.max(0, Math.floor(scroll.scrollTop / TABLE_ROW_H) - TABLE_OVERSCAN);
+    const last = Math.min(shown.length, first + Math.ceil(height / TABLE_ROW_H) + 2 * TABLE_OVERSCAN);
+    if (!force && drawn && drawn[0] === first && drawn[1] === last) return;
+    drawn = [first, last];
+    const pad = h => {
+      const tr = document.createElement('tr');
+      tr.className = 'data-table-pad';
+      tr.style.height = `${h}px`;
+      return tr;
+    };
+    const rows = [pad(first * TABLE_ROW_H)];
+    for (let p = first; p < last; p++) {
+      const i = shown[p];
+      const row = data[i];
+      const tr = document.createElement('tr');
+      tr.dataset.pos = p;
+      if (selected.has(i)) tr.className = 'selected';
+      for (const c of cols) {
+        const td = document.createElement('td');
+        td.textContent = formatCell(row?.[c.key], formats[c.key], row);
+        if (c.numeric) td.style.textAlign = 'right';
+        tr.appendChild(td);
+      }
+      rows.push(tr);
+    }
+    rows.push(pad((shown.length - last) * TABLE_ROW_H));
+    tbody.replaceChildren(...rows);
+  };
+
+  const refresh = () => {
+    shown = viewRows(data, cols, state, formats);
+    showSort();
+    showCount();
+    draw(true);
+  };
+
+  scroll.addEventListener('scroll', () => {
+    state.scrollTop = scroll.scrollTop;
+    draw(false);
+  }, { passive: true });
+
+  // sort on header click: ascending, descending, off
+  hr.addEventListener('click', e => {
+    const th = e.target.closest('th');
+    if (!th || e.target.classList.contains('data-table-resize')) return;
+    const key = th.dataset.key;
+    const dir = state.sort?.key === key ? state.sort.dir : 0;
+    state.sort = dir === 0 ? { key, dir: 1 } : dir === 1 ? { key, dir: -1 } : null;
+    refresh();
+  });
+
+  // drag a header's right edge to resize its column
+  hr.addEventListener('pointerdown', e => {
+    if (!e.target.classList.contains('data-table-resize')) return;
+    e.preventDefault();
+    const i = [...hr.children].indexOf(e.target.parentElement);
+    const key = cols[i].key;
+    const x0 = e.clientX, w0 = state.widths[key];
+    const move = ev => {
+      state.widths[key] = Math.max(32, Math.round(w0 + ev.clientX - x0));
+      colEls[i].style.width = `${state.widths[key]}px`;
+      fitWidth();
+    };
+    const up = () => {
+      document.removeEventListener('pointermove', move);
+      document.removeEventListener('pointerup', up);
+    };
+    document.addEventListener('pointermove', move);
+    document.addEventListener('pointerup', up);
+  });
+
+  let filterTimer = null;
+  filter.addEventListener('input', () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(() => {
+      state.filter = filter.value;
+      scroll.scrollTop = 0;
+      state.scrollTop = 0;
+      refresh();
+    }, 150);
+  });
+
+  // click selects a row (again: deselects); with multi, ctrl/cmd-click toggles
+  // and shift-click extends from the last clicked row
+  if (opts.select) {
+    tbody.addEventListener('click', e => {
+      const tr = e.target.closest('tr[data-pos]');
+      if (!tr) return;
+      const p = +tr.dataset.pos;
+      const i = shown[p];
+      const anchor = state.anchor == null ? -1 : shown.indexOf(state.anchor);
+      if (multi && e.shiftKey && anchor >= 0) {
+        const [a, b] = anchor < p ? [anchor, p] : [p, anchor];
+        for (let q = a; q <= b; q++) selected.add(shown[q]);
+      } else if (multi && (e.ctrlKey || e.metaKey)) {
+        if (!selected.delete(i)) selected.add(i);
+        state.anchor = i;
+      } else {
+        const only = selected.size === 1 && selected.has(i);
+        selected.clear();
+        if (!only) selected.add(i);
+        state.anchor = i;
+      }
+      state.selected = [...selected].sort((a, b) => a - b);
+      state.picked = true;
+      showCount();
+      draw(true);
+      onSelect?.(selectedRows(data, state));
+    });
+  }
+
+  showSort();
+  showCount();
+  draw(true);
+  // the scroll position can only be restored once the table is in the page
+  if (state.scrollTop) {
+    requestAnimationFrame(() => { scroll.scrollTop = state.scrollTop; draw(false); });
+  }
+  return root;
+}
+
+// the selected rows, in data order
+export function selectedRows(data, state) {
+  return (state.selected || []).filter(i => i < data.length).map(i => data[i]);
+}
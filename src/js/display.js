@@ -0,0 +1,376 @@
+import { renderMd } from './markdown.js';
+import { decorateCodeBlocks } from './md-code.js';
+
+// ── DISPLAY ──
+// display() protocol. a value renders through the first of:
+//   1. its own [Symbol.for('auditable.display')]() method
+//   2. toMIME(), toHTML() or toSVG()
+//   3. a renderer registered with registerRenderer (extensions call
+//      window.__auditable_registerRenderer, so they need not import anything)
+//   4. a built-in renderer — Date, Error, Promise, ndarrays and anything
+//      else with its own toString
+//   5. the object inspector
+// steps 1–3 may return a Node, a MIME bundle ({ 'text/html': ..., ... }) or
+// any other value, which is rendered again.
+
+export const DISPLAY = Symbol.for('auditable.display');
+
+// richest first
+const MIME_ORDER = ['text/html', 'image/svg+xml', 'image/png', 'image/jpeg', 'image/gif',
+  'text/markdown', 'application/json', 'text/plain'];
+
+const _renderers = new Map(); // name -> { test, render }
+
+// re-registering a name replaces the old renderer, so re-installing a module is harmless
+export function registerRenderer(name, test, render) {
+  _renderers.set(name, { test, render });
+}
+
+export function isMimeBundle(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) return false;
+  const keys = Object.keys(v);
+  return keys.length > 0 && keys.some(k => MIME_ORDER.includes(k));
+}
+
+// the value a custom renderer produced, or undefined if none applies
+function customRender(v) {
+  if (typeof v[DISPLAY] === 'function') return v[DISPLAY]();
+  if (typeof v.toMIME === 'function') return v.toMIME();
+  if (typeof v.toHTML === 'function') return { 'text/html': v.toHTML() };
+  if (typeof v.toSVG === 'function') return { 'image/svg+xml': v.toSVG() };
+  for (const { test, render } of _renderers.values()) {
+    let hit = false;
+    try { hit = test(v); } catch {}
+    if (hit) return render(v);
+  }
+  return undefined;
+}
+
+// ── TEXT SUMMARIES ──
+// pure: one line (or, for ndarrays, a block) of text for values JSON mangles
+
+const MAX_ITEMS = 20;
+
+// objects from another realm (iframes) carry a different Object.prototype.toString
+const customString = v => {
+  if (typeof v.toString !== 'function' || v.toString === Object.prototype.toString || Array.isArray(v) || ArrayBuffer.isView(v)) return null;
+  const s = String(v);
+  return /^\[object [^\]]*\]$/.test(s) ? null : s;
+};
+
+export const isNdarray = v =>
+  Array.isArray(v.shape) && typeof v.dtype === 'string' && typeof v.ndim === 'number';
+
+function items(list, total, fmt) {
+  const shown = list.slice(0, MAX_ITEMS).map(fmt);
+  if (total > MAX_ITEMS) shown.push(`… ${total - MAX_ITEMS} more`);
+  return shown.join(', ');
+}
+
+// short form used inside containers
+function brief(v, depth) {
+  if (typeof v === 'string') return JSON.stringify(v);
+  if (typeof v === 'bigint') return v + 'n';
+  if (typeof v === 'function') return `ƒ ${v.name || '(anonymous)'}()`;
+  if (typeof v !== 'object' || v === null) return String(v);
+  const text = summarize(v, depth + 1);
+  if (text != null) return text;
+  if (Array.isArray(v)) return depth > 0 ? `Array(${v.length})` : `[${items(v, v.length, x => brief(x, depth + 1))}]`;
+  if (depth > 0) return '{…}';
+  const keys = Object.keys(v);
+  return `{${items(keys, keys.length, k => `${k}: ${brief(v[k], depth + 1)}`)}}`;
+}
+
+// text for built-in types, or null when the value isn't one of them
+export function summarize(v, depth = 0) {
+  if (v instanceof Map) {
+    if (depth > 1) return `Map(${v.size})`;
+    return `Map(${v.size}) {${items([...v], v.size, ([k, x]) => `${brief(k, depth)} => ${brief(x, depth)}`)}}`;
+  }
+  if (v instanceof Set) {
+    if (depth > 1) return `Set(${v.size})`;
+    return `Set(${v.size}) {${items([...v], v.size, x => brief(x, depth))}}`;
+  }
+  if (ArrayBuffer.isView(v) && !(v instanceof DataView)) {
+    const name = v.constructor.name;
+    if (depth > 1) return `${name}(${v.length})`;
+    return `${name}(${v.length}) [${items([...v.subarray(0, MAX_ITEMS)], v.length, x => brief(x, depth))}]`;
+  }
+  if (v instanceof DataView) return `DataView(${v.byteLength} bytes)`;
+  if (v instanceof ArrayBuffer) return `ArrayBuffer(${v.byteLength} bytes)`;
+  if (v instanceof Date) return isNaN(v) ? 'Invalid Date' : v.toISOString();
+  if (v instanceof Error) return `${v.name}: ${v.message}`;
+  if (v instanceof Promise) return 'Promise';
+  if (isNdarray(v)) return String(v);
+  return customString(v);
+}
+
+// JSON for plain objects and arrays, with nested built-ins summarized
+export function toJSON(v) {
+  return JSON.stringify(v, (k, x) => {
+    if (typeof x === 'bigint') return x + 'n';
+    if (x && typeof x === 'object' && !Array.isArray(x) && Object.getPrototypeOf(x) !== Object.prototype) {
+      const text = summarize(x);
+      if (text != null) return text;
+    }
+    return x;
+  }, 2);
+}
+
+// ── RENDERING ──
+
+function textNode(text, cls) {
+  const el = document.createElement('span');
+  if (cls) el.className = cls;
+  el.textContent = text;
+  return el;
+}
+
+export function renderBundle(bundle) {
+  const type = MIME_ORDER.find(t => t in bundle);
+  const data = bundle[type];
+  if (type === 'text/html' || type === 'image/svg+xml') {
+    const el = document.createElement('span');
+    el.className = 'display-html';
+    el.innerHTML = String(data);
+    return el;
+  }
+  if (type.startsWith('image/')) {
+    const img = document.createElement('img');
+    img.src = String(data).startsWith('data:') ? data : `data:${type};base64,${data}`;
+    return img;
+  }
+  if (type === 'text/markdown') {
+    const el = document.createElement('div');
+    el.className = 'cell-md-view display-md';
+    el.innerHTML = renderMd(String(data));
+    decorateCodeBlocks(el);
+    return el;
+  }
+  if (type === 'application/json') return textNode(typeof data === 'string' ? data : toJSON(data));
+  return textNode(String(data));
+}
+
+// render any value to a Node; `depth` guards renderers that return themselves
+export function renderValue(v, depth = 0) {
+  if (v instanceof Node) return v;
+  if (typeof v !== 'object' || v === null) {
+    return document.createTextNode(typeof v === 'bigint' ? v + 'n' : String(v));
+  }
+
+  if (depth < 8) {
+    let custom;
+    try { custom = customRender(v); }
+    catch (e) { return textNode(`display failed: ${e.message}`, 'display-error'); }
+    if (custom !== undefined) return isMimeBundle(custom) ? renderBundle(custom) : renderValue(custom, depth + 1);
+  }
+
+  if (v instanceof Promise) {
+    const slot = textNode('Promise (pending)', 'display-pending');
+    v.then(
+      x => slot.replaceWith(renderValue(x, depth + 1)),
+      e => slot.replaceWith(textNode(`Promise rejected: ${e?.message ?? e}`, 'display-error')),
+    );
+    return slot;
+  }
+  if (v instanceof Error) {
+    const el = textNode(summarize(v), 'display-error');
+    if (v.stack) el.title = v.stack;
+    return el;
+  }
+
+  if (v instanceof Date || isNdarray(v)) return textNode(summarize(v));
+  const text = customString(v);
+  if (text != null) return textNode(text);
+  return inspect(v);
+}
+
+// ── INSPECTOR ──
+// collapsible tree for objects. children are built on first expand, so huge or
+// deep values cost nothing until opened; a value already open further up the
+// same branch shows as a circular marker instead of expanding forever.
+
+const CHUNK = 100; // arrays longer than this expand into index ranges
+const PREVIEW_ITEMS = 5;
+
+const TYPED_ARRAY = v => ArrayBuffer.isView(v) && !(v instanceof DataView);
+
+export function className(v) {
+  const proto = Object.getPrototypeOf(v);
+  if (proto === null) return 'Object';
+  return proto.constructor?.name || 'Object';
+}
+
+function span(cls, text) {
+  const el = document.createElement('span');
+  el.className = cls;
+  el.textContent = text;
+  return el;
+}
+
+function leaf(v) {
+  if (typeof v === 'string') return span('insp-string', JSON.stringify(v));
+  if (typeof v === 'number' || typeof v === 'bigint') return span('insp-number', typeof v === 'bigint' ? v + 'n' : String(v));
+  if (typeof v === 'boolean') return span('insp-boolean', String(v));
+  if (v == null) return span('insp-null', String(v));
+  if (typeof v === 'symbol') return span('insp-symbol', String(v));
+  if (typeof v === 'function') return span('insp-function', `ƒ ${v.name || '(anonymous)'}()`);
+  if (v instanceof Node) return span('insp-node', v.nodeType === 1 ? `<${v.tagName.toLowerCase()}${v.id ? '#' + v.id : ''}>` : v.nodeName);
+  if (v instanceof Date || v instanceof Promise || v instanceof ArrayBuffer || v instanceof DataView || isNdarray(v)) {
+    return span('insp-special', summarize(v));
+  }
+  const text = !(v instanceof Error) && customString(v);
+  return text ? span('insp-special', text) : null;
+}
+
+// one-line preview shown next to a collapsed object
+export function preview(v) {
+  // first few items of any iterable, without walking the rest
+  const some = (iterable, fmt) => {
+    const shown = [];
+    for (const x of iterable) {
+      if (shown.length === PREVIEW_ITEMS) { shown.push('…'); break; }
+      shown.push(fmt(x));
+    }
+    return shown.join(', ');
+  };
+  if (v instanceof Error) return summarize(v);
+  if (Array.isArray(v)) return `Array(${v.length}) [${some(v, x => brief(x, 1))}]`;
+  if (TYPED_ARRAY(v)) return `${className(v)}(${v.length}) [${some(v, x => brief(x, 1))}]`;
+  if (v instanceof Map) return `Map(${v.size}) {${some(v, ([k, x]) => `${brief(k, 1)} => ${brief(x, 1)}`)}}`;
+  if (v instanceof Set) return `Set(${v.size}) {${some(v, x => brief(x, 1))}}`;
+  const name = className(v);
+  // accessors are never run just to draw a preview
+  const prop = k => {
+    const d = Object.getOwnPropertyDescriptor(v, k);
+    return `${k}: ${d.get ? '(…)' : brief(d.value, 1)}`;
+  };
+  return `${name === 'Object' ? '' : name + ' '}{${some(Object.keys(v), prop)}}`;
+}
+
+// accessors the object or its class define, minus those already listed as own data
+function getters(v, seen) {
+  const out = [];
+  for (let o = v; o && o !== Object.prototype; o = Object.getPrototypeOf(o)) {
+    for (const [k, d] of Object.entries(Object.getOwnPropertyDescriptors(o))) {
+      if (d.get && k !== '__proto__' && !seen.has(k)) { seen.add(k); out.push(k); }
+    }
+  }
+  return out;
+}
+
+// children of an expanded object as { label, value } records; arrays longer
+// than CHUNK give { label, range } groups instead, accessors { label, getter }
+// and Map entries carry their key object in `key`
+function entries(v, from = 0, to = Infinity) {
+  const keyed = v instanceof Map || v instanceof Set;
+  if (keyed || Array.isArray(v) || TYPED_ARRAY(v)) {
+    const n = Math.min(keyed ? v.size : v.length, to);
+    const out = [];
+    if (n - from > CHUNK) {
+      const size = Math.pow(CHUNK, Math.ceil(Math.log(n - from) / Math.log(CHUNK)) - 1);
+      for (let i = from; i < n; i += size) {
+        const j = Math.min(i + size, n);
+        out.push({ label: `[${i} … ${j - 1}]`, range: [i, j] });
+      }
+      return out;
+    }
+    if (keyed) {
+      let i = 0;
+      for (const item of v) {
+        if (i >= n) break;
+        if (i >= from) out.push(v instanceof Map ? { key: item[0], value: item[1] } : { label: String(i), value: item });
+        i++;
+      }
+      return out;
+    }
+    for (let i = from; i < n; i++) out.push({ label: String(i), value: v[i] });
+    if (to === Infinity && Array.isArray(v)) {
+      for (const k of Object.keys(v)) if (!/^\d+$/.test(k)) out.push({ label: k, value: v[k] });
+    }
+    return out;
+  }
+  const seen = new Set();
+  const out = [];
+  for (const k of Reflect.ownKeys(v)) {
+    const d = Object.getOwnPropertyDescriptor(v, k);
+    const label = typeof k === 'symbol' ? `[${String(k)}]` : k;
+    seen.add(k);
+    out.push(d.get ? { label, getter: k } : { label, value: d.value });
+  }
+  if (v instanceof Error && !seen.has('stack') && v.stack) out.push({ label: 'stack', value: v.stack });
+  for (const k of getters(Object.getPrototypeOf(v), seen)) out.push({ label: k, getter: k });
+  return out;
+}
+
+function row(label, child, key) {
+  const el = document.createElement('div');
+  el.className = 'insp-row';
+  if (key) el.append(key, span('insp-punct', ' => '));
+  else el.append(span('insp-key', label), span('insp-punct', ': '));
+  el.append(child);
+  return el;
+}
+
+function node(v, ancestors) {
+  const l = leaf(v);
+  if (l) return l;
+  if (ancestors.has(v)) return span('insp-circular', '[Circular]');
+  return tree(v, preview(v), ancestors);
+}
+
+// click-to-evaluate placeholder for an accessor
+function lazyGetter(v, prop, ancestors) {
+  const el = span('insp-getter', '(…)');
+  el.title = 'invoke getter';
+  el.onclick = (e) => {
+    e.stopPropagation();
+    let got;
+    try { got = node(v[prop], ancestors); }
+    catch (err) { got = span('display-error', `${err?.name || 'Error'}: ${err?.message ?? err}`); }
+    el.replaceWith(got);
+  };
+  return el;
+}
+
+// an expandable node; `range` limits an array's children to [from, to)
+function tree(v, label, ancestors, range = []) {
+  const el = document.createElement('span');
+  el.className = 'insp-tree';
+  const caret = span('insp-caret', '▸');
+  const head = document.createElement('span');
+  head.className = 'insp-head';
+  head.append(caret, span('insp-preview', label));
+  el.appendChild(head);
+  let body = null;
+  head.onclick = (e) => {
+    e.stopPropagation();
+    const open = el.classList.toggle('open');
+    caret.textContent = open ? '▾' : '▸';
+    if (!open || body) return;
+    body = document.createElement('div');
+    body.className = 'insp-body';
+    const inner = new Set(ancestors).add(v);
+    for (const e of entries(v, ...range)) {
+      if (e.range) {
+        const group = document.createElement('div');
+        group.className = 'insp-row';
+        group.appendChild(tree(v, e.label, ancestors, e.range));
+        body.appendChild(group);
+      }
+      else if (e.getter !== undefined) body.appendChild(row(e.label, lazyGetter(v, e.getter, inner)));
+      else body.appendChild(row(e.label, node(e.value, inner), 'key' in e ? node(e.key, inner) : null));
+    }
+    if (!body.childNodes.length) body.appendChild(span('insp-null', '(empty)'));
+    el.appendChild(body);
+  };
+  return el;
+}
+
+// inspector for any value — objects get a collapsible tree
+export function inspect(v) {
+  const el = document.createElement('span');
+  el.className = 'inspector';
+  el.appendChild(node(v, new Set()));
+  return el;
+}
@@ -1,23 +1,69 @@
 import { S } from './state.js';
-import { buildDAG, topoSort, isManual, isNorun, isHidden, parseCellName, parseOutputId, parseOutputClass } from './dag.js';
+import { rewriteMutables, rewriteInits } from './analyze.js';
+import { tableColumns, renderDataTable, selectedRows } from './data-table.js';
+import { buildDAG, topoSort, isManual, isNorun, isHidden, isWorker, isCached, isParams, parseTimeout, parseCellName, parseOutputId, parseOutputClass } from './dag.js';
 import { setMsg } from './ui.js';
-import { refreshTaggedLanguages, getEditor } from './cm6.js';
+import { refreshTaggedLanguages, getEditor, setEditorErrorLine, clearEditorErrorLine, revealEditorLine } from './cm6.js';
 import { std } from './stdlib.js';
 import { python, zenOfPython } from './python.js';
 import { addCell } from './cell-ops.js';
 import { renderMd } from './markdown.js';
+import { decorateCodeBlocks } from './md-code.js';
+import { buildOutline, tocMarkdown, TOC_RE } from './outline.js';
+import { readUrlParams, coerceParam, seedValue, paramType } from './params.js';
+import { scheduleOutline, tagHeadings } from './outline-panel.js';
+import { DISPLAY, renderValue, renderBundle, isMimeBundle, inspect } from './display.js';
+import { TaggedContent, taggedTemplate } from './tagged.js';
+import { embedPlaceholder, embedsInMd, sameEmbed, renderMdEmbeds, placeMdEmbeds, fillMdSlot } from './md-embed.js';
+import { getWidget, widgetNames, widgetTags, widgetForTag } from './widget-registry.js';
+import { makeConsole } from './cell-console.js';
+import { parseStack } from './stack.js';
+import { captureOutput, fillOutput } from './snapshot.js';
+import { resultKey, isCacheEnabled, cacheGet, cachePut } from './result-cache.js';
+import { SUPERSEDED, asStream, pumpStream } from './stream.js';
+import { scheduleCells, mergeScope } from './schedule.js';
+import { startProfile, recordCell, endProfile } from './profile.js';
 
 // ── EXECUTION ENGINE ──
 //
 // Scope model: each cell runs inside an AsyncFunction where upstream variables
 // are passed as parameters. This is pass-by-value for primitives — reassigning
 // a variable in cell A (e.g. `grid = next`) does NOT propagate to cell B.
-// Mutable state that needs to survive across callbacks belongs in %manual cells
-// using DOM elements, objects, or closures.
+//
+// The exception is `mutable x = 0`: every reference to x (in any cell, and in
+// callbacks) is rewritten to `__mutable.x`, a proxy over S.scope. Assigning it
+// updates the scope and the defining cell's last result, then re-runs the
+// cells that use x (except the writer itself).
 //
 // Cell builtins (display, canvas, slider, load, install, installBinary, etc.)
 // are injected as additional parameters — listed in _injected, not in scope.
 // They are NOT propagated to downstream cells.
+//
+// Streams: a defined value that is a generator or async iterable is replaced
+// by its first yielded value. The cell keeps pulling (one value per animation
+// frame) and each new value re-runs only the downstream dependents; the
+// iterator is closed when the cell's invalidation promise fires.
+//
+// Workers: a `// %worker` cell runs in a dedicated Web Worker. Its inputs are
+// structured-cloned over, only std/load/display/console are injected, and its defines
+// come back into S.scope like any other cell's.
+//
+// Scheduling: a pass starts each cell once the earlier cells defining its
+// inputs have settled, so independent async branches run concurrently. Inputs
+// and poisoning follow document order. Each cell is handed its inputs by the
+// pass, which publishes the scope it built to S.scope when it ends. Notebooks
+// with %goto walk the cells in order.
+//
+// Interrupts: every run gets an AbortSignal (injected as `signal`) that fires
+// on the stop buttons, on `// %timeout`, or when the cell re-runs. The cell
+// stops being awaited, shows as interrupted, and poisons its defines. A tight
+// synchronous loop can't be preempted — only async cells, workers and the gaps
+// between cells (including %goto jumps) are interruptible.
+//
+// Caching: a `// %cache` cell whose source and input values match a stored
+// run restores that run's defines and output from IndexedDB instead of
+// executing (see result-cache.js). Cells that stream, use widgets or read
+// mutables are never stored.
 
 // ── BINARY HELPERS ──
 
@@ -39,37 +85,342 @@ async function decodeBinary(entry) {
   return URL.createObjectURL(new Blob([bytes], { type }));
 }
 
-// ── TAGGED CONTENT ──
+// ── STREAMS ──
+
+// each value a stream yields updates the cell's result and re-runs the
+// cells that use it. the cell shows as streaming (with its stop button) until
+// its last stream ends or its run is stopped
+function pumpCell(cell, result, name, iter, signal) {
+  const live = cell._streams || (cell._streams = new Set());
+  const token = {};
+  const end = () => {
+    live.delete(token);
+    cell.el.classList.toggle('streaming', live.size > 0);
+    updateStopButtons();
+  };
+  live.add(token);
+  cell.el.classList.add('streaming');
+  updateStopButtons();
+  signal.addEventListener('abort', end, { once: true });
+  return pumpStream(iter, signal, {
+    frame: () => new Promise(requestAnimationFrame),
+    next: async (value) => {
+      result[name] = value;
+      S.scope[name] = value;
+      if (cell.el.querySelector('.cell-value')?.dataset.name === name) showValue(cell, result);
+      const dependents = S.cells.filter(c => c.uses && c.uses.has(name)).map(c => c.id);
+      if (dependents.length) await runDAG(dependents, true);
+    },
+    stopped: reason => markInterrupted(cell, reason),
+    failed: (e) => {
+      showError(cell, cell.el.querySelector('.cell-output'), e);
+      cell.el.classList.remove('stale', 'fresh');
+      cell.el.classList.add('error');
+    },
+  }).finally(end);
+}
 
-class TaggedContent {
-  constructor(type, content) { this.type = type; this.content = content; }
-  toString() { return this.content; }
+// a cell that printed nothing shows the last name it defines in the inspector
+function showValue(cell, result) {
+  const name = [...(cell.defines || [])].pop();
+  const outputEl = cell.el.querySelector('.cell-output');
+  outputEl.querySelector('.cell-value')?.remove();
+  if (!name || result[name] === undefined) return;
+  const el = document.createElement('div');
+  el.className = 'cell-value';
+  el.dataset.name = name;
+  const label = document.createElement('span');
+  label.className = 'cell-value-name';
+  label.textContent = name + ' = ';
+  el.append(label, inspect(result[name]));
+  outputEl.appendChild(el);
 }
 
-function taggedTemplate(type) {
-  return (strings, ...values) => {
-    let result = strings[0];
-    for (let i = 0; i < values.length; i++) result += String(values[i]) + strings[i + 1];
-    return new TaggedContent(type, result);
+// ── MUTABLES ──
+
+let _dagDepth = 0;            // runDAG passes in flight
+let _mutableTimer = null;
+const _mutablePending = new Set();
+const _mutableWriters = new Set();
+
+function mutableNames() {
+  const names = new Set();
+  for (const c of S.cells) if (c.mutables) for (const n of c.mutables) names.add(n);
+  return names;
+}
+
+const mutableOwner = name => S.cells.find(c => c.type === 'code' && c.mutables?.has(name));
+
+// the owner's last result stays current even while a pass is rebuilding S.scope
+function getMutable(name) {
+  const owner = mutableOwner(name);
+  if (owner?._lastResult && name in owner._lastResult) return owner._lastResult[name];
+  return S.scope[name];
+}
+
+function setMutable(writer, name, value) {
+  const owner = mutableOwner(name);
+  if (!owner) throw new TypeError(`${name} is not mutable`);
+  S.scope[name] = value;
+  if (owner._lastResult) owner._lastResult[name] = value;
+  // the owner's own top-level writes travel with the pass that is running it
+  if (writer === owner && owner._executing) return;
+  _mutablePending.add(name);
+  _mutableWriters.add(writer.id);
+  if (!_mutableTimer) _mutableTimer = setTimeout(flushMutables, 0);
+}
+
+// coalesce writes into one pass over the dependents, after any pass in flight
+async function flushMutables() {
+  if (_dagDepth > 0) { _mutableTimer = setTimeout(flushMutables, 16); return; }
+  _mutableTimer = null;
+  const names = [..._mutablePending];
+  const writers = new Set(_mutableWriters);
+  _mutablePending.clear();
+  _mutableWriters.clear();
+  const ids = S.cells
+    .filter(c => !writers.has(c.id) && c.uses && names.some(n => c.uses.has(n)))
+    .map(c => c.id);
+  if (ids.length) await runDAG(ids, true);
+}
+
+// ── WORKERS ──
+
+// runs inside the worker — serialized with toString, so it may only touch
+// globals of the worker (std comes from the stdlib chunk prepended to it)
+function workerMain() {
+  const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+  const modules = {};
+  self.onmessage = async ({ data }) => {
+    const { id, code, keys, values, defines, sources, base } = data;
+    const display = (...args) => {
+      for (const a of args) {
+        // self-rendering values render here — their methods don't survive the clone
+        const own = a && typeof a === 'object' && (
+          typeof a[Symbol.for('auditable.display')] === 'function' ? a[Symbol.for('auditable.display')]()
+          : typeof a.toMIME === 'function' ? a.toMIME()
+          : typeof a.toHTML === 'function' ? { 'text/html': a.toHTML() }
+          : typeof a.toSVG === 'function' ? { 'image/svg+xml': a.toSVG() }
+          : null);
+        try { postMessage(own ? { bundle: own } : { display: a }); }
+        catch { postMessage({ display: String(a) }); }
+      }
+    };
+    // console calls are replayed by the cell's console on the main thread
+    const console = new Proxy({}, {
+      get: (_, method) => (...args) => {
+        try { postMessage({ console: method, args }); }
+        catch { postMessage({ console: method, args: args.map(String) }); }
+      },
+    });
+    const load = async (url) => {
+      if (url === '@std') return std;
+      if (modules[url]) return modules[url];
+      let href;
+      if (sources[url] != null) {
+        href = URL.createObjectURL(new Blob([sources[url]], { type: 'application/javascript' }));
+      } else if (url.startsWith('@atra/')) {
+        href = new URL('./ext/atra/lib/' + url.slice(6) + '.js', base).href;
+      } else {
+        href = new URL(url, base).href;
+      }
+      return modules[url] = await import(href);
+    };
+    try {
+      const fn = new AsyncFunction(...keys, 'std', 'load', 'display', 'print', 'console',
+        `"use strict";\n${code}\n\nreturn { ${defines.join(', ')} };\n` +
+        `//# sourceURL=auditable://cell-${id}-worker.js`);
+      const result = await fn(...values, std, load, display, display, console);
+      // hand typed array buffers back instead of copying them
+      const transfer = new Set();
+      for (const v of Object.values(result)) {
+        if (v instanceof ArrayBuffer) transfer.add(v);
+        else if (ArrayBuffer.isView(v) && v.buffer instanceof ArrayBuffer) transfer.add(v.buffer);
+      }
+      postMessage({ result }, [...transfer]);
+    } catch (e) {
+      postMessage({ error: e && e.message ? e.message : String(e), stack: e && e.stack });
+    }
   };
 }
 
+let _workerUrl = null;
+
+// the worker gets its own copy of the stdlib (and the plotting it builds
+// std.plot from), cut from the runtime script
+function workerUrl() {
+  if (_workerUrl) return _workerUrl;
+  const script = document.querySelector('script').textContent;
+  const chunk = name => script.match(new RegExp(`// -- ${name}\\.js --\\n([\\s\\S]*?)\\n// -- `))?.[1];
+  const plot = chunk('plot'), stdlib = chunk('stdlib');
+  const src = (plot && stdlib ? plot + '\n\n' + stdlib : 'const std = {};') + `\n\n(${workerMain})();\n`;
+  _workerUrl = URL.createObjectURL(new Blob([src], { type: 'application/javascript' }));
+  return _workerUrl;
+}
+
+// run a %worker cell off the main thread. inputs are structured-cloned in,
+// defines come back (buffers transferred), display() is proxied to the output.
+// aborting the signal terminates the worker.
+function runInWorker(cell, scopeKeys, values, display, cellConsole, signal) {
+  if (cell.mutables?.size) throw new Error('mutable is not supported in %worker cells');
+  const sources = {};
+  for (const [url, entry] of Object.entries(window._installedModules || {})) {
+    if (typeof entry === 'string') sources[url] = entry;
+    else if (!entry.binary) sources[url] = entry.source;
+  }
+  const worker = new Worker(workerUrl(), { type: 'module' });
+  return new Promise((resolve, reject) => {
+    const finish = (fn, v) => { worker.terminate(); fn(v); };
+    signal.addEventListener('abort', () => finish(reject, signal.reason), { once: true });
+    worker.onmessage = ({ data }) => {
+      if ('display' in data) display(data.display);
+      else if ('bundle' in data) display(isMimeBundle(data.bundle) ? renderBundle(data.bundle) : data.bundle);
+      else if ('console' in data) cellConsole[data.console]?.(...data.args);
+      else if ('error' in data) finish(reject, Object.assign(new Error(data.error), { stack: data.stack }));
+      else finish(resolve, data.result);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finish(reject, new Error(e.message || 'worker failed to start'));
+    };
+    try {
+      worker.postMessage({
+        id: cell.id, code: cell.code, keys: scopeKeys, values,
+        defines: cell.defines ? [...cell.defines].sort() : [],
+        sources, base: location.href,
+      });
+    } catch (e) {
+      const bad = scopeKeys.find((k, i) => { try { structuredClone(values[i]); return false; } catch { return true; } });
+      finish(reject, bad ? new Error(`${bad} cannot be sent to a worker (${e.message})`) : e);
+    }
+  });
+}
+
+// ── RESULT CACHE ──
+
+// the cache key for this run, or null when the cell shouldn't use the cache
+async function cacheKeyFor(cell, scopeKeys, scopeVals, mutables) {
+  // a params cell's values depend on the page URL, which isn't in the key
+  if (!isCached(cell.code) || isParams(cell.code) || !isCacheEnabled()) return null;
+  if (cell.uses && [...cell.uses].some(n => mutables.has(n))) return null;
+  const key = await resultKey(cell.code, scopeKeys.map((k, i) => [k, scopeVals[i]]));
+  if (!key) setMsg(`${cellLabel(cell.id)}: not cached \u2014 inputs must be plain data`, 'warn');
+  return key;
+}
+
+function storeResult(cell, key, defines, output) {
+  cachePut({ key, defines, output, label: cellLabel(cell.id) }).then(ok => {
+    if (!ok) setMsg(`${cellLabel(cell.id)}: not cached \u2014 defines must be structured-cloneable`, 'warn');
+  });
+}
+
+// ── ERRORS ──
+// a runtime error shows its message, then the stack frames that point into
+// cells (as links to cell:line:col) or into loaded modules — the runtime's own
+// frames are dropped. the innermost frame in the failing cell is also marked
+// in its editor until the cell runs again.
+
+function showError(cell, outputEl, e) {
+  cell.error = e?.message ?? String(e);
+  outputEl.textContent = cell.error;
+  outputEl.className = 'cell-output error';
+  const page = location.href.split('#')[0];
+  const frames = parseStack(e?.stack).filter(f => f.cellId != null || f.url.split('#')[0] !== page);
+  const own = frames.find(f => f.cellId === cell.id);
+  if (own) setEditorErrorLine(cell.id, own.line, cell.error);
+  if (!frames.length) return;
+
+  const list = document.createElement('div');
+  list.className = 'error-stack';
+  for (const f of frames) {
+    const row = document.createElement('div');
+    row.className = 'stack-frame';
+    row.append(`at ${f.fn ? f.fn + ' ' : ''}(`);
+    if (f.cellId != null && S.cells.some(c => c.id === f.cellId)) {
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = `${cellLabel(f.cellId)}:${f.line}:${f.col}`;
+      link.onclick = (ev) => { ev.preventDefault(); ev.stopPropagation(); goToFrame(f); };
+      row.append(link);
+    } else {
+      row.append(f.cellId != null ? `deleted cell:${f.line}:${f.col}` : `${f.url}:${f.line}:${f.col}`);
+    }
+    row.append(')');
+    list.appendChild(row);
+  }
+  outputEl.appendChild(list);
+}
+
+function goToFrame(f) {
+  const cell = S.cells.find(c => c.id === f.cellId);
+  if (!cell) return;
+  cell.el.classList.remove('collapsed');
+  selectCell(cell.id, true);
+  revealEditorLine(cell.id, f.line, f.col);
+}
+
+// ── INTERRUPTS ──
+
+const _passes = new Set();    // AbortControllers of runDAG passes in flight
+
+const interruptError = msg => new DOMException(msg, 'AbortError');
+
+const fmtTimeout = ms => ms < 1000 ? ms + 'ms' : ms / 1000 + 's';
+
+function markInterrupted(cell, reason) {
+  const outputEl = cell.el.querySelector('.cell-output');
+  cell.error = reason?.message || 'interrupted';
+  const msg = document.createElement('div');
+  msg.className = 'interrupt-msg';
+  msg.textContent = cell.error;
+  outputEl.appendChild(msg);
+  cell.el.classList.remove('stale', 'fresh', 'error', 'running');
+  cell.el.classList.add('interrupted');
+}
+
+// stop everything: passes in flight skip their remaining cells, and every
+// cell's signal fires (running cells, streams, timers listening on it)
+export function interruptRun() {
+  for (const ctl of _passes) ctl.abort(interruptError('interrupted'));
+  for (const c of S.cells) if (c._abort) c._abort.abort(interruptError('interrupted'));
+}
+
+export function interruptCell(id) {
+  const cell = S.cells.find(c => c.id === id);
+  if (cell?._abort) cell._abort.abort(interruptError('interrupted'));
+}
+
+// the toolbar stop is live while a pass runs or any cell is still streaming
+function updateStopButtons() {
+  const live = _dagDepth > 0 || S.cells.some(c => c._streams?.size && c._abort && !c._abort.signal.aborted);
+  for (const btn of document.querySelectorAll('.stop-btn')) btn.disabled = !live;
+}
+
 // ── EXECUTION ──
 
-export function renderMdCell(cell) {
+// md and html cells read their ${...} values from `scope`: the pass's inputs
+// while one runs them, the shared scope when edited on their own
+export function renderMdCell(cell, scope = S.scope) {
   const viewEl = cell.el.querySelector('.cell-md-view');
   if (!viewEl) return;
 
+  // a [TOC] line stands for the notebook's headings as a list of links
+  const code = TOC_RE.test(cell.code) ? cell.code.replace(TOC_RE, () => tocMarkdown(buildOutline(S.cells))) : cell.code;
+  scheduleOutline();
+
   // if no ${expr}, just render plain markdown
-  if (!/\$\{[^}]+\}/.test(cell.code)) {
-    viewEl.innerHTML = renderMd(cell.code);
+  if (!/\$\{[^}]+\}/.test(code)) {
+    viewEl.innerHTML = renderMd(code);
+    tagHeadings(viewEl);
+    decorateCodeBlocks(viewEl);
+    cell._mdSource = null;
     cell.el.classList.remove('stale', 'error');
     return;
   }
 
   // use only variables this cell references for stable function signatures
   const scopeKeys = cell.uses ? [...cell.uses].sort() : [];
-  const scopeVals = scopeKeys.map(k => S.scope[k]);
+  const scopeVals = scopeKeys.map(k => scope[k]);
 
   // cache compiled template functions per expression
   if (!cell._tplCache) cell._tplCache = {};
@@ -79,7 +430,10 @@ export function renderMdCell(cell) {
     cell._tplScopeSig = scopeSig;
   }
 
-  let interpolated = cell.code.replace(/\$\{([^}]+)\}/g, (match, expr) => {
+  // values become markdown text, except embeddable ones, which leave a
+  // placeholder to be swapped for their DOM (see md-embed.js)
+  const embeds = [];
+  const source = code.replace(/\$\{([^}]+)\}/g, (match, expr) => {
     try {
       let fn = cell._tplCache[expr];
       if (!fn) {
@@ -87,19 +441,37 @@ export function renderMdCell(cell) {
         cell._tplCache[expr] = fn;
       }
       const val = fn(...scopeVals);
+      if (embedsInMd(val)) return embedPlaceholder(embeds.push(val) - 1);
       return val === undefined ? '' : String(val);
     } catch (e) {
+      // ${n \choose k}$ is TeX that happens to start with ${, not an interpolation
+      if (e instanceof SyntaxError && expr.includes('\\')) return match;
       return '[Error: ' + e.message + ']';
     }
   });
 
-  viewEl.innerHTML = renderMd(interpolated);
+  // the text around the embedded values is unchanged: replace just the values
+  // that differ. values that went in as text (inside a tag) need a new render
+  const slots = cell._mdSource === source && cell._mdViewEl === viewEl && cell._mdSlots;
+  if (slots && embeds.every((v, k) => slots[k] || sameEmbed(cell._mdEmbeds[k], v))) {
+    embeds.forEach((v, k) => {
+      if (slots[k] && !sameEmbed(slots[k].value, v)) fillMdSlot(slots[k], v);
+    });
+  } else {
+    viewEl.innerHTML = renderMdEmbeds(source, embeds);
+    tagHeadings(viewEl);
+    decorateCodeBlocks(viewEl);
+    cell._mdSlots = placeMdEmbeds(viewEl, embeds);
+    cell._mdSource = source;
+    cell._mdViewEl = viewEl;
+  }
+  cell._mdEmbeds = embeds;
   cell.el.classList.remove('stale', 'error');
   cell.el.classList.add('fresh');
   setTimeout(() => cell.el.classList.remove('fresh'), 800);
 }
 
-export function renderHtmlCell(cell) {
+export function renderHtmlCell(cell, scope = S.scope) {
   const viewEl = cell.el.querySelector('.cell-html-view');
   const outputEl = cell.el.querySelector('.cell-output');
   if (!viewEl) return;
@@ -108,12 +480,12 @@ export function renderHtmlCell(cell) {
   // pre-populate scope with widget values (for self-reference)
   if (cell._inputs) {
     for (const [k, v] of Object.entries(cell._inputs)) {
-      if (v !== undefined) S.scope[k] = v;
+      if (v !== undefined) scope[k] = v;
     }
   }
 
   const scopeKeys = cell.uses ? [...cell.uses].sort() : [];
-  const scopeVals = scopeKeys.map(k => S.scope[k]);
+  const scopeVals = scopeKeys.map(k => scope[k]);
 
   if (!cell._tplCache) cell._tplCache = {};
   const scopeSig = scopeKeys.join(',');
@@ -262,9 +634,7 @@ export function renderHtmlCell(cell) {
 
 function wireWidgets(cell, viewEl) {
   if (!cell._inputs) cell._inputs = {};
-  const widgets = viewEl.querySelectorAll(
-    'audit-slider, audit-dropdown, audit-checkbox, audit-text-input'
-  );
+  const widgets = viewEl.querySelectorAll([...widgetTags(), '[audit-view]'].join(', '));
   // clean up previous listeners
   if (cell._widgetCleanups) {
     for (const cleanup of cell._widgetCleanups) cleanup();
@@ -272,35 +642,38 @@ function wireWidgets(cell, viewEl) {
   cell._widgetCleanups = [];
 
   for (const w of widgets) {
-    const name = w.name;
+    // a registered widget's name attribute, or audit-view="name" on any element
+    // (debounced like a slider)
+    const spec = widgetForTag(w.localName);
+    const name = w.getAttribute('audit-view') || (spec && w.getAttribute('name'));
     if (!name) continue;
     // skip code-cell widgets (they have data-widget-key)
     if (w.dataset.widgetKey) continue;
+    const read = () => spec?.coerce ? spec.coerce(w.value) : w.value;
+    const delay = spec ? spec.debounce : 80;
 
     // restore persisted value or read default
     if (cell._inputs[name] !== undefined) {
       w.value = cell._inputs[name];
     } else {
-      cell._inputs[name] = w.value;
+      cell._inputs[name] = read();
     }
 
     const handler = () => {
-      cell._inputs[name] = w.value;
-      S.scope[name] = w.value;
-      if (w.tagName === 'AUDIT-SLIDER' || w.tagName === 'AUDIT-TEXT-INPUT') {
-        clearTimeout(cell._inputTimer);
-        const delay = w.tagName === 'AUDIT-TEXT-INPUT' ? 300 : 80;
-        cell._inputTimer = setTimeout(() => runDAG([cell.id], true), delay);
-      } else {
-        runDAG([cell.id], true);
-      }
+      cell._inputs[name] = read();
+      S.scope[name] = cell._inputs[name];
+      clearTimeout(cell._inputTimer);
+      if (delay) cell._inputTimer = setTimeout(() => runDAG([cell.id], true), delay);
+      else runDAG([cell.id], true);
     };
     w.addEventListener('input', handler);
     cell._widgetCleanups.push(() => w.removeEventListener('input', handler));
   }
 }
 
-export async function execCell(cell) {
+// inputs holds the values of the names the cell uses: the pass hands over its
+// own, so nothing another pass does to S.scope reaches a cell mid-run
+export async function execCell(cell, passSignal, inputs = S.scope) {
   // fire invalidation promise from previous run (cleanup resources)
   if (cell._invalidate) { cell._invalidate(); cell._invalidate = null; }
 
@@ -316,30 +689,46 @@ export async function execCell(cell) {
   const outId = parseOutputId(cell.code);
   outputEl.id = outId || '';
   cell.el.classList.toggle('present-hidden', isHidden(cell.code));
+  cell.el.classList.remove('interrupted');
   cell.error = null;
+  cell._fromCache = false;
+  // re-runs caused by this cell's own widgets keep the view() elements in place
+  const widgetRun = cell._widgetRun;
+  cell._widgetRun = false;
+  clearEditorErrorLine(cell.id);
 
   // create invalidation promise for this run
   let invalidationResolve;
   const invalidation = new Promise(r => { invalidationResolve = r; });
   cell._invalidate = invalidationResolve;
 
+  // abort signal for this run — stop buttons, %timeout, or a newer run
+  const ctl = new AbortController();
+  const signal = ctl.signal;
+  cell._abort = ctl;
+  invalidation.then(() => ctl.abort(SUPERSEDED));
+  const onPassAbort = () => ctl.abort(passSignal.reason);
+  if (passSignal) passSignal.addEventListener('abort', onPassAbort);
+  // per-run console; goes quiet (devtools only) once the cell re-runs
+  const { console: cellConsole, close: closeConsole } = makeConsole(outputEl);
+  invalidation.then(closeConsole);
+
+  const timeout = parseTimeout(cell.code);
+  const timer = timeout != null &&
+    setTimeout(() => ctl.abort(interruptError(`interrupted after ${fmtTimeout(timeout)} timeout`)), timeout);
+
   // track which widgets are used this run
   const usedWidgets = new Set();
   let canvasIdx = 0;
 
-  // build display function for this cell
+  // build display function for this cell — see display.js for the protocol
   const display = (...args) => {
     for (const arg of args) {
       if (arg instanceof Element) {
         outputEl.appendChild(arg);
-      } else if (typeof arg === 'object' && arg !== null) {
-        const pre = document.createElement('span');
-        try { pre.textContent = JSON.stringify(arg, null, 2); }
-        catch { pre.textContent = String(arg); }
-        outputEl.appendChild(pre);
-        outputEl.appendChild(document.createTextNode('\n'));
       } else {
-        outputEl.appendChild(document.createTextNode(String(arg) + '\n'));
+        outputEl.appendChild(renderValue(arg));
+        outputEl.appendChild(document.createTextNode('\n'));
       }
     }
   };
@@ -358,137 +747,182 @@ export async function execCell(cell) {
     return c;
   };
 
-  // table helper
-  const table = (data, columns) => {
-    if (!data || !data.length) return;
-    const cols = columns || Object.keys(data[0]);
-
-    // detect numeric columns by scanning first 10 rows
-    const isNumCol = {};
-    for (const c of cols) {
-      let allNum = true;
-      const scanRows = data.slice(0, 10);
-      for (const row of scanRows) {
-        const v = row[c];
-        if (v !== null && v !== undefined && typeof v !== 'number') { allNum = false; break; }
-      }
-      isNumCol[c] = allNum;
-    }
-
-    const t = document.createElement('table');
-    const thead = document.createElement('thead');
-    const hr = document.createElement('tr');
-    for (const c of cols) {
-      const th = document.createElement('th');
-      th.textContent = c;
-      th.style.textAlign = isNumCol[c] ? 'right' : 'left';
-      hr.appendChild(th);
-    }
-    thead.appendChild(hr);
-    t.appendChild(thead);
-    const tbody = document.createElement('tbody');
-    for (const row of data) {
-      const tr = document.createElement('tr');
-      for (const c of cols) {
-        const td = document.createElement('td');
-        const v = row[c];
-        td.textContent = typeof v === 'number' ? (Number.isInteger(v) ? v : v.toFixed(4)) : String(v ?? '');
-        td.style.textAlign = isNumCol[c] ? 'right' : 'left';
-        tr.appendChild(td);
-      }
-      tbody.appendChild(tr);
-    }
-    t.appendChild(tbody);
-    outputEl.appendChild(t);
+  // table helper — see data-table.js. sort, filter, column widths, scroll
+  // and selection are kept per table across re-runs, keyed by label (or
+  // position), the selection only while the data stays the same array; with
+  // `select` the selected rows are returned and picking rows re-runs the cell
+  // like a widget
+  if (!cell._tables) cell._tables = {};
+  let tableIdx = 0;
+  const table = (data, opts = {}) => {
+    if (Array.isArray(opts)) opts = { columns: opts };
+    const key = opts.label ?? `table ${tableIdx}`;
+    tableIdx++;
+    const state = cell._tables[key] ||= {};
+    if (opts.select) usedWidgets.add(key);
+    if (data && !Array.isArray(data)) data = [...data];
+    if (!data || !data.length) return opts.select ? [] : undefined;
+    const cols = tableColumns(data, opts.columns);
+    const onSelect = opts.select && (() => rerunFromWidget(0));
+    outputEl.appendChild(renderDataTable(data, cols, { ...opts, formats: opts.format }, state, onSelect));
+    if (opts.select) return selectedRows(data, state);
   };
 
   // input widget helpers — persist state and DOM across re-runs
   if (!cell._inputs) cell._inputs = {};
   if (!cell._callbacks) cell._callbacks = {};
 
-  const _tagMap = { slider: 'audit-slider', dropdown: 'audit-dropdown',
-                    checkbox: 'audit-checkbox', text: 'audit-text-input' };
+  // a params cell's widgets start from the page URL, on its first run only
+  const urlParams = isParams(cell.code) ? readUrlParams(location.search, location.hash) : null;
+  const seeded = [];
+  if (urlParams && !cell._paramsSeeded) {
+    cell._paramsSeeded = true;
+    for (const name of cell.defines || []) {
+      if (urlParams.has(name) && cell._inputs[name] === undefined) {
+        cell._inputs[name] = seedValue(urlParams.get(name));
+        seeded.push(name);
+      }
+    }
+  }
+
+  // ...and its other values are replaced as they are declared (each top-level
+  // initializer is wrapped in __param), so the rest of the cell reads them
+  const fromUrl = new Set();
+  const __param = (name, value) => {
+    if (!urlParams?.has(name) || usedWidgets.has(name)) return value;
+    fromUrl.add(name);
+    const raw = urlParams.get(name);
+    const v = coerceParam(raw, value);
+    if (v !== undefined) return v;
+    cellConsole.warn(`%params: ignoring ${name}=${raw}, not a ${paramType(value)}`);
+    return value;
+  };
+
+  const rerunFromWidget = (delay) => {
+    clearTimeout(cell._inputTimer);
+    const run = () => { cell._widgetRun = true; runDAG([cell.id], true); };
+    if (delay) cell._inputTimer = setTimeout(run, delay);
+    else run();
+  };
+
+  // apply a widget's option attributes, leaving unchanged ones alone
+  const setWidgetAttrs = (el, spec, opts) => {
+    if (!spec.attrs) return;
+    for (const [name, v] of Object.entries(spec.attrs(opts))) {
+      if (v == null) continue;
+      if (el.getAttribute(name) !== String(v)) el.setAttribute(name, v);
+    }
+  };
 
-  const mkInput = (label, type, defaultVal, opts = {}) => {
+  // ui.<name>(label, ...args) for every registered widget (see widget-registry.js)
+  const mkInput = (name, label, ...args) => {
+    const spec = getWidget(name);
+    const { value: defaultVal, opts = {} } = spec.args(...args);
     const key = label;
     const prev = cell._inputs[key];
-    let val = prev !== undefined ? prev : defaultVal;
+    const val = prev !== undefined ? prev : defaultVal;
+    const read = el => spec.coerce ? spec.coerce(el.value) : el.value;
     usedWidgets.add(key);
     cell._callbacks[key] = { onInput: opts.onInput, onChange: opts.onChange };
 
-    const tag = _tagMap[type];
-
     // check if widget DOM already exists
     const existing = widgetEl.querySelector(`[data-widget-key="${CSS.escape(key)}"]`);
-    if (existing) {
+    if (existing && existing.localName === spec.tag) {
       // update attributes that may have changed on re-run
       existing.id = opts.id || '';
       if (opts.class) existing.className = opts.class; else existing.removeAttribute('class');
-      if (type === 'slider') {
-        if (opts.min != null) existing.setAttribute('min', opts.min);
-        if (opts.max != null) existing.setAttribute('max', opts.max);
-        if (opts.step != null) existing.setAttribute('step', opts.step);
-      } else if (type === 'dropdown') {
-        const newOpts = (opts.options || []).join(',');
-        if (existing.getAttribute('options') !== newOpts) existing.setAttribute('options', newOpts);
-      }
-      cell._inputs[key] = existing.value;
+      setWidgetAttrs(existing, spec, opts);
+      cell._inputs[key] = read(existing);
       return cell._inputs[key];
     }
+    if (existing) existing.remove();
 
     // create new custom element
-    const el = document.createElement(tag);
+    const el = document.createElement(spec.tag);
     el.dataset.widgetKey = key;
     el.setAttribute('label', label);
     el.setAttribute('name', label);
     if (opts.id) el.id = opts.id;
     if (opts.class) el.className = opts.class;
-
-    if (type === 'slider') {
-      el.setAttribute('min', opts.min ?? 0);
-      el.setAttribute('max', opts.max ?? 100);
-      el.setAttribute('step', opts.step ?? 1);
-      el.setAttribute('value', val);
-    } else if (type === 'dropdown') {
-      el.setAttribute('options', (opts.options || []).join(','));
-      el.setAttribute('value', val);
-    } else if (type === 'checkbox') {
-      if (val) el.setAttribute('checked', '');
-    } else if (type === 'text') {
-      el.setAttribute('value', val);
-    }
+    setWidgetAttrs(el, spec, opts);
+    if (val !== undefined) el.value = val;
 
     // event handling: reactive vs callback
     el.addEventListener('input', () => {
-      cell._inputs[key] = el.value;
+      cell._inputs[key] = read(el);
       const cb = cell._callbacks[key];
-      if (cb.onInput) { cb.onInput(el.value); }
-      else if (!cb.onChange) {
-        clearTimeout(cell._inputTimer);
-        const delay = type === 'text' ? 300 : type === 'slider' ? 80 : 0;
-        if (delay) cell._inputTimer = setTimeout(() => runDAG([cell.id], true), delay);
-        else runDAG([cell.id], true);
-      }
+      if (cb.onInput) { cb.onInput(cell._inputs[key]); }
+      else if (!cb.onChange) rerunFromWidget(spec.debounce);
     });
     el.addEventListener('change', () => {
       const cb = cell._callbacks[key];
-      if (cb.onChange) cb.onChange(el.value);
+      if (cb.onChange) cb.onChange(read(el));
     });
 
     widgetEl.appendChild(el);
-    cell._inputs[key] = el.value;
+    cell._inputs[key] = read(el);
     return cell._inputs[key];
   };
 
-  const slider = (label, defaultVal = 50, opts = {}) => mkInput(label, 'slider', defaultVal, opts);
-  const dropdown = (label, options, defaultVal, opts = {}) => mkInput(label, 'dropdown', defaultVal || options[0], { ...opts, options });
-  const checkbox = (label, defaultVal = false, opts = {}) => mkInput(label, 'checkbox', defaultVal, opts);
-  const textInput = (label, defaultVal = '', opts = {}) => mkInput(label, 'text', defaultVal, opts);
+
+  // any element with a .value that fires input events, as a widget. keyed by
+  // label (or the element's name); while its own input re-runs the cell the
+  // mounted element stays, other re-runs swap in the new one with the value
+  let viewIdx = 0;
+  const view = (element, opts = {}) => {
+    if (typeof opts === 'string') opts = { label: opts };
+    if (!(element instanceof Element)) throw new TypeError('view() takes an element with a value and input events');
+    const key = opts.label ?? element.getAttribute('name') ?? `view ${viewIdx}`;
+    viewIdx++;
+    usedWidgets.add(key);
+    cell._callbacks[key] = { onInput: opts.onInput, onChange: opts.onChange };
+
+    let wrap = widgetEl.querySelector(`[data-widget-key="${CSS.escape(key)}"]`);
+    if (wrap?._viewEl && (widgetRun || wrap._viewEl === element)) {
+      cell._inputs[key] = wrap._viewEl.value;
+      return cell._inputs[key];
+    }
+    if (cell._inputs[key] !== undefined) {
+      try { element.value = cell._inputs[key]; } catch {} // read-only value: start fresh
+    }
+    if (!wrap) {
+      wrap = document.createElement('div');
+      wrap.className = 'audit-view';
+      wrap.dataset.widgetKey = key;
+      widgetEl.appendChild(wrap);
+    }
+    wrap.textContent = '';
+    if (opts.label) {
+      const lbl = document.createElement('span');
+      lbl.className = 'audit-widget-label';
+      lbl.textContent = opts.label;
+      wrap.appendChild(lbl);
+    }
+    if (opts.id) wrap.id = opts.id; else wrap.removeAttribute('id');
+    wrap.className = 'audit-view' + (opts.class ? ' ' + opts.class : '');
+    wrap.appendChild(element);
+    wrap._viewEl = element;
+
+    element.addEventListener('input', () => {
+      cell._inputs[key] = element.value;
+      const cb = cell._callbacks[key];
+      if (cb.onInput) cb.onInput(element.value);
+      else if (!cb.onChange) rerunFromWidget(opts.debounce ?? 80);
+    });
+    element.addEventListener('change', () => {
+      const cb = cell._callbacks[key];
+      if (cb.onChange) cb.onChange(element.value);
+    });
+
+    cell._inputs[key] = element.value;
+    return cell._inputs[key];
+  };
 
   // execute with scoped parameters (only what this cell uses, for stable V8 JIT)
   // filter out injected names — they're per-cell params, not scope-propagated
-  const _injected = ['ui', 'std', 'load', 'install', 'installBinary', 'invalidation', 'print', 'display', 'md', 'html', 'css', 'workshop', 'notebook'];
+  const _injected = ['ui', 'std', 'load', 'install', 'installBinary', 'invalidation', 'signal', 'print', 'display', 'console', 'md', 'html', 'css', 'workshop', 'notebook'];
   const scopeKeys = cell.uses ? [...cell.uses].filter(k => !_injected.includes(k)).sort() : [];
+  const scopeVals = scopeKeys.map(k => inputs[k]);
   const defNames = cell.defines ? [...cell.defines].sort().join(', ') : '';
 
   // import cache — shared across all cells
@@ -625,7 +1059,8 @@ export async function execCell(cell) {
   };
 
   // ui object — constructed per-cell (closes over cell context)
-  const ui = { display, print: display, canvas, table, slider, dropdown, checkbox, textInput };
+  const ui = { display, print: display, canvas, table, view };
+  for (const name of widgetNames()) ui[name] = (label, ...args) => mkInput(name, label, ...args);
 
   // tagged template builtins
   const md = taggedTemplate('md');
@@ -707,6 +1142,7 @@ export async function execCell(cell) {
       } else if (page.content instanceof TaggedContent) {
         if (page.content.type === 'md') {
           body.innerHTML = renderMd(page.content.content);
+          decorateCodeBlocks(body);
         } else if (page.content.type === 'css') {
           const pre = document.createElement('pre');
           pre.textContent = page.content.content;
@@ -806,6 +1242,8 @@ export async function execCell(cell) {
   const notebook = {
     get cells() { return S.cells.map(c => ({ id: c.id, type: c.type, code: c.code })); },
     get scope() { return { ...S.scope }; },
+    // profile of the last completed pass: { start, duration, dirty, cells: [{ id, start, duration, status }] }
+    get lastRun() { return S.lastRun && { ...S.lastRun, dirty: [...S.lastRun.dirty], cells: S.lastRun.cells.map(e => ({ ...e })) }; },
     addCell: (type, code, afterId) => addCell(type, code, afterId),
     scrollTo: (id) => {
       const c = S.cells.find(c => c.id === id);
@@ -831,39 +1269,100 @@ export async function execCell(cell) {
     run: (ids) => runDAG(Array.isArray(ids) ? ids : [ids], true),
   };
 
+  // mutable references are read and written through this proxy
+  const __mutable = new Proxy({}, {
+    get: (_, name) => getMutable(name),
+    set: (_, name, value) => { setMutable(cell, name, value); return true; },
+  });
+  const mutables = mutableNames();
+  const mutableKey = [...mutables].sort().join(',');
+  const returnNames = cell.defines
+    ? [...cell.defines].sort().map(n => cell.mutables?.has(n) ? `${n}: __mutable.${n}` : n).join(', ')
+    : '';
+
   // function caching — reuse compiled function if code/uses/defines unchanged
-  const cacheKey = scopeKeys.join(',') + '|' + defNames + '|' + cell.code;
+  const cacheKey = scopeKeys.join(',') + '|' + defNames + '|' + mutableKey + '|' + cell.code;
+
+  // rejects when the signal fires, so a stuck await stops holding up the pass
+  const interrupted = new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  interrupted.catch(() => {});
 
+  cell.el.classList.add('running');
   try {
-    let fn;
-    if (cell._cacheKey === cacheKey && cell._cachedFn) {
-      fn = cell._cachedFn;
+    let result;
+    const storeKey = await cacheKeyFor(cell, scopeKeys, scopeVals, mutables);
+    const hit = storeKey && await cacheGet(storeKey);
+    if (signal.aborted) throw signal.reason;
+    if (hit) {
+      result = hit.defines;
+      fillOutput(outputEl, hit.output);
+      cell._fromCache = true;
+    } else if (isWorker(cell.code)) {
+      result = await runInWorker(cell, scopeKeys, scopeVals, display, cellConsole, signal);
     } else {
-      const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-      const cellName = parseCellName(cell.code);
-      const slug = cellName ? '-' + cellName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') : '';
-      fn = new AsyncFunction(
-        ...scopeKeys,
-        'ui', 'std', 'load', 'install', 'installBinary', 'invalidation', 'print', 'display',
-        'md', 'html', 'css', 'workshop', 'notebook',
-        `"use strict";\n${cell.code}\n\n` +
-        `return { ${defNames} };\n` +
-        `//# sourceURL=auditable://cell-${cell.id}${slug}.js`
-      );
-      cell._cachedFn = fn;
-      cell._cacheKey = cacheKey;
+      let fn;
+      if (cell._cacheKey === cacheKey && cell._cachedFn) {
+        fn = cell._cachedFn;
+      } else {
+        const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+        const cellName = parseCellName(cell.code);
+        const code = urlParams ? rewriteInits(cell.code, (name, init) => `__param(${JSON.stringify(name)}, ${init})`) : cell.code;
+        const slug = cellName ? '-' + cellName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') : '';
+        fn = new AsyncFunction(
+          ...scopeKeys,
+          'ui', 'std', 'load', 'install', 'installBinary', 'invalidation', 'signal', 'print', 'display', 'console',
+          'md', 'html', 'css', 'workshop', 'notebook', '__mutable', '__param',
+          `"use strict";\n${mutables.size ? rewriteMutables(code, mutables) : code}\n\n` +
+          `return { ${returnNames} };\n` +
+          `//# sourceURL=auditable://cell-${cell.id}${slug}.js`
+        );
+        cell._cachedFn = fn;
+        cell._cacheKey = cacheKey;
+      }
+
+      cell._executing = true;
+      try {
+        result = await Promise.race([interrupted, fn(...scopeVals, ui, std, load, install, installBinary,
+          invalidation, signal, display, display, cellConsole, md, html, css, workshop, notebook, __mutable, __param)]);
+      } finally {
+        cell._executing = false;
+      }
     }
 
-    const scopeVals = scopeKeys.map(k => S.scope[k]);
-    const result = await fn(...scopeVals, ui, std, load, install, installBinary, invalidation, display, display,
-      md, html, css, workshop, notebook);
+    if (signal.aborted) throw signal.reason;
+
+    // URL values for names __param didn't see (destructured, or from a worker
+    // or the cache) replace the results, except where a widget took them
+    for (const name of seeded) if (!usedWidgets.has(name)) delete cell._inputs[name];
+    if (urlParams && result && typeof result === 'object') {
+      for (const [name, raw] of urlParams) {
+        if (!(name in result) || usedWidgets.has(name) || fromUrl.has(name)) continue;
+        const v = coerceParam(raw, result[name]);
+        if (v === undefined) cellConsole.warn(`%params: ignoring ${name}=${raw}, not a ${paramType(result[name])}`);
+        else result[name] = v;
+      }
+    }
 
     // update scope with defined variables
     if (result && typeof result === 'object') {
+      // streams define their first value now and keep pulling afterwards
+      const streams = [];
+      for (const [k, v] of Object.entries(result)) {
+        const iter = asStream(v);
+        if (!iter) continue;
+        const first = await Promise.race([interrupted, iter.next()]);
+        result[k] = first.value;
+        if (!first.done) streams.push([k, iter]);
+      }
       cell._lastResult = result;
       for (const [k, v] of Object.entries(result)) {
         if (v !== undefined) S.scope[k] = v;
       }
+      if (storeKey && !hit && !streams.length && !usedWidgets.size) storeResult(cell, storeKey, result, captureOutput(outputEl));
+      if (!outputEl.childNodes.length && !usedWidgets.size) showValue(cell, result);
+      for (const [k, iter] of streams) pumpCell(cell, result, k, iter, signal);
     }
 
     cell.el.classList.remove('stale', 'error');
@@ -880,44 +1379,214 @@ export async function execCell(cell) {
     }
 
   } catch (e) {
-    cell.error = e.message;
-    outputEl.textContent = e.message;
-    outputEl.className = 'cell-output error';
+    if (e === SUPERSEDED) return;
+    if (signal.aborted && e === signal.reason) { markInterrupted(cell, e); return; }
+    showError(cell, outputEl, e);
     cell.el.classList.remove('stale', 'fresh');
     cell.el.classList.add('error');
+  } finally {
+    clearTimeout(timer);
+    if (passSignal) passSignal.removeEventListener('abort', onPassAbort);
+    cell.el.classList.remove('running');
   }
 }
 
 export async function runDAG(dirtyIds, force = false) {
+  const ctl = new AbortController();
+  _passes.add(ctl);
+  _dagDepth++;
+  updateStopButtons();
+  try {
+    await runPass(dirtyIds, force, ctl.signal);
+  } finally {
+    _dagDepth--;
+    _passes.delete(ctl);
+    updateStopButtons();
+  }
+}
+
+async function runPass(dirtyIds, force, signal) {
   buildDAG();
-  const isAutorun = S.autorun && !force;
+  renderDiagnostics();
 
   // determine which cells need execution via topo sort
   const runSet = new Set(topoSort(dirtyIds));
 
   if (window._dagStart) window._dagStart();
 
-  // rebuild scope in document order, only executing cells in runSet
-  S.scope = {};
+  const profile = startProfile(dirtyIds);
+  const pass = { dirtyIds, force, signal, runSet, profile };
+
+  // %goto jumps only make sense in the document-order walk
+  if (window._dagSequential && window._dagSequential()) await walkInOrder(pass);
+  else await runScheduled(pass);
+
+  S.lastRun = endProfile(profile);
+  renderTimeline();
+
+  updateStatus();
+
+  // recheck workshop canAdvance gates after scope changes
+  for (const c of S.cells) {
+    if (c._workshopRecheck) c._workshopRecheck();
+  }
+}
+
+// ── PROFILING ──
+// see profile.js; each entry also shows on its cell
+
+function record(pass, cell, status, t0) {
+  showCellTime(cell, recordCell(pass.profile, cell.id, status, t0));
+}
+
+const execStatus = cell => !cell.error ? (cell._fromCache ? 'cached' : 'ran') : cell.el.classList.contains('interrupted') ? 'interrupted' : 'error';
+
+function markBlocked(cell) {
+  const outputEl = cell.el.querySelector('.cell-output');
+  if (outputEl && !cell.error) {
+    outputEl.textContent = 'blocked by upstream error';
+    outputEl.className = 'cell-output error';
+  }
+  cell.el.classList.remove('stale', 'fresh', 'interrupted');
+  cell.el.classList.add('error');
+}
+
+// an html cell contributes the current values of its audit-* widgets
+function widgetValues(cell) {
+  if (!cell.defines || !cell._inputs) return null;
+  const out = {};
+  for (const name of cell.defines) out[name] = cell._inputs[name];
+  return out;
+}
+
+// concurrent pass (see schedule.js). each cell gets its inputs handed to it,
+// and the scope the pass builds is published when it ends
+async function runScheduled(pass) {
+  const settled = await scheduleCells(S.cells, (cell, ready) => scheduleCell(cell, ready, pass));
+  publishScope(mergeScope(settled));
+}
+
+// S.scope is never emptied mid-pass: a pass replaces it once it is done, or
+// merges into it while other passes are still running off it
+function publishScope(scope) {
+  if (_dagDepth > 1) Object.assign(S.scope, scope);
+  else S.scope = scope;
+}
+
+// settles to { out, failed }: the values the cell puts in scope, and whether
+// it errored or was blocked (which blocks every cell reading from it)
+async function scheduleCell(cell, ready, pass) {
+  const { signal, runSet } = pass;
+  const dirty = pass.dirtyIds.includes(cell.id);
+  const inRun = runSet.has(cell.id);
+
+  // cells that won't run contribute their last result without waiting
+  if (cell.type === 'code') {
+    if (isNorun(cell.code) && !dirty) {
+      if (inRun) record(pass, cell, 'norun');
+      return { out: cell._lastResult };
+    }
+    if (!pass.force && isManual(cell.code) && !dirty) {
+      if (inRun) record(pass, cell, 'manual');
+      cell.el.classList.add('stale');
+      return { out: cell._lastResult };
+    }
+  } else if (cell.type !== 'html' && cell.type !== 'md') {
+    return {};
+  }
+  const kept = () => ({ out: cell.type === 'code' ? cell._lastResult : cell.type === 'html' ? widgetValues(cell) : null });
+  if (!inRun) return kept();
+
+  const { inputs, blocked } = await ready();
+  // once interrupted, the rest of the pass only restores cached results
+  if (signal.aborted) {
+    record(pass, cell, 'stopped');
+    cell.el.classList.add('stale');
+    return kept();
+  }
+
+  const t0 = performance.now();
+  if (cell.type === 'html') {
+    if (blocked) {
+      record(pass, cell, 'blocked');
+      cell.el.classList.remove('fresh');
+      cell.el.classList.add('stale');
+    } else {
+      renderHtmlCell(cell, inputs);
+      record(pass, cell, 'ran', t0);
+    }
+    return { out: widgetValues(cell) };
+  }
+  if (cell.type === 'md') {
+    if (blocked) {
+      record(pass, cell, 'blocked');
+      cell.el.classList.add('stale');
+    } else {
+      renderMdCell(cell, inputs);
+      record(pass, cell, 'ran', t0);
+    }
+    return {};
+  }
+
+  if (blocked) {
+    record(pass, cell, 'blocked');
+    markBlocked(cell);
+    return { failed: true };
+  }
+
+  // value-equality gating: a downstream dependent whose inputs are all
+  // unchanged keeps its previous results
+  if (!dirty && cell._lastResult && cell.uses && cell.uses.size > 0 &&
+      [...cell.uses].every(name => inputs[name] === cell._prevInputs?.[name])) {
+    record(pass, cell, 'gated');
+    return { out: cell._lastResult };
+  }
+
+  await execCell(cell, signal, inputs);
+  record(pass, cell, execStatus(cell), t0);
+
+  // snapshot input values for future equality checks
+  if (cell.uses) {
+    cell._prevInputs = {};
+    for (const name of cell.uses) cell._prevInputs[name] = inputs[name];
+  }
+  return cell.error ? { failed: true } : { out: cell._lastResult };
+}
+
+// sequential pass: build the scope in document order, only executing cells in runSet
+async function walkInOrder(pass) {
+  const { dirtyIds, force, signal, runSet } = pass;
+  const isAutorun = S.autorun && !force;
+  const scope = {};
   const poisoned = new Set(); // variable names defined by errored cells
+  let lastYield = performance.now();
   for (let i = 0; i < S.cells.length; i++) {
     const cell = S.cells[i];
 
+    // once interrupted, the rest of the pass only restores cached results
+    if (signal.aborted && runSet.delete(cell.id)) {
+      record(pass, cell, 'stopped');
+      cell.el.classList.add('stale');
+    }
+
+    const t0 = performance.now();
     if (cell.type === 'html') {
       if (runSet.has(cell.id)) {
         // check if any used variable is poisoned
         if (cell.uses && [...cell.uses].some(n => poisoned.has(n))) {
+          record(pass, cell, 'blocked');
           cell.el.classList.remove('fresh');
           cell.el.classList.add('stale');
         } else {
-          renderHtmlCell(cell);
+          renderHtmlCell(cell, scope);
+          record(pass, cell, 'ran', t0);
         }
       }
       // inject widget-defined variables into scope for downstream cells
       if (cell.defines && cell.defines.size > 0) {
         for (const name of cell.defines) {
           if (cell._inputs && cell._inputs[name] !== undefined) {
-            S.scope[name] = cell._inputs[name];
+            scope[name] = cell._inputs[name];
           }
         }
       }
@@ -926,9 +1595,11 @@ export async function runDAG(dirtyIds, force = false) {
     if (cell.type === 'md') {
       if (runSet.has(cell.id)) {
         if (cell.uses && [...cell.uses].some(n => poisoned.has(n))) {
+          record(pass, cell, 'blocked');
           cell.el.classList.add('stale');
         } else {
-          renderMdCell(cell);
+          renderMdCell(cell, scope);
+          record(pass, cell, 'ran', t0);
         }
       }
       continue;
@@ -937,9 +1608,10 @@ export async function runDAG(dirtyIds, force = false) {
 
     // skip norun cells (unless explicitly triggered)
     if (isNorun(cell.code) && !dirtyIds.includes(cell.id)) {
+      if (runSet.has(cell.id)) record(pass, cell, 'norun');
       if (cell._lastResult) {
         for (const [k, v] of Object.entries(cell._lastResult)) {
-          if (v !== undefined) S.scope[k] = v;
+          if (v !== undefined) scope[k] = v;
         }
       }
       continue;
@@ -947,9 +1619,10 @@ export async function runDAG(dirtyIds, force = false) {
 
     // skip manual cells unless force or explicitly triggered
     if (!force && isManual(cell.code) && !dirtyIds.includes(cell.id)) {
+      if (runSet.has(cell.id)) record(pass, cell, 'manual');
       if (cell._lastResult) {
         for (const [k, v] of Object.entries(cell._lastResult)) {
-          if (v !== undefined) S.scope[k] = v;
+          if (v !== undefined) scope[k] = v;
         }
       }
       cell.el.classList.add('stale');
@@ -960,7 +1633,7 @@ export async function runDAG(dirtyIds, force = false) {
     if (!runSet.has(cell.id)) {
       if (cell._lastResult) {
         for (const [k, v] of Object.entries(cell._lastResult)) {
-          if (v !== undefined) S.scope[k] = v;
+          if (v !== undefined) scope[k] = v;
         }
       }
       continue;
@@ -973,13 +1646,8 @@ export async function runDAG(dirtyIds, force = false) {
         if (poisoned.has(name)) { blocked = true; break; }
       }
       if (blocked) {
-        const outputEl = cell.el.querySelector('.cell-output');
-        if (outputEl && !cell.error) {
-          outputEl.textContent = 'blocked by upstream error';
-          outputEl.className = 'cell-output error';
-        }
-        cell.el.classList.remove('stale', 'fresh');
-        cell.el.classList.add('error');
+        record(pass, cell, 'blocked');
+        markBlocked(cell);
         // poison our own defines so downstream also blocks
         if (cell.defines) for (const name of cell.defines) poisoned.add(name);
         continue;
@@ -991,43 +1659,51 @@ export async function runDAG(dirtyIds, force = false) {
     if (!dirtyIds.includes(cell.id) && cell._lastResult && cell.uses && cell.uses.size > 0) {
       let inputsChanged = false;
       for (const name of cell.uses) {
-        if (S.scope[name] !== cell._prevInputs?.[name]) { inputsChanged = true; break; }
+        if (scope[name] !== cell._prevInputs?.[name]) { inputsChanged = true; break; }
       }
       if (!inputsChanged) {
         // inputs identical — restore previous results, skip execution
+        record(pass, cell, 'gated');
         for (const [k, v] of Object.entries(cell._lastResult)) {
-          if (v !== undefined) S.scope[k] = v;
+          if (v !== undefined) scope[k] = v;
         }
         continue;
       }
     }
 
     if (window._beforeExec) window._beforeExec(cell);
-    await execCell(cell);
+    await execCell(cell, signal, scope);
+    record(pass, cell, execStatus(cell), t0);
 
     // if the cell errored, poison its defines
     if (cell.error) {
       if (cell.defines) for (const name of cell.defines) poisoned.add(name);
+    } else if (cell._lastResult) {
+      for (const [k, v] of Object.entries(cell._lastResult)) {
+        if (v !== undefined) scope[k] = v;
+      }
     }
 
     // snapshot input values for future equality checks
     if (cell.uses) {
       cell._prevInputs = {};
-      for (const name of cell.uses) cell._prevInputs[name] = S.scope[name];
+      for (const name of cell.uses) cell._prevInputs[name] = scope[name];
     }
 
-    if (window._afterExec && !isAutorun) {
+    if (window._afterExec && !isAutorun && !signal.aborted) {
       const jump = window._afterExec(cell, i);
-      if (jump >= 0) { i = jump - 1; continue; }
+      if (jump >= 0) {
+        // let the stop button through on long %goto loops
+        if (performance.now() - lastYield > 50) {
+          await new Promise(r => setTimeout(r, 0));
+          lastYield = performance.now();
+        }
+        i = jump - 1;
+        continue;
+      }
     }
   }
-
-  updateStatus();
-
-  // recheck workshop canAdvance gates after scope changes
-  for (const c of S.cells) {
-    if (c._workshopRecheck) c._workshopRecheck();
-  }
+  publishScope(scope);
 }
 
 export async function runAll() {
@@ -1038,4 +1714,6 @@ export async function runAll() {
 }
 
 // late import to avoid circular dependency at module load time
-import { updateStatus } from './ui.js';
+import { updateStatus, renderDiagnostics, cellLabel } from './ui.js';
+import { selectCell } from './keyboard.js';
+import { showCellTime, renderTimeline } from './timeline.js';
@@ -5,13 +5,17 @@
 
 import { $, S } from './state.js';
 import { registerProvider } from './stdlib.js';
+import { registerRenderer } from './display.js';
+import { registerWidget } from './widget-registry.js';
 import { toggleAutorun } from './editor.js';
-import { toggleSettings, togglePresent, applyTheme, applyFontSize, applyWidth, applyLineNumbers, applyHeader, applyExecMode, applyRunOnLoad, applyShowToggle, applyGlobalExecMode, applyGlobalRunOnLoad, applyEditorView } from './settings.js';
+import { toggleSettings, togglePresent, applyTheme, applyFontSize, applyWidth, applyLineNumbers, applyHeader, applyExecMode, applyRunOnLoad, applyShowToggle, applyGlobalExecMode, applyGlobalRunOnLoad, applyEditorView, applySaveOutputs, applyResultCache, clearResultCache } from './settings.js';
 import { toggleUpdate, checkForUpdate, applyOnlineUpdate, proceedUpdate, cancelUpdate, updateFromFile } from './update.js';
-import { saveNotebook, savePackedNotebook, setSaveMode, toggleSaveTray, exportAsTxt } from './save.js';
+import { saveNotebook, savePackedNotebook, setSaveMode, toggleSaveTray, exportAsTxt, copyParamsLink } from './save.js';
 import { insertAt } from './ui.js';
 import { openFind, closeFind } from './find.js';
-import { runAll } from './exec.js';
+import { toggleTimeline } from './timeline.js';
+import { toggleOutline, insertToc } from './outline-panel.js';
+import { runAll, interruptRun, interruptCell } from './exec.js';
 import { toggleSplitView } from './split.js';
 import { addCellWithUndo, deleteCellWithUndo, runSelectedCell, toggleToolbarMenu, toggleAddTray, toggleMoreTray, showInsertPicker, toggleTypePicker, collapseAll, expandAll, newNotebook } from './keyboard.js';
 
@@ -36,6 +40,9 @@ window.applyShowToggle = applyShowToggle;
 window.applyGlobalExecMode = applyGlobalExecMode;
 window.applyGlobalRunOnLoad = applyGlobalRunOnLoad;
 window.applyEditorView = applyEditorView;
+window.applySaveOutputs = applySaveOutputs;
+window.applyResultCache = applyResultCache;
+window.clearResultCache = clearResultCache;
 
 // update
 window.toggleUpdate = toggleUpdate;
@@ -51,9 +58,12 @@ window.savePackedNotebook = savePackedNotebook;
 window.setSaveMode = setSaveMode;
 window.toggleSaveTray = toggleSaveTray;
 window.exportAsTxt = exportAsTxt;
+window.copyParamsLink = copyParamsLink;
 
 // exec
 window.runAll = runAll;
+window.interruptRun = interruptRun;
+window.interruptCell = interruptCell;
 
 // ui
 window.insertAt = insertAt;
@@ -61,10 +71,21 @@ window.insertAt = insertAt;
 // find
 window.openFind = openFind;
 window.closeFind = closeFind;
+window.toggleTimeline = toggleTimeline;
+
+// outline
+window.toggleOutline = toggleOutline;
+window.insertToc = insertToc;
 
 // stdlib
 window.__auditable_registerProvider = registerProvider;
 
+// display
+window.__auditable_registerRenderer = registerRenderer;
+
+// widgets
+window.__auditable_registerWidget = registerWidget;
+
 // keyboard / toolbar
 window.addCellWithUndo = addCellWithUndo;
 window.deleteCellWithUndo = deleteCellWithUndo;
@@ -12,6 +12,11 @@ function parseGoto(code) {
 const MAX_VISITS = 1000;
 let visits = {};
 
+// jumps need the document-order walk instead of the concurrent scheduler
+window._dagSequential = function() {
+  return S.cells.some(c => c.type === 'code' && parseGoto(c.code) !== null);
+};
+
 window._dagStart = function() {
   visits = {};
   window._lastGotoTarget = null;
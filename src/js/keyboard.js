@@ -9,6 +9,7 @@ import { toggleMdComment, autoResize, cssSummary } from './cell-dom.js';
 import { openFind, closeFind } from './find.js';
 import { getEditor, setCm6Callbacks } from './cm6.js';
 import { toggleSplitView } from './split.js';
+import { toggleOutline, revealCell } from './outline-panel.js';
 
 // ── KEYBOARD / SELECTION ──
 
@@ -57,6 +58,7 @@ export function selectCell(id, scroll) {
   if (id === null) return;
   const cell = S.cells.find(c => c.id === id);
   if (cell) {
+    if (cell.el.classList.contains('section-hidden')) revealCell(id);
     cell.el.classList.add('selected');
     if (scroll) cell.el.scrollIntoView({ block: 'nearest' });
   }
@@ -297,7 +299,9 @@ function navigateCell(dir) {
     return;
   }
   const idx = S.cells.findIndex(c => c.id === S.selectedId);
-  const newIdx = idx + dir;
+  let newIdx = idx + dir;
+  // step over cells folded away under a heading
+  while (newIdx >= 0 && newIdx < S.cells.length && S.cells[newIdx].el.classList.contains('section-hidden')) newIdx += dir;
   if (newIdx >= 0 && newIdx < S.cells.length) {
     selectCell(S.cells[newIdx].id, true);
   }
@@ -467,6 +471,11 @@ document.addEventListener('keydown', (e) => {
       toggleSplitView();
       return;
     }
+    if (e.key === 'o') {
+      e.preventDefault();
+      toggleOutline();
+      return;
+    }
     if (e.key === 'm' && S.selectedId !== null) {
       e.preventDefault();
       convertCell(S.selectedId, 'md');
@@ -1,11 +1,29 @@
 import './state.js';
 import './cm6.js';
+import './plot.js';
 import './stdlib.js';
 import './python.js';
+import './analyze.js';
+import './widget-registry.js';
 import './dag.js';
+import './stack.js';
 import './widgets.js';
+import './display.js';
+import './tagged.js';
+import './data-table.js';
+import './cell-console.js';
+import './snapshot.js';
+import './result-cache.js';
+import './params.js';
+import './stream.js';
+import './schedule.js';
+import './profile.js';
 import './exec.js';
+import './math.js';
 import './markdown.js';
+import './md-code.js';
+import './md-embed.js';
+import './outline.js';
 import './cell-dom.js';
 import './cell-ops.js';
 import './editor.js';
@@ -14,6 +32,8 @@ import './update.js';
 import './save.js';
 import './ui.js';
 import './find.js';
+import './timeline.js';
+import './outline-panel.js';
 import './split.js';
 import './complete.js';
 import './keyboard.js';
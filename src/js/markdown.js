@@ -1,53 +1,613 @@
-// ── MARKDOWN RENDERING (minimal) ──
+import { renderTex } from './math.js';
+
+// ── MARKDOWN RENDERING ──
+// a CommonMark-style parser in the spec's two passes: lines into blocks
+// (headings, paragraphs, lists, quotes, fenced and indented code, tables, html
+// blocks), then each block's text into inlines (emphasis, code spans, links,
+// images, escapes, entities). GFM extras: pipe tables, task lists,
+// ~~strikethrough~~ and bare URLs; $tex$ and $$tex$$ go to math.js. raw HTML is kept only for an allowlist of
+// harmless tags and attributes, and links and images only for URL schemes
+// that can't run script; everything else is shown as text.
+
+const MD_INLINE_TAGS = new Set(['a', 'abbr', 'b', 'br', 'cite', 'code', 'del', 'dfn', 'em', 'i', 'img', 'ins',
+  'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr']);
+const MD_BLOCK_TAGS = new Set(['blockquote', 'center', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul']);
+const MD_ATTRS = new Set(['align', 'alt', 'class', 'colspan', 'datetime', 'dir', 'height', 'href', 'id', 'lang',
+  'open', 'rowspan', 'src', 'start', 'title', 'width']);
+
+const mdEsc = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// links go anywhere ordinary; images may also be embedded data or blob: URLs
+// (installBinary hands those out)
+export function isSafeMdUrl(url, image = false) {
+  const v = String(url).replace(/[\u0000- ]/g, '').toLowerCase();
+  const scheme = /^([a-z][a-z0-9+.-]*):/.exec(v);
+  if (!scheme) return true;
+  if (['http', 'https', 'mailto'].includes(scheme[1])) return true;
+  return image && (scheme[1] === 'blob' || /^data:image\/(png|jpeg|gif|webp|svg\+xml)[;,]/.test(v));
+}
+
+// heading anchor: lowercase words joined by dashes, like GitHub's
+export function slugify(text) {
+  return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s+/g, '-') || 'section';
+}
+
+// an allowed tag rebuilt with only allowed attributes, or null
+function sanitizeTag(tag, allowed) {
+  const m = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)([^>]*?)(\/?)>$/.exec(tag);
+  if (!m || !allowed.has(m[2].toLowerCase())) return null;
+  const name = m[2].toLowerCase();
+  if (m[1]) return `</${name}>`;
+  let attrs = '';
+  const re = /([a-zA-Z_:][\w:.-]*)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+  let a;
+  while ((a = re.exec(m[3]))) {
+    const key = a[1].toLowerCase();
+    if (!MD_ATTRS.has(key)) continue;
+    const raw = a[2] == null ? '' : a[2].replace(/^["']|["']$/g, '');
+    const value = raw.replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    if ((key === 'href' || key === 'src') && !isSafeMdUrl(value, key === 'src')) continue;
+    attrs += a[2] == null ? ` ${key}` : ` ${key}="${mdEsc(value)}"`;
+  }
+  return `<${name}${attrs}${m[4] ? ' /' : ''}>`;
+}
+
+const MD_TAG_RE = /^<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s+[a-zA-Z_:][\w:.-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/;
+const MD_ENTITY_RE = /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/;
+
+// an html block's text: allowed tags kept, other tags and comments shown or dropped
+function sanitizeHtml(src) {
+  let out = '';
+  for (let i = 0; i < src.length;) {
+    if (src.startsWith('<!--', i)) {
+      const end = src.indexOf('-->', i + 4);
+      i = end < 0 ? src.length : end + 3;
+      continue;
+    }
+    if (src[i] === '<') {
+      const m = MD_TAG_RE.exec(src.slice(i));
+      const clean = m && sanitizeTag(m[0], new Set([...MD_BLOCK_TAGS, ...MD_INLINE_TAGS]));
+      if (clean) { out += clean; i += m[0].length; continue; }
+    }
+    if (src[i] === '&') {
+      const m = MD_ENTITY_RE.exec(src.slice(i));
+      if (m) { out += m[0]; i += m[0].length; continue; }
+    }
+    out += mdEsc(src[i++]);
+  }
+  return out;
+}
+
+// ── inlines ──
+
+const isPunct = c => c !== undefined && /[\p{P}\p{S}]/u.test(c);
+const isSpace = c => c === undefined || /\s/.test(c);
+const ASCII_PUNCT = /[!-/:-@[-`{-~]/;
+
+// position after the ] matching the [ at i, or -1
+function matchBracket(s, i) {
+  let depth = 0;
+  for (let j = i; j < s.length; j++) {
+    const c = s[j];
+    if (c === '\\') { j++; continue; }
+    if (c === '`') {
+      const run = /^`+/.exec(s.slice(j))[0];
+      const close = s.indexOf(run, j + run.length);
+      if (close > 0) { j = close + run.length - 1; continue; }
+    }
+    if (c === '[') depth++;
+    else if (c === ']' && --depth === 0) return j + 1;
+  }
+  return -1;
+}
+
+// "(dest "title")" at i: { url, title, end } or null
+function linkDest(s, i) {
+  if (s[i] !== '(') return null;
+  let j = i + 1;
+  while (/\s/.test(s[j] || '')) j++;
+  let url = '';
+  if (s[j] === '<') {
+    const end = s.indexOf('>', j);
+    if (end < 0 || s.slice(j, end).includes('\n')) return null;
+    url = s.slice(j + 1, end);
+    j = end + 1;
+  } else {
+    let depth = 0;
+    const start = j;
+    for (; j < s.length; j++) {
+      const c = s[j];
+      if (c === '\\' && ASCII_PUNCT.test(s[j + 1] || '')) { j++; continue; }
+      if (/\s/.test(c)) break;
+      if (c === '(') depth++;
+      else if (c === ')') { if (depth === 0) break; depth--; }
+    }
+    url = s.slice(start, j);
+  }
+  while (/\s/.test(s[j] || '')) j++;
+  let title = null;
+  const q = { '"': '"', "'": "'", '(': ')' }[s[j]];
+  if (q) {
+    const end = s.indexOf(q, j + 1);
+    if (end < 0) return null;
+    title = s.slice(j + 1, end);
+    j = end + 1;
+    while (/\s/.test(s[j] || '')) j++;
+  }
+  if (s[j] !== ')') return null;
+  return { url: unescapeMd(url), title: title && unescapeMd(title), end: j + 1 };
+}
+
+// the $..$ or $$..$$ starting at i: { tex, display, end } or null
+function mathSpan(s, i) {
+  if (s.startsWith('$$', i)) {
+    const end = s.indexOf('$$', i + 2);
+    return end > i + 2 ? { tex: s.slice(i + 2, end), display: true, end: end + 2 } : null;
+  }
+  if (isSpace(s[i + 1]) || s[i + 1] === '$') return null;
+  for (let j = i + 1; j < s.length; j++) {
+    if (s[j] === '\\') { j++; continue; }
+    if (s[j] === '$' && !isSpace(s[j - 1]) && !/[0-9]/.test(s[j + 1] || '')) return { tex: s.slice(i + 1, j), display: false, end: j + 1 };
+  }
+  return null;
+}
+
+const unescapeMd = s => s.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+const normLabel = s => s.trim().replace(/\s+/g, ' ').toLowerCase();
+const stripTags = html => html.replace(/<[^>]*>/g, '');
+
+// inline markdown to HTML. ctx.refs holds link reference definitions
+function inline(src, ctx) {
+  if (ctx.collect) return '';
+  const nodes = []; // strings, or delimiter runs { ch, count, orig, open, close, canOpen, canClose }
+  let text = '';
+  const flush = () => { if (text) { nodes.push(text); text = ''; } };
+  const emit = html => { flush(); nodes.push(html); };
+
+  for (let i = 0; i < src.length;) {
+    const c = src[i];
+
+    if (c === '\\') {
+      if (src[i + 1] === '\n') { emit('<br>'); i += 2; continue; }
+      if (ASCII_PUNCT.test(src[i + 1] || '')) { text += mdEsc(src[i + 1]); i += 2; continue; }
+    }
+
+    if (c === '`') {
+      const run = /^`+/.exec(src.slice(i))[0];
+      let close = i + run.length;
+      // the closing run must be exactly as long
+      while ((close = src.indexOf(run, close)) >= 0 && (src[close + run.length] === '`' || src[close - 1] === '`')) {
+        close += run.length;
+        while (src[close] === '`') close++;
+      }
+      if (close >= 0) {
+        let code = src.slice(i + run.length, close).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+        emit(`<code>${mdEsc(code)}</code>`);
+        i = close + run.length;
+        continue;
+      }
+      text += run;
+      i += run.length;
+      continue;
+    }
+
+    if (c === '[' || (c === '!' && src[i + 1] === '[')) {
+      const image = c === '!';
+      const open = image ? i + 1 : i;
+      const end = matchBracket(src, open);
+      if (end > 0) {
+        const label = src.slice(open + 1, end - 1);
+        let link = linkDest(src, end);
+        let after = link?.end;
+        if (!link) {
+          // [text][ref], [ref][] or [ref]
+          const m = /^\[([^\]]*)\]/.exec(src.slice(end));
+          const key = normLabel(m && m[1] ? m[1] : label);
+          const ref = ctx.refs.get(key);
+          if (ref) { link = ref; after = end + (m ? m[0].length : 0); }
+        }
+        if (link) {
+          const inner = inline(label, ctx);
+          const title = link.title != null ? ` title="${mdEsc(link.title)}"` : '';
+          if (image) {
+            const alt = mdEsc(stripTags(inner).replace(/&quot;/g, '"').replace(/&amp;/g, '&'));
+            emit(isSafeMdUrl(link.url, true) ? `<img src="${mdEsc(link.url)}" alt="${alt}"${title}>` : alt);
+          } else {
+            emit(isSafeMdUrl(link.url) ? `<a href="${mdEsc(link.url)}"${title}>${inner}</a>` : inner);
+          }
+          i = after;
+          continue;
+        }
+      }
+      text += image ? '![' : '[';
+      i = open + 1;
+      continue;
+    }
+
+    if (c === '<') {
+      const rest = src.slice(i);
+      const auto = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/.exec(rest);
+      if (auto) {
+        emit(isSafeMdUrl(auto[1]) ? `<a href="${mdEsc(auto[1])}">${mdEsc(auto[1])}</a>` : mdEsc(auto[0]));
+        i += auto[0].length;
+        continue;
+      }
+      const mail = /^<([\w.!#$%&'*+/=?^`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9-]+)*)>/.exec(rest);
+      if (mail) {
+        emit(`<a href="mailto:${mdEsc(mail[1])}">${mdEsc(mail[1])}</a>`);
+        i += mail[0].length;
+        continue;
+      }
+      if (rest.startsWith('<!--')) {
+        const end = src.indexOf('-->', i + 4);
+        if (end >= 0) { i = end + 3; continue; }
+      }
+      const tag = MD_TAG_RE.exec(rest);
+      const clean = tag && sanitizeTag(tag[0], MD_INLINE_TAGS);
+      if (clean) { emit(clean); i += tag[0].length; continue; }
+      text += '&lt;';
+      i++;
+      continue;
+    }
+
+    // $tex$ and $$tex$$. like pandoc, an inline $ opens only before a non-space
+    // and closes only after one and not before a digit, so prices stay prices
+    if (c === '$') {
+      const math = mathSpan(src, i);
+      if (math) {
+        emit(renderTex(math.tex, math.display));
+        i = math.end;
+        continue;
+      }
+    }
+
+    if (c === '&') {
+      const m = MD_ENTITY_RE.exec(src.slice(i));
+      text += m ? m[0] : '&amp;';
+      i += m ? m[0].length : 1;
+      continue;
+    }
+
+    // bare http(s):// and www. links
+    if ((c === 'h' || c === 'w') && !/[\p{L}\p{N}]/u.test(src[i - 1] || '')) {
+      const m = /^(?:https?:\/\/|www\.)[^\s<]*/.exec(src.slice(i));
+      if (m && m[0].length > (m[0].startsWith('www.') ? 4 : 8)) {
+        let url = m[0].replace(/[?!.,:*_~'"]+$/, '');
+        // a trailing ) belongs to the URL only if it opened one
+        while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) url = url.slice(0, -1);
+        const href = url.startsWith('www.') ? 'http://' + url : url;
+        emit(`<a href="${mdEsc(href)}">${mdEsc(url)}</a>`);
+        i += url.length;
+        continue;
+      }
+    }
+
+    if (c === '*' || c === '_' || c === '~') {
+      const run = new RegExp(`^\\${c}+`).exec(src.slice(i))[0];
+      const before = src[i - 1], after = src[i + run.length];
+      const left = !isSpace(after) && (!isPunct(after) || isSpace(before) || isPunct(before));
+      const right = !isSpace(before) && (!isPunct(before) || isSpace(after) || isPunct(after));
+      const tilde = c === '~';
+      if (tilde && run.length !== 2) { text += run; i += run.length; continue; }
+      flush();
+      nodes.push({
+        ch: c, count: run.length, orig: run.length, open: '', close: '',
+        canOpen: c === '_' ? left && (!right || isPunct(before)) : left,
+        canClose: c === '_' ? right && (!left || isPunct(after)) : right,
+      });
+      i += run.length;
+      continue;
+    }
+
+    if (c === '\n') {
+      // two trailing spaces make a hard break
+      if (/ {2,}$/.test(text)) { text = text.replace(/ +$/, ''); emit('<br>'); }
+      else { text = text.replace(/ +$/, ''); text += '\n'; }
+      i++;
+      while (src[i] === ' ') i++;
+      continue;
+    }
+
+    text += mdEsc(c);
+    i++;
+  }
+  flush();
+
+  // match emphasis delimiters, innermost first (the spec's "process emphasis")
+  for (let k = 0; k < nodes.length; k++) {
+    const closer = nodes[k];
+    if (typeof closer === 'string' || !closer.canClose) continue;
+    while (closer.count > 0) {
+      let o = k - 1;
+      for (; o >= 0; o--) {
+        const op = nodes[o];
+        if (typeof op === 'string' || op.ch !== closer.ch || !op.canOpen || op.count === 0) continue;
+        // a run that can both open and close only pairs if the lengths aren't a multiple of 3 apart
+        if ((op.canClose || closer.canOpen) && (op.orig + closer.orig) % 3 === 0 && (op.orig % 3 || closer.orig % 3)) continue;
+        break;
+      }
+      if (o < 0) break;
+      const opener = nodes[o];
+      const use = closer.ch === '~' ? 2 : opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+      const tag = closer.ch === '~' ? 'del' : use === 2 ? 'strong' : 'em';
+      opener.count -= use;
+      closer.count -= use;
+      opener.open = `<${tag}>` + opener.open;
+      closer.close += `</${tag}>`;
+      // delimiters in between can no longer match
+      for (let b = o + 1; b < k; b++) if (typeof nodes[b] !== 'string') nodes[b].canOpen = nodes[b].canClose = false;
+    }
+  }
+  return nodes.map(n => typeof n === 'string' ? n : n.close + n.ch.repeat(n.count) + n.open).join('');
+}
+
+// ── blocks ──
+
+const indentOf = line => /^ */.exec(line)[0].length;
+const isBlank = line => /^[ \t]*$/.test(line);
+const HR_RE = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const FENCE_RE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const ATX_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MATH_RE = /^ {0,3}\$\$/;
+const LIST_RE = /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*)|$)/;
+
+function htmlBlockStart(line) {
+  const m = /^ {0,3}<\/?([a-zA-Z][a-zA-Z0-9-]*)(?:[\s/>]|$)/.exec(line);
+  return !!m && MD_BLOCK_TAGS.has(m[1].toLowerCase());
+}
+
+// the cells of a table row, split on unescaped pipes
+function tableCells(line) {
+  let s = line.trim();
+  if (s.startsWith('|')) s = s.slice(1);
+  if (s.endsWith('|') && !s.endsWith('\\|')) s = s.slice(0, -1);
+  const cells = [];
+  let cur = '';
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '\\' && s[i + 1] === '|') { cur += '|'; i++; }
+    else if (s[i] === '|') { cells.push(cur.trim()); cur = ''; }
+    else cur += s[i];
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+function tableAligns(line) {
+  if (!line.includes('-') || !/^[ \t|:-]+$/.test(line)) return null;
+  const cells = tableCells(line);
+  if (!cells.every(c => /^:?-+:?$/.test(c))) return null;
+  return cells.map(c => c.endsWith(':') ? (c.startsWith(':') ? 'center' : 'right') : c.startsWith(':') ? 'left' : null);
+}
+
+// the $$ block starting at lines[i], if it closes with nothing after: { tex, end }
+function mathBlock(lines, i) {
+  const first = lines[i].replace(MATH_RE, '');
+  const parts = [];
+  for (let j = i, rest = first; j < lines.length; rest = lines[++j]) {
+    if (j > i && isBlank(rest)) return null;
+    const close = rest.indexOf('$$');
+    if (close < 0) { parts.push(rest); continue; }
+    if (!isBlank(rest.slice(close + 2))) return null;
+    parts.push(rest.slice(0, close));
+    return { tex: parts.join('\n'), end: j + 1 };
+  }
+  return null;
+}
+
+// whether a line would end a paragraph
+function interrupts(line) {
+  if (HR_RE.test(line) || FENCE_RE.test(line) || /^ {0,3}\$\$(?:.*\$\$)?[ \t]*$/.test(line) || ATX_RE.test(line) || /^ {0,3}>/.test(line) || htmlBlockStart(line)) return true;
+  // only a non-empty bullet, or an ordered item starting at 1, interrupts a paragraph
+  const m = LIST_RE.exec(line);
+  return !!m && !!m[4]?.trim() && (/^[-+*]$/.test(m[2]) || /^1[.)]$/.test(m[2]));
+}
+
+function parseBlocks(lines, ctx, tight = false) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) { i++; continue; }
+
+    // indented code
+    if (indentOf(line) >= 4) {
+      const code = [];
+      while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) code.push(lines[i++].slice(4));
+      while (isBlank(code[code.length - 1] ?? 'x')) code.pop();
+      out.push(`<pre><code>${mdEsc(code.join('\n'))}\n</code></pre>`);
+      continue;
+    }
+
+    // fenced code
+    let m = FENCE_RE.exec(line);
+    if (m && !(m[2][0] === '`' && m[3].includes('`'))) {
+      const [, indent, fence, info] = m;
+      const closeRe = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closeRe.test(lines[i])) {
+        code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+        i++;
+      }
+      i++; // closing fence (or the end)
+      const lang = unescapeMd(info.trim().split(/\s+/)[0] || '');
+      const cls = lang ? ` class="language-${mdEsc(lang)}"` : '';
+      out.push(`<pre><code${cls}>${mdEsc(code.join('\n'))}${code.length ? '\n' : ''}</code></pre>`);
+      continue;
+    }
+
+    // $$ display math, on one line or several
+    if (MATH_RE.test(line)) {
+      const math = mathBlock(lines, i);
+      if (math) {
+        out.push(`<div class="math-display">${renderTex(math.tex, true)}</div>`);
+        i = math.end;
+        continue;
+      }
+    }
+
+    // ATX heading
+    m = ATX_RE.exec(line);
+    if (m) {
+      out.push(heading(m[1].length, (m[2] || '').replace(/(^|[ \t]+)#+$/, ''), ctx));
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) { out.push('<hr>'); i++; continue; }
+
+    // blockquote, with lazy continuation of its paragraphs
+    if (/^ {0,3}>/.test(line)) {
+      const inner = [];
+      while (i < lines.length) {
+        const l = lines[i];
+        if (/^ {0,3}>/.test(l)) inner.push(l.replace(/^ {0,3}> ?/, ''));
+        else if (!isBlank(l) && !isBlank(inner[inner.length - 1] ?? '') && !interrupts(l)) inner.push(l);
+        else break;
+        i++;
+      }
+      out.push(`<blockquote>${parseBlocks(inner, ctx)}</blockquote>`);
+      continue;
+    }
+
+    // lists
+    m = LIST_RE.exec(line);
+    if (m) { i = parseList(lines, i, ctx, out); continue; }
+
+    if (htmlBlockStart(line)) {
+      const block = [];
+      while (i < lines.length && !isBlank(lines[i])) block.push(lines[i++]);
+      out.push(sanitizeHtml(block.join('\n')));
+      continue;
+    }
+
+    // table: a header row, then a delimiter row with as many cells
+    const aligns = lines[i + 1] !== undefined && line.includes('|') && tableAligns(lines[i + 1]);
+    if (aligns && tableCells(line).length === aligns.length) {
+      const cell = (tag, text, k) => `<${tag}${aligns[k] ? ` style="text-align:${aligns[k]}"` : ''}>${inline(text, ctx)}</${tag}>`;
+      let t = '<table><thead><tr>' + tableCells(line).map((c, k) => cell('th', c, k)).join('') + '</tr></thead>';
+      i += 2;
+      const body = [];
+      while (i < lines.length && !isBlank(lines[i]) && !interrupts(lines[i])) {
+        const cells = tableCells(lines[i++]);
+        body.push('<tr>' + aligns.map((_, k) => cell('td', cells[k] ?? '', k)).join('') + '</tr>');
+      }
+      if (body.length) t += '<tbody>' + body.join('') + '</tbody>';
+      out.push(t + '</table>');
+      continue;
+    }
+
+    // paragraph; a === or --- underline makes it a heading instead
+    const para = [];
+    let level = 0;
+    while (i < lines.length && !isBlank(lines[i])) {
+      const l = lines[i];
+      if (para.length && /^ {0,3}(=+|-+)[ \t]*$/.test(l)) { level = l.trim()[0] === '=' ? 1 : 2; i++; break; }
+      if (para.length && interrupts(l)) break;
+      // a table header row can follow paragraph text
+      if (para.length && l.includes('|') && lines[i + 1] !== undefined && tableAligns(lines[i + 1])) break;
+      para.push(l);
+      i++;
+    }
+    // link reference definitions at the start are taken out
+    while (para.length) {
+      const def = /^ {0,3}\[([^\]]+)\]:[ \t]*(<[^>]*>|\S+)(?:[ \t]+("[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/.exec(para[0]);
+      if (!def) break;
+      const key = normLabel(def[1]);
+      if (!ctx.refs.has(key)) {
+        ctx.refs.set(key, { url: unescapeMd(def[2].replace(/^<|>$/g, '')), title: def[3] ? unescapeMd(def[3].slice(1, -1)) : null });
+      }
+      para.shift();
+    }
+    if (!para.length) continue;
+    const text = para.map(l => l.replace(/^[ \t]+/, '')).join('\n').replace(/[ \t]+$/, '');
+    if (level) out.push(heading(level, text, ctx));
+    else out.push(tight ? inline(text, ctx) : `<p>${inline(text, ctx)}</p>`);
+  }
+  return out.join('');
+}
+
+function heading(level, text, ctx) {
+  const html = inline(text.trim(), ctx);
+  const base = slugify(stripTags(html.replace(/<annotation[^>]*>[^<]*<\/annotation>/g, '')).replace(/&[^;]+;/g, ''));
+  const n = ctx.slugs.get(base) || 0;
+  ctx.slugs.set(base, n + 1);
+  const id = n ? `${base}-${n}` : base;
+  return `<h${level} id="${mdEsc(id)}">${html}</h${level}>`;
+}
+
+// a list starting at lines[i]; items are indented by their marker's width.
+// returns the index after it
+function parseList(lines, i, ctx, out) {
+  const first = LIST_RE.exec(lines[i]);
+  const ordered = !/^[-+*]$/.test(first[2]);
+  const kind = ordered ? first[2].slice(-1) : first[2];
+  const items = [];
+  let loose = false;
+
+  while (i < lines.length) {
+    const m = LIST_RE.exec(lines[i]);
+    if (!m || (ordered ? m[2].slice(-1) !== kind || !/\d/.test(m[2][0]) : m[2] !== kind)) break;
+    let gap = m[3] ? m[3].length : 1;
+    if (gap > 4 || !m[4]) gap = 1; // content starting as indented code, or an empty first line
+    const width = m[1].length + m[2].length + gap;
+    const body = [m[4] !== undefined ? (m[3].length > 4 ? ' '.repeat(m[3].length - 1) + m[4] : m[4]) : ''];
+    i++;
+    while (i < lines.length) {
+      const l = lines[i];
+      if (isBlank(l)) { body.push(''); i++; continue; }
+      if (indentOf(l) >= width) { body.push(l.slice(width)); i++; continue; }
+      // lazy paragraph continuation
+      if (!isBlank(body[body.length - 1]) && !interrupts(l) && !LIST_RE.test(l)) { body.push(l); i++; continue; }
+      break;
+    }
+    // trailing blank lines belong between items, not in them
+    let trailing = 0;
+    while (body.length > 1 && isBlank(body[body.length - 1])) { body.pop(); trailing++; }
+    if (body.some((l, k) => isBlank(l) && k > 0 && k < body.length - 1 && !inFence(body, k))) loose = true;
+    const next = lines[i] !== undefined && LIST_RE.exec(lines[i]);
+    if (trailing && next && (ordered ? next[2].slice(-1) === kind : next[2] === kind)) loose = true;
+    items.push(body);
+  }
+
+  const lis = items.map(body => {
+    const task = /^\[([ xX])\][ \t]+/.exec(body[0]);
+    if (task) body = [body[0].slice(task[0].length), ...body.slice(1)];
+    const html = parseBlocks(body, ctx, !loose);
+    if (!task) return `<li>${html}</li>`;
+    const box = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+    return `<li class="task-list-item">${html.startsWith('<p>') ? '<p>' + box + html.slice(3) : box + html}</li>`;
+  });
+  const start = ordered ? parseInt(first[2], 10) : 1;
+  const tag = ordered ? 'ol' : 'ul';
+  const attrs = ordered && start !== 1 ? ` start="${start}"` : '';
+  const cls = items.some(b => /^\[[ xX]\][ \t]+/.test(b[0])) ? ' class="contains-task-list"' : '';
+  out.push(`<${tag}${attrs}${cls}>${lis.join('')}</${tag}>`);
+  return i;
+}
+
+// whether body[k] sits inside a fenced code block (its blank lines don't make a list loose)
+function inFence(body, k) {
+  let open = false;
+  for (let j = 0; j < k; j++) if (FENCE_RE.test(body[j])) open = !open;
+  return open;
+}
+
+// tabs to the next multiple of 4, so indentation can be counted in spaces
+function expandTabs(line) {
+  let out = '';
+  for (const c of line) out += c === '\t' ? ' '.repeat(4 - out.length % 4) : c;
+  return out;
+}
 
 export function renderMd(src) {
-  let html = src
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-
-  // headings
-  html = html.replace(/^### (.+)$/gm, '<h3>$1</h3>');
-  html = html.replace(/^## (.+)$/gm, '<h2>$1</h2>');
-  html = html.replace(/^# (.+)$/gm, '<h1>$1</h1>');
-
-  // bold/italic
-  html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-
-  // inline code
-  html = html.replace(/`(.+?)`/g, '<code>$1</code>');
-
-  // links
-  html = html.replace(/\[(.+?)\]\((.+?)\)/g, '<a href="$2">$1</a>');
-
-  // tables — detect pipe-delimited blocks before paragraph wrapping
-  html = html.replace(
-    /((?:^\|.+\|[ \t]*$\n?)+)/gm,
-    (block) => {
-      const rows = block.trim().split('\n').map(r =>
-        r.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim())
-      );
-      if (rows.length < 2) return block;
-      // check for separator row (--- or :--- etc)
-      const sep = rows[1];
-      if (!sep.every(c => /^:?-{1,}:?$/.test(c))) return block;
-      const hdr = rows[0];
-      const body = rows.slice(2);
-      let t = '<table><thead><tr>' +
-        hdr.map(c => `<th>${c}</th>`).join('') +
-        '</tr></thead><tbody>';
-      for (const row of body) {
-        t += '<tr>' + row.map(c => `<td>${c}</td>`).join('') + '</tr>';
-      }
-      t += '</tbody></table>';
-      return t;
-    }
-  );
-
-  // paragraphs
-  html = html.replace(/\n\n/g, '</p><p>');
-  if (!html.startsWith('<h') && !html.startsWith('<p') && !html.startsWith('<table')) html = '<p>' + html + '</p>';
-
-  return html;
+  const lines = String(src).replace(/\r\n?/g, '\n').split('\n').map(l => l.includes('\t') ? expandTabs(l) : l);
+  // a first pass only collects link reference definitions, which may come
+  // after the links that use them
+  const refs = new Map();
+  parseBlocks(lines, { refs, slugs: new Map(), collect: true });
+  return parseBlocks(lines, { refs, slugs: new Map() });
 }
@@ -0,0 +1,418 @@
+// ── MATH ──
+// a TeX subset typeset as MathML, which browsers lay out natively. covers what
+// write-ups need: fractions, roots, sub/superscripts, Greek, operators with
+// limits, \left..\right, accents, font styles, \text, and matrices, cases and
+// aligned environments. the source rides along as a TeX annotation so copying
+// an equation gives back its TeX. unknown commands show in red instead of
+// failing the whole formula.
+
+const TEX_GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+};
+
+// ordinary symbols, set as identifiers
+const TEX_IDENTS = {
+  infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', ell: 'ℓ', hbar: 'ℏ',
+  aleph: 'ℵ', Re: 'ℜ', Im: 'ℑ', wp: '℘', imath: 'ı', jmath: 'ȷ', top: '⊤', bot: '⊥', angle: '∠',
+  triangle: '△', degree: '°',
+};
+
+// operators, relations, arrows, punctuation and delimiters
+const TEX_OPS = {
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+  cap: '∩', cup: '∪', setminus: '∖', neg: '¬', lnot: '¬', forall: '∀', exists: '∃', nexists: '∄',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', leqslant: '⩽', geqslant: '⩾', neq: '≠', ne: '≠', ll: '≪',
+  gg: '≫', approx: '≈', sim: '∼', simeq: '≃', cong: '≅', equiv: '≡', propto: '∝', doteq: '≐',
+  triangleq: '≜', coloneqq: '≔', prec: '≺', succ: '≻', in: '∈', notin: '∉', ni: '∋', subset: '⊂',
+  supset: '⊃', subseteq: '⊆', supseteq: '⊇', mid: '∣', nmid: '∤', parallel: '∥', perp: '⊥',
+  to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+  Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸', iff: '⟺', mapsto: '↦',
+  longrightarrow: '⟶', longleftarrow: '⟵', uparrow: '↑', downarrow: '↓', therefore: '∴',
+  because: '∵', dagger: '†', prime: '′', ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+  colon: ':', lbrace: '{', rbrace: '}', langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋',
+  lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖', lvert: '|', rvert: '|', lVert: '‖', rVert: '‖',
+  backslash: '\\',
+};
+
+// large operators; the ones in TEX_LIMITS take limits above and below in display
+const TEX_BIG_OPS = {
+  sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+  bigvee: '⋁', bigwedge: '⋀', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+};
+const TEX_FUNCS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh',
+  'tanh', 'coth', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker', 'deg', 'gcd', 'hom', 'arg', 'Pr', 'sup',
+  'inf', 'max', 'min', 'lim', 'liminf', 'limsup', 'argmax', 'argmin'];
+const TEX_LIMITS = new Set(['sum', 'prod', 'coprod', 'bigcup', 'bigcap', 'bigoplus', 'bigotimes', 'bigvee',
+  'bigwedge', 'det', 'gcd', 'Pr', 'sup', 'inf', 'max', 'min', 'lim', 'liminf', 'limsup', 'argmax', 'argmin']);
+
+// [mark, stretchy, under]
+const TEX_ACCENTS = {
+  hat: ['^', false], widehat: ['^', true], check: ['ˇ', false], breve: ['˘', false], acute: ['´', false],
+  grave: ['`', false], tilde: ['~', false], widetilde: ['~', true], bar: ['¯', false], overline: ['‾', true],
+  vec: ['→', false], overrightarrow: ['→', true], overleftarrow: ['←', true], dot: ['˙', false],
+  ddot: ['¨', false], underline: ['_', true, true], overbrace: ['⏞', true], underbrace: ['⏟', true, true],
+};
+
+const TEX_FONTS = {
+  mathbf: 'bold', mathit: 'italic', boldsymbol: 'bold-italic', bm: 'bold-italic', mathcal: 'script',
+  mathscr: 'script', mathfrak: 'fraktur', mathbb: 'double-struck', mathsf: 'sans-serif',
+  mathtt: 'monospace', mathrm: 'normal',
+};
+
+// first code point of the Unicode math alphabets: [A, a, 0]; the holes are
+// letters that were encoded earlier, in Letterlike Symbols
+const TEX_ALPHABETS = {
+  bold: [0x1D400, 0x1D41A, 0x1D7CE], italic: [0x1D434, 0x1D44E, null], 'bold-italic': [0x1D468, 0x1D482, 0x1D7CE],
+  script: [0x1D49C, 0x1D4B6, null], fraktur: [0x1D504, 0x1D51E, null], 'double-struck': [0x1D538, 0x1D552, 0x1D7D8],
+  'sans-serif': [0x1D5A0, 0x1D5BA, 0x1D7E2], monospace: [0x1D670, 0x1D68A, 0x1D7F6],
+};
+const TEX_HOLES = {
+  italic: { h: 'ℎ' },
+  script: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' },
+  fraktur: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' },
+  'double-struck': { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+};
+
+const TEX_SPACES = { ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', '!': '-0.1667em',
+  ' ': '0.3333em', quad: '1em', qquad: '2em', thinspace: '0.1667em', enspace: '0.5em' };
+const TEX_SIZES = { big: '1.2em', Big: '1.8em', bigg: '2.4em', Bigg: '3em' };
+
+// environment -> [left, right, column alignment]; 'rl' alternates right and left
+const TEX_ENVS = {
+  matrix: ['', '', 'c'], smallmatrix: ['', '', 'c'], pmatrix: ['(', ')', 'c'], bmatrix: ['[', ']', 'c'],
+  Bmatrix: ['{', '}', 'c'], vmatrix: ['|', '|', 'c'], Vmatrix: ['‖', '‖', 'c'], cases: ['{', '', 'l'],
+  aligned: ['', '', 'rl'], align: ['', '', 'rl'], 'align*': ['', '', 'rl'], split: ['', '', 'rl'],
+  alignat: ['', '', 'rl'], 'alignat*': ['', '', 'rl'], gathered: ['', '', 'c'], gather: ['', '', 'c'],
+  'gather*': ['', '', 'c'], equation: ['', '', 'c'], 'equation*': ['', '', 'c'], array: ['', '', 'c'],
+};
+
+const texEsc = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function texStyled(ch, variant) {
+  const hole = TEX_HOLES[variant]?.[ch];
+  if (hole) return hole;
+  const [upper, lower, digit] = TEX_ALPHABETS[variant];
+  const c = ch.charCodeAt(0);
+  if (c >= 65 && c <= 90) return String.fromCodePoint(upper + c - 65);
+  if (c >= 97 && c <= 122) return String.fromCodePoint(lower + c - 97);
+  if (c >= 48 && c <= 57 && digit) return String.fromCodePoint(digit + c - 48);
+  return ch;
+}
+
+// the formula's MathML, without the <math> element
+function texBody(src, display) {
+  let i = 0;
+  let font = null;
+
+  const skip = () => {
+    while (i < src.length) {
+      if (/\s/.test(src[i])) i++;
+      else if (src[i] === '%') while (i < src.length && src[i] !== '\n') i++;
+      else break;
+    }
+  };
+  const peekCmd = () => src[i] === '\\' ? (/^[a-zA-Z]+\*?/.exec(src.slice(i + 1))?.[0] ?? src[i + 1] ?? '') : null;
+  const mrow = items => `<mrow>${items.join('')}</mrow>`;
+  const mo = (ch, attrs = '') => `<mo${attrs}>${texEsc(ch)}</mo>`;
+  const err = text => `<merror><mtext>${texEsc(text)}</mtext></merror>`;
+
+  // the raw text of a {group}, for \text, \begin and the like
+  const rawGroup = () => {
+    skip();
+    if (src[i] !== '{') return '';
+    let depth = 0;
+    const start = i;
+    for (; i < src.length; i++) {
+      if (src[i] === '\\') { i++; continue; }
+      if (src[i] === '{') depth++;
+      else if (src[i] === '}' && --depth === 0) { i++; return src.slice(start + 1, i - 1); }
+    }
+    return src.slice(start + 1);
+  };
+
+  const ident = ch => {
+    if (font === 'normal') return `<mi mathvariant="normal">${texEsc(ch)}</mi>`;
+    return `<mi>${texEsc(font ? texStyled(ch, font) : ch)}</mi>`;
+  };
+
+  // a delimiter after \left, \right, \big..: a character or a command; '.' is none
+  const delim = () => {
+    skip();
+    if (src[i] === '\\') {
+      const name = peekCmd();
+      i += 1 + name.length;
+      if (name === '{' || name === '}') return name;
+      if (name === '|') return '‖';
+      return Object.hasOwn(TEX_OPS, name) ? TEX_OPS[name] : '';
+    }
+    const ch = src[i++] ?? '';
+    return ch === '.' ? '' : ch;
+  };
+  const fence = ch => ch ? mo(ch, ' fence="true" stretchy="true"') : '';
+
+  // items until a closing }, &, \\, \end, \right or \middle (left for the caller)
+  function list() {
+    const items = []; // { html, limits, sub, sup, primes, after }
+    let style = null, styleAt = 0;
+    for (;;) {
+      skip();
+      if (i >= src.length) break;
+      const c = src[i];
+      if (c === '}' || c === '&') break;
+      const cmd = peekCmd();
+      if (cmd === '\\' || cmd === 'end' || cmd === 'right' || cmd === 'middle') break;
+      if (cmd === 'over' || cmd === 'choose' || cmd === 'atop') {
+        // infix: everything before over everything after
+        i += 1 + cmd.length;
+        const num = mrow(finish(items, style, styleAt));
+        const den = mrow(list());
+        const frac = `<mfrac${cmd === 'over' ? '' : ' linethickness="0"'}>${num}${den}</mfrac>`;
+        return [cmd === 'choose' ? mrow([mo('('), frac, mo(')')]) : frac];
+      }
+      if (cmd === 'limits' || cmd === 'nolimits') {
+        i += 1 + cmd.length;
+        if (items.length) items[items.length - 1].limits = cmd === 'limits';
+        continue;
+      }
+      if (cmd === 'displaystyle' || cmd === 'textstyle') {
+        i += 1 + cmd.length;
+        style = cmd === 'displaystyle';
+        styleAt = items.length;
+        continue;
+      }
+      if (c === '^' || c === '_') {
+        i++;
+        if (!items.length) items.push({ html: '<mrow></mrow>' });
+        items[items.length - 1][c === '^' ? 'sup' : 'sub'] = arg();
+        continue;
+      }
+      if (c === "'") {
+        i++;
+        if (!items.length) items.push({ html: '<mrow></mrow>' });
+        items[items.length - 1].primes = (items[items.length - 1].primes || 0) + 1;
+        continue;
+      }
+      const item = atom(false);
+      if (item) items.push(item);
+    }
+    return finish(items, style, styleAt);
+  }
+
+  function finish(items, style, styleAt) {
+    const out = items.map(it => {
+      let sup = it.sup;
+      if (it.primes) sup = sup ? mrow([mo('′'.repeat(it.primes)), sup]) : mo('′'.repeat(it.primes));
+      let html = it.html;
+      if (it.sub != null || sup != null) {
+        const under = it.limits === true || (it.limits === 'display' && display);
+        const [one, two, both] = under ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+        html = it.sub != null && sup != null ? `<${both}>${html}${it.sub}${sup}</${both}>`
+          : it.sub != null ? `<${one}>${html}${it.sub}</${one}>` : `<${two}>${html}${sup}</${two}>`;
+      }
+      return html + (it.after || '');
+    });
+    if (style === null) return out;
+    return [...out.slice(0, styleAt), `<mstyle displaystyle="${style}">${out.slice(styleAt).join('')}</mstyle>`];
+  }
+
+  // one argument: a {group} or a single token
+  function arg() {
+    skip();
+    const it = atom(true);
+    return it ? it.html : '<mrow></mrow>';
+  }
+
+  function atom(single) {
+    if (i >= src.length) return null;
+    const c = src[i];
+    if (c === '{') {
+      i++;
+      const items = list();
+      if (src[i] === '}') i++;
+      return { html: mrow(items) };
+    }
+    if (c === '\\') return command();
+    const num = single ? /^[0-9]/.exec(src.slice(i)) : /^(?:\d+(?:\.\d+)?|\.\d+)/.exec(src.slice(i));
+    if (num) {
+      i += num[0].length;
+      const digits = font && font !== 'normal' ? [...num[0]].map(d => texStyled(d, font)).join('') : num[0];
+      return { html: `<mn>${digits}</mn>` };
+    }
+    if (/[a-zA-Z]/.test(c)) { i++; return { html: ident(c) }; }
+    if (c === '~') { i++; return { html: `<mspace width="${TEX_SPACES[' ']}"></mspace>` }; }
+    const ch = String.fromCodePoint(src.codePointAt(i));
+    i += ch.length;
+    if (c === '-') return { html: mo('−') };
+    if (c === '*') return { html: mo('∗') };
+    if (/\p{L}/u.test(ch)) return { html: ident(ch) };
+    return { html: mo(ch) };
+  }
+
+  function command() {
+    const name = peekCmd();
+    i += 1 + name.length;
+    if (!name) return null;
+    if (Object.hasOwn(TEX_SPACES, name)) return { html: `<mspace width="${TEX_SPACES[name]}"></mspace>` };
+    if (name === '{' || name === '}') return { html: mo(name) };
+    if (name === '|') return { html: mo('‖') };
+    if ('#$%&_'.includes(name)) return { html: `<mi>${texEsc(name)}</mi>` };
+    if (Object.hasOwn(TEX_GREEK, name)) {
+      const upright = /^[A-Z]/.test(name) ? ' mathvariant="normal"' : '';
+      return { html: `<mi${upright}>${TEX_GREEK[name]}</mi>` };
+    }
+    if (Object.hasOwn(TEX_IDENTS, name)) return { html: `<mi>${TEX_IDENTS[name]}</mi>` };
+    if (Object.hasOwn(TEX_OPS, name)) return { html: mo(TEX_OPS[name]) };
+    if (Object.hasOwn(TEX_BIG_OPS, name)) return { html: mo(TEX_BIG_OPS[name]), limits: TEX_LIMITS.has(name) ? 'display' : false };
+    if (TEX_FUNCS.includes(name) || name === 'operatorname' || name === 'operatorname*') {
+      const text = name.startsWith('operatorname') ? rawGroup() : name;
+      const limits = TEX_LIMITS.has(name) || name === 'operatorname*' ? 'display' : false;
+      // U+2061 function application, for the space between sin and its argument
+      return { html: `<mi>${texEsc(text.replace(/^arg(max|min)$/, 'arg $1'))}</mi>`, limits, after: '<mo>&#x2061;</mo>' };
+    }
+    if (Object.hasOwn(TEX_FONTS, name)) {
+      const saved = font;
+      font = TEX_FONTS[name];
+      const html = arg();
+      font = saved;
+      return { html };
+    }
+    if (Object.hasOwn(TEX_ACCENTS, name)) {
+      const [mark, stretchy, under] = TEX_ACCENTS[name];
+      const base = arg();
+      const m = mo(mark, ` stretchy="${stretchy}"`);
+      const brace = name === 'overbrace' || name === 'underbrace';
+      if (under) return { html: `<munder${brace ? '' : ' accentunder="true"'}>${base}${m}</munder>`, limits: brace || undefined };
+      return { html: `<mover${brace ? '' : ' accent="true"'}>${base}${m}</mover>`, limits: brace || undefined };
+    }
+    switch (name) {
+      case 'frac': case 'dfrac': case 'tfrac': case 'cfrac': {
+        const frac = `<mfrac>${arg()}${arg()}</mfrac>`;
+        if (name === 'frac') return { html: frac };
+        return { html: `<mstyle displaystyle="${name !== 'tfrac'}">${frac}</mstyle>` };
+      }
+      case 'binom': case 'dbinom': case 'tbinom':
+        return { html: mrow([mo('('), `<mfrac linethickness="0">${arg()}${arg()}</mfrac>`, mo(')')]) };
+      case 'sqrt': {
+        skip();
+        if (src[i] === '[') {
+          const end = src.indexOf(']', i);
+          const index = texBody(src.slice(i + 1, end < 0 ? src.length : end), false);
+          i = end < 0 ? src.length : end + 1;
+          return { html: `<mroot>${arg()}${index}</mroot>` };
+        }
+        return { html: `<msqrt>${arg()}</msqrt>` };
+      }
+      case 'text': case 'textrm': case 'textit': case 'textbf': case 'mbox': case 'textnormal': {
+        // edge spaces would be dropped by MathML's whitespace trimming
+        const text = rawGroup().replace(/\\([{}$%&#_])/g, '$1').replace(/^ | $/g, '\u00a0');
+        const variant = name === 'textbf' ? ' mathvariant="bold"' : name === 'textit' ? ' mathvariant="italic"' : '';
+        return { html: `<mtext${variant}>${texEsc(text)}</mtext>` };
+      }
+      case 'left': {
+        const open = delim();
+        const parts = [fence(open), ...list()];
+        while (peekCmd() === 'middle') {
+          i += 7;
+          parts.push(fence(delim()), ...list());
+        }
+        let close = '';
+        if (peekCmd() === 'right') { i += 6; close = delim(); }
+        parts.push(fence(close));
+        return { html: mrow(parts) };
+      }
+      case 'big': case 'Big': case 'bigg': case 'Bigg':
+      case 'bigl': case 'Bigl': case 'biggl': case 'Biggl': case 'bigr': case 'Bigr': case 'biggr': case 'Biggr': {
+        const size = TEX_SIZES[name.replace(/[lr]$/, '')];
+        return { html: mo(delim(), ` stretchy="true" symmetric="true" minsize="${size}" maxsize="${size}"`) };
+      }
+      case 'begin': return environment(rawGroup());
+      case 'not': {
+        skip();
+        const next = atom(true);
+        const m = next && /^<mo>(.*)<\/mo>$/.exec(next.html);
+        return { html: m ? `<mo>${m[1]}̸</mo>` : mrow([mo('/'), next?.html ?? '']) };
+      }
+      case 'textcolor': case 'color': {
+        const color = rawGroup().trim();
+        const body = name === 'textcolor' ? arg() : mrow(list());
+        return { html: /^#?[\w]+$/.test(color) ? `<mstyle mathcolor="${texEsc(color)}">${body}</mstyle>` : body };
+      }
+      case 'tag': rawGroup(); return null;
+      case 'label': rawGroup(); return null;
+      case 'hline': case 'nonumber': case 'notag': return null;
+    }
+    return { html: err('\\' + name) };
+  }
+
+  // rows of &-separated cells up to \end or the end of the formula
+  function table() {
+    const rows = [[]];
+    for (;;) {
+      rows[rows.length - 1].push(list());
+      skip();
+      if (src[i] === '&') { i++; continue; }
+      if (peekCmd() === '\\') {
+        i += 2;
+        skip();
+        if (src[i] === '[') i = src.indexOf(']', i) + 1 || src.length; // \\[2pt]
+        rows.push([]);
+        continue;
+      }
+      break;
+    }
+    const last = rows[rows.length - 1];
+    if (rows.length > 1 && last.length === 1 && !last[0].length) rows.pop();
+    return rows;
+  }
+
+  function mtable(rows, align, attrs = '') {
+    const cols = Math.max(...rows.map(r => r.length));
+    const alignOf = k => align === 'rl' ? (k % 2 ? 'left' : 'right')
+      : { l: 'left', r: 'right' }[align[k] ?? align[align.length - 1]] ?? 'center';
+    const trs = rows.map(r => '<mtr>' + Array.from({ length: cols }, (_, k) => {
+      const a = alignOf(k);
+      return `<mtd${a === 'center' ? '' : ` style="text-align:${a}"`}>${mrow(r[k] || [])}</mtd>`;
+    }).join('') + '</mtr>');
+    return `<mtable${attrs}>${trs.join('')}</mtable>`;
+  }
+
+  function environment(env) {
+    const spec = Object.hasOwn(TEX_ENVS, env) ? TEX_ENVS[env] : null;
+    let align = spec ? spec[2] : 'c';
+    if (env === 'array' || env === 'alignat' || env === 'alignat*') {
+      const cols = rawGroup();
+      if (env === 'array') align = cols.replace(/[^lcr]/g, '') || 'c';
+    }
+    const rows = table();
+    if (peekCmd() === 'end') { i += 4; rawGroup(); }
+    if (!spec) return { html: err(`\\begin{${env}}`) };
+    const rl = align === 'rl';
+    const attrs = rl ? ' class="tex-aligned" displaystyle="true"' : env === 'cases' ? ' class="tex-cases"' : '';
+    const body = mtable(rows, align, attrs);
+    return { html: spec[0] || spec[1] ? mrow([fence(spec[0]), body, fence(spec[1])]) : body };
+  }
+
+  // the top level reads like an align: rows and &-columns if there are any
+  const rows = table();
+  while (i < src.length) {
+    // unbalanced closers: show them and carry on
+    const bad = peekCmd() ? '\\' + peekCmd() : src[i];
+    i += bad.length;
+    const row = rows[rows.length - 1];
+    row[row.length - 1].push(err(bad), ...list());
+  }
+  if (rows.length === 1 && rows[0].length === 1) return mrow(rows[0][0]);
+  return mtable(rows, 'rl', ' class="tex-aligned" displaystyle="true"');
+}
+
+// TeX to a <math> element; display for a centered block formula
+export function renderTex(src, display = false) {
+  const annotation = `<annotation encoding="application/x-tex">${texEsc(src.trim())}</annotation>`;
+  return `<math${display ? ' display="block"' : ''}><semantics>${texBody(src, display)}${annotation}</semantics></math>`;
+}
@@ -0,0 +1,106 @@
+// ── MARKDOWN CODE BLOCKS ──
+// fenced code in rendered markdown is highlighted by its ```lang tag and gets
+// a copy button. this runs on the DOM after renderMd's HTML is in place, as
+// the highlighters live in the page: the CM6 bundle's lezer parsers for JS,
+// CSS and HTML, and the tokenizers tagged languages register (run line by
+// line, as the editor does). both give the hl-* classes in style.css.
+
+const CODE_LANG_ALIASES = {
+  javascript: 'js', mjs: 'js', cjs: 'js', typescript: 'ts', htm: 'html', xml: 'html',
+  frag: 'glsl', vert: 'glsl', shader: 'glsl',
+};
+const HL_TOKEN_TYPES = new Set(['kw', 'num', 'cmt', 'fn', 'const', 'op', 'punc', 'str']);
+
+const hlEsc = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// built on first use, so this module loads without the CM6 bundle
+let _codeHighlighter = null;
+const _lezerLangs = {};
+
+function lezerLanguage(lang) {
+  const { javascript, css, html } = window.CM6;
+  const make = {
+    js: () => javascript(),
+    jsx: () => javascript({ jsx: true }),
+    ts: () => javascript({ typescript: true }),
+    tsx: () => javascript({ jsx: true, typescript: true }),
+    css: () => css(),
+    html: () => html(),
+  }[lang];
+  return make ? (_lezerLangs[lang] ||= make().language) : null;
+}
+
+function codeHighlighter() {
+  if (_codeHighlighter) return _codeHighlighter;
+  const { tags, tagHighlighter } = window.CM6;
+  return _codeHighlighter = tagHighlighter([
+    { tag: tags.keyword, class: 'hl-kw' },
+    { tag: [tags.string, tags.special(tags.string), tags.color], class: 'hl-str' },
+    { tag: [tags.number, tags.bool, tags.null], class: 'hl-num' },
+    { tag: tags.comment, class: 'hl-cmt' },
+    { tag: [tags.function(tags.variableName), tags.function(tags.propertyName)], class: 'hl-fn' },
+    { tag: [tags.constant(tags.variableName), tags.self, tags.regexp], class: 'hl-const' },
+    { tag: tags.operator, class: 'hl-op' },
+    { tag: tags.punctuation, class: 'hl-punc' },
+    { tag: [tags.propertyName, tags.attributeName], class: 'hl-prop' },
+    { tag: [tags.typeName, tags.className, tags.tagName, tags.angleBracket], class: 'hl-tag' },
+  ]);
+}
+
+// highlighted HTML for code in a language, or null if nothing knows the language
+export function highlightCode(code, lang) {
+  lang = String(lang || '').toLowerCase();
+  lang = CODE_LANG_ALIASES[lang] || lang;
+  const tagged = typeof window !== 'undefined' && window._taggedLanguages?.[lang];
+  if (tagged?.tokenize) {
+    return code.split('\n').map(line => {
+      let html = '', pos = 0;
+      for (const tok of tagged.tokenize(line) || []) {
+        if (!tok.text) continue;
+        html += HL_TOKEN_TYPES.has(tok.type) ? `<span class="hl-${tok.type}">${hlEsc(tok.text)}</span>` : hlEsc(tok.text);
+        pos += tok.text.length;
+      }
+      return html + hlEsc(line.slice(pos));
+    }).join('\n');
+  }
+  if (typeof window === 'undefined' || !window.CM6) return null;
+  const language = lezerLanguage(lang);
+  if (!language) return null;
+  let html = '', pos = 0;
+  window.CM6.highlightTree(language.parser.parse(code), codeHighlighter(), (from, to, cls) => {
+    html += hlEsc(code.slice(pos, from)) + `<span class="${cls}">${hlEsc(code.slice(from, to))}</span>`;
+    pos = to;
+  });
+  return html + hlEsc(code.slice(pos));
+}
+
+export function decorateCodeBlocks(root) {
+  for (const code of root.querySelectorAll('pre > code')) {
+    const pre = code.parentElement;
+    if (pre.classList.contains('md-code')) continue;
+    pre.classList.add('md-code');
+    const text = code.textContent;
+    const lang = /(?:^|\s)language-(\S+)/.exec(code.className)?.[1];
+    if (lang) {
+      try {
+        const html = highlightCode(text, lang);
+        if (html != null) code.innerHTML = html;
+      } catch {
+        // a tokenizer that throws leaves the block plain
+      }
+    }
+    const btn = document.createElement('button');
+    btn.className = 'md-code-copy';
+    btn.textContent = 'copy';
+    btn.title = 'copy to clipboard';
+    btn.addEventListener('click', e => {
+      e.stopPropagation(); // a click on the markdown view would open the editor
+      const done = label => {
+        btn.textContent = label;
+        setTimeout(() => { btn.textContent = 'copy'; }, 1200);
+      };
+      navigator.clipboard.writeText(text.replace(/\n$/, '')).then(() => done('copied'), () => done('failed'));
+    });
+    pre.appendChild(btn);
+  }
+}
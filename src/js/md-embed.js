@@ -0,0 +1,90 @@
+import { renderValue, DISPLAY } from './display.js';
+import { renderMd } from './markdown.js';
+import { decorateCodeBlocks } from './md-code.js';
+import { TaggedContent } from './tagged.js';
+
+// ── MARKDOWN EMBEDS ──
+// ${...} in a markdown cell whose value is DOM-worthy doesn't go into the
+// markdown as text: it leaves a placeholder (\uE000k\uE001, private-use
+// characters markdown leaves alone) that is swapped for the value's DOM once
+// the markdown is rendered. renderMdCell (exec.js) fills the placeholders
+
+const EMBED_RE = /\uE000(\d+)\uE001/g;
+
+export const embedPlaceholder = k => `\uE000${k}\uE001`;
+
+// values markdown interpolation puts in place as DOM: nodes (canvases,
+// widgets), md and html tagged templates, and anything with a display method
+// (plots). everything else is stringified into the markdown
+export function embedsInMd(v) {
+  if (v instanceof TaggedContent) return v.type === 'md' || v.type === 'html';
+  return v instanceof Node || (v !== null && typeof v === 'object' && typeof v[DISPLAY] === 'function');
+}
+
+export const sameEmbed = (a, b) => a === b
+  || (a instanceof TaggedContent && b instanceof TaggedContent && a.type === b.type && a.content === b.content);
+
+// the html for markdown holding placeholders. one that lands inside a tag (a
+// link target, alt text, a raw html attribute) can't hold DOM, so its value
+// goes back into the markdown as text and the markdown is rendered again
+export function renderMdEmbeds(source, embeds) {
+  const html = renderMd(source);
+  const inTags = new Set();
+  for (const tag of html.match(/<[^>]*\uE000[^>]*>/g) || []) {
+    for (const m of tag.matchAll(EMBED_RE)) inTags.add(+m[1]);
+  }
+  if (!inTags.size) return html;
+  return renderMd(source.replace(EMBED_RE, (m, k) => inTags.has(+k) ? String(embeds[k]) : m));
+}
+
+// a text node's data around its placeholders: text at even positions, embed
+// indices at odd ones
+export const splitEmbeds = text => text.split(/\uE000(\d+)\uE001/).map((part, j) => j % 2 ? +part : part);
+
+function mdEmbedNode(v) {
+  if (!(v instanceof TaggedContent)) return renderValue(v);
+  const tpl = document.createElement('template');
+  let html = v.type === 'md' ? renderMd(v.content) : v.content;
+  // markdown that is one paragraph goes in inline
+  const para = v.type === 'md' && /^<p>((?:(?!<\/?p>)[\s\S])*)<\/p>$/.exec(html);
+  tpl.innerHTML = para ? para[1] : html;
+  if (v.type === 'md') decorateCodeBlocks(tpl.content);
+  return tpl.content;
+}
+
+// each placeholder left in the rendered view becomes a pair of audit-bind
+// comments (as in HTML cells) around the value's DOM; a placeholder that is a
+// whole paragraph replaces the <p>. returns the slots, by embed index
+export function placeMdEmbeds(viewEl, embeds) {
+  const slots = [];
+  const texts = [];
+  const walker = document.createTreeWalker(viewEl, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) if (walker.currentNode.data.includes('\uE000')) texts.push(walker.currentNode);
+  for (const text of texts) {
+    const parts = splitEmbeds(text.data);
+    const p = text.parentNode;
+    const whole = p.localName === 'p' && p.childNodes.length === 1 && parts.length === 3 && !parts[0].trim() && !parts[2].trim();
+    const frag = document.createDocumentFragment();
+    parts.forEach((part, j) => {
+      if (j % 2 === 0) {
+        if (part && !whole) frag.appendChild(document.createTextNode(part));
+        return;
+      }
+      const slot = { start: document.createComment(`audit-bind:${part}`), end: document.createComment('/audit-bind'), value: undefined };
+      frag.append(slot.start, slot.end);
+      slots[part] = slot;
+    });
+    (whole ? p : text).replaceWith(frag);
+  }
+  embeds.forEach((v, k) => { if (slots[k]) fillMdSlot(slots[k], v); });
+  return slots;
+}
+
+export function fillMdSlot(slot, v) {
+  while (slot.start.nextSibling && slot.start.nextSibling !== slot.end) slot.start.nextSibling.remove();
+  let node;
+  try { node = mdEmbedNode(v); }
+  catch (e) { node = document.createTextNode('[Error: ' + e.message + ']'); }
+  slot.end.parentNode.insertBefore(node, slot.end);
+  slot.value = v;
+}
@@ -0,0 +1,181 @@
+import { S, $ } from './state.js';
+import { buildOutline, sectionCells, tocMarkdown, TOC_RE } from './outline.js';
+import { selectCell, addCellWithUndo } from './keyboard.js';
+import { renderMdCell } from './exec.js';
+import { notifyDirty } from './editor.js';
+
+// ── OUTLINE PANEL ──
+// sidebar listing the outline; headings fold their section away. folds are
+// kept per md cell as the slugs of its folded headings (cell._folds) and saved
+// with the notebook. the [TOC] cells re-render whenever the headings change.
+// each rendered heading keeps its slug in data-slug, and takes the outline's
+// notebook-wide anchor as its id
+
+let outlineTimer = null;
+let lastToc = null;
+
+export function scheduleOutline() {
+  clearTimeout(outlineTimer);
+  outlineTimer = setTimeout(refreshOutline, 60);
+}
+
+export function toggleOutline() {
+  const panel = $('#outlinePanel');
+  panel.classList.toggle('open');
+  document.body.classList.toggle('outline-open', panel.classList.contains('open'));
+  refreshOutline();
+}
+
+// marks the headings renderMd put in a freshly rendered view (embedded
+// markdown brings its own, which aren't the cell's)
+export function tagHeadings(viewEl) {
+  for (const h of viewEl.querySelectorAll('h1, h2, h3, h4, h5, h6')) h.dataset.slug = h.id;
+}
+
+function headingEl(cell, slug) {
+  const view = cell.el.querySelector('.cell-md-view');
+  return view ? [...view.querySelectorAll('[data-slug]')].find(h => h.dataset.slug === slug) : null;
+}
+
+export function refreshOutline() {
+  clearTimeout(outlineTimer);
+  const outline = buildOutline(S.cells);
+  applyAnchors(outline);
+  applyFolds(outline);
+
+  const toc = tocMarkdown(outline);
+  if (toc !== lastToc) {
+    lastToc = toc;
+    for (const c of S.cells) if (c.type === 'md' && TOC_RE.test(c.code)) renderMdCell(c);
+  }
+
+  renderOutline(outline);
+}
+
+// two cells with the same heading would otherwise share an id
+function applyAnchors(outline) {
+  const byId = new Map(S.cells.map(c => [c.id, c]));
+  for (const e of outline) {
+    if (e.kind !== 'heading') continue;
+    const h = headingEl(byId.get(e.id), e.slug);
+    if (h && h.id !== e.anchor) h.id = e.anchor;
+  }
+}
+
+function applyFolds(outline) {
+  const hidden = new Set();
+  const folded = [];
+  for (const c of S.cells) {
+    if (!c._folds) continue;
+    const live = new Set();
+    for (const e of outline) {
+      if (e.id !== c.id || e.kind !== 'heading' || !c._folds.has(e.slug)) continue;
+      const ids = sectionCells(S.cells, outline, e);
+      ids.forEach(id => hidden.add(id));
+      folded.push([c, e.slug, ids.length]);
+      live.add(e.slug);
+    }
+    // a renamed or deleted heading takes its fold with it
+    c._folds = live.size ? live : null;
+  }
+
+  for (const c of S.cells) {
+    c.el.classList.toggle('section-hidden', hidden.has(c.id));
+    c.el.querySelectorAll('.md-fold-badge').forEach(b => b.remove());
+  }
+  for (const [c, slug, n] of folded) {
+    const h = headingEl(c, slug);
+    if (!h || !n) continue;
+    const badge = document.createElement('button');
+    badge.className = 'md-fold-badge';
+    badge.textContent = `${n} cell${n === 1 ? '' : 's'} folded`;
+    badge.title = 'unfold';
+    badge.onclick = (e) => { e.stopPropagation(); toggleFold(c.id, slug); };
+    h.appendChild(badge);
+  }
+}
+
+export function toggleFold(id, slug) {
+  const cell = S.cells.find(c => c.id === id);
+  if (!cell) return;
+  if (!cell._folds) cell._folds = new Set();
+  if (cell._folds.has(slug)) cell._folds.delete(slug);
+  else cell._folds.add(slug);
+  refreshOutline();
+  notifyDirty();
+}
+
+// unfold whatever section is hiding a cell (selection, goto, find)
+export function revealCell(id) {
+  const outline = buildOutline(S.cells);
+  for (const e of outline) {
+    const cell = e.kind === 'heading' && S.cells.find(c => c.id === e.id);
+    if (cell && cell._folds && cell._folds.has(e.slug) && sectionCells(S.cells, outline, e).includes(id)) cell._folds.delete(e.slug);
+  }
+  refreshOutline();
+}
+
+function jumpTo(e) {
+  const cell = S.cells.find(c => c.id === e.id);
+  if (!cell) return;
+  selectCell(cell.id);
+  const h = e.kind === 'heading' && headingEl(cell, e.slug);
+  (h || cell.el).scrollIntoView({ block: 'start' });
+}
+
+// in-notebook links (#anchor, as the TOC writes them) go to that heading.
+// false when there is none, to let the link through
+export function jumpToAnchor(anchor) {
+  const e = buildOutline(S.cells).find(e => e.kind === 'heading' && e.anchor === anchor);
+  if (!e) return false;
+  jumpTo(e);
+  return true;
+}
+
+// a [TOC] cell below the selected one, or at the top
+export function insertToc() {
+  const first = S.selectedId === null && S.cells.length ? S.cells[0].id : null;
+  const cell = addCellWithUndo('md', '[TOC]', S.selectedId, first);
+  selectCell(cell.id, true);
+}
+
+function renderOutline(outline) {
+  const panel = $('#outlinePanel');
+  if (!panel || !panel.classList.contains('open')) return;
+  const body = $('#outlineBody');
+  body.textContent = '';
+  if (!outline.length) {
+    body.innerHTML = '<div class="outline-empty">no headings or named cells</div>';
+    return;
+  }
+
+  let depth = 0;
+  const top = Math.min(...outline.filter(e => e.kind === 'heading').map(e => e.level), 6);
+  for (const e of outline) {
+    const row = document.createElement('div');
+    row.className = 'outline-row';
+    row.dataset.kind = e.kind;
+    if (e.kind === 'heading') depth = e.level - top;
+    row.style.paddingLeft = (8 + (e.kind === 'heading' ? depth : depth + 1) * 12) + 'px';
+    row.onclick = () => jumpTo(e);
+
+    const fold = document.createElement('span');
+    fold.className = 'outline-fold';
+    if (e.kind === 'heading' && sectionCells(S.cells, outline, e).length) {
+      const cell = S.cells.find(c => c.id === e.id);
+      const folded = !!(cell._folds && cell._folds.has(e.slug));
+      fold.textContent = folded ? '\u25b8' : '\u25be';
+      fold.title = folded ? 'unfold section' : 'fold section';
+      fold.onclick = (ev) => { ev.stopPropagation(); toggleFold(e.id, e.slug); };
+      row.classList.toggle('folded', folded);
+    }
+
+    const label = document.createElement('span');
+    label.className = 'outline-label';
+    label.textContent = e.text || e.slug;
+    label.title = label.textContent;
+
+    row.append(fold, label);
+    body.appendChild(row);
+  }
+}
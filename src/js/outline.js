@@ -0,0 +1,87 @@
+import { renderMd } from './markdown.js';
+import { parseCellName } from './dag.js';
+
+// ── OUTLINE ──
+// the notebook's structure: md headings (with the anchors renderMd gives them)
+// and code cells named by %cellName, in document order. sections and the
+// [TOC] list are derived from it; the panel and folding live in outline-panel.js
+
+// a line holding just [TOC] becomes the notebook's table of contents
+export const TOC_RE = /^ {0,3}\[toc\][ \t]*$/im;
+
+const HEADING_RE = /<h([1-6]) id="([^"]*)">([\s\S]*?)<\/h\1>/g;
+const headingCache = new WeakMap();
+
+const decodeHtml = s => s
+  .replace(/&#(\d+);/g, (m, n) => String.fromCodePoint(+n))
+  .replace(/&#x([0-9a-f]+);/gi, (m, n) => String.fromCodePoint(parseInt(n, 16)))
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+
+// headings of one md source, cached per cell until its source changes.
+// interpolated cells are read from their last rendered source, so the
+// anchors match the DOM and embedded values drop out of the text
+function mdHeadings(cell) {
+  const src = cell._mdSource ?? cell.code;
+  const hit = headingCache.get(cell);
+  if (hit && hit.src === src) return hit.heads;
+  const heads = [];
+  for (const m of renderMd(src).matchAll(HEADING_RE)) {
+    const text = decodeHtml(m[3].replace(/<annotation[^>]*>[^<]*<\/annotation>/g, '').replace(/<[^>]*>/g, ''))
+      .replace(/\uE000\d+\uE001/g, '').replace(/\s+/g, ' ').trim();
+    heads.push({ level: +m[1], slug: decodeHtml(m[2]), text });
+  }
+  headingCache.set(cell, { src, heads });
+  return heads;
+}
+
+// [{ id, kind: 'heading', level, slug, anchor, text } | { id, kind: 'cell', level: null, text }].
+// slug is the anchor renderMd gives the heading, unique within its cell (folds
+// are kept by it); anchor is unique across the notebook, and is the heading's
+// id in the page once outline-panel.js has applied it
+export function buildOutline(cells) {
+  const outline = [];
+  const taken = new Set();
+  for (const c of cells) {
+    if (c.type === 'md') {
+      for (const h of mdHeadings(c)) {
+        let anchor = h.slug;
+        for (let n = 1; taken.has(anchor); n++) anchor = `${h.slug}-${n}`;
+        taken.add(anchor);
+        outline.push({ id: c.id, kind: 'heading', ...h, anchor });
+      }
+    } else if (c.type === 'code') {
+      const name = parseCellName(c.code);
+      if (name) outline.push({ id: c.id, kind: 'cell', level: null, text: name });
+    }
+  }
+  return outline;
+}
+
+// ids of the cells under a heading: those after its cell, up to the next
+// cell with a heading of the same or a higher level. a heading followed by
+// such a heading in its own cell has no cells of its own
+export function sectionCells(cells, outline, entry) {
+  const at = outline.indexOf(entry);
+  const next = outline.slice(at + 1).find(e => e.kind === 'heading' && e.level <= entry.level);
+  if (next && next.id === entry.id) return [];
+  const from = cells.findIndex(c => c.id === entry.id) + 1;
+  const to = next ? cells.findIndex(c => c.id === next.id) : cells.length;
+  return cells.slice(from, to).map(c => c.id);
+}
+
+// markdown-significant characters as entities so heading text links as-is
+const tocText = s => s.replace(/[\\`*_[\]<>&$~|]/g, c => `&#${c.charCodeAt(0)};`);
+
+// the headings as a nested markdown list of anchor links. skipped levels
+// (an h3 straight under an h1) nest one step, not two
+export function tocMarkdown(outline) {
+  const lines = [];
+  const stack = [];
+  for (const e of outline) {
+    if (e.kind !== 'heading') continue;
+    while (stack.length && stack[stack.length - 1] >= e.level) stack.pop();
+    lines.push(`${'  '.repeat(stack.length)}- [${tocText(e.text) || e.anchor}](#${e.anchor})`);
+    stack.push(e.level);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,106 @@
+// ── URL PARAMETERS ──
+// a `// %params` code cell declares a notebook's parameters: every name it
+// defines, with the value it computes as the default. report.html?grade=0.5
+// (or #grade=0.5) replaces the default, parsed to the default's type, and a
+// widget labelled with the parameter's name starts at the URL's value.
+// execCell applies them; "copy link" writes the current values back out
+
+// name -> raw string from the query, then the hash (which wins). a hash with
+// no `=` is an anchor, not parameters
+export function readUrlParams(search, hash) {
+  const out = new Map();
+  for (const [k, v] of new URLSearchParams(search)) out.set(k, v);
+  if (hash && hash.includes('=')) for (const [k, v] of new URLSearchParams(hash.replace(/^#/, ''))) out.set(k, v);
+  return out;
+}
+
+const TRUE_WORDS = new Set(['true', '1', 'yes', 'on', '']);
+const FALSE_WORDS = new Set(['false', '0', 'no', 'off']);
+const isPlain = v => v !== null && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+
+function parseJson(raw) {
+  try { return JSON.parse(raw); } catch { return undefined; }
+}
+
+// a raw URL value as the same kind of thing as `like`, or undefined when it
+// can't be one. lists may be JSON or comma-separated
+export function coerceParam(raw, like) {
+  if (typeof like === 'number') {
+    const n = raw.trim() === '' ? NaN : Number(raw);
+    return Number.isNaN(n) ? undefined : n;
+  }
+  if (typeof like === 'boolean') {
+    const w = raw.trim().toLowerCase();
+    return TRUE_WORDS.has(w) ? true : FALSE_WORDS.has(w) ? false : undefined;
+  }
+  if (typeof like === 'string') return raw;
+  if (typeof like === 'bigint') {
+    try { return BigInt(raw); } catch { return undefined; }
+  }
+  if (like instanceof Date) {
+    const d = new Date(raw);
+    return Number.isNaN(d.getTime()) ? undefined : d;
+  }
+  if (Array.isArray(like)) {
+    if (/^\s*\[/.test(raw)) {
+      const v = parseJson(raw);
+      return Array.isArray(v) ? v : undefined;
+    }
+    const items = raw === '' ? [] : raw.split(',');
+    if (!like.length) return items;
+    const out = items.map(s => coerceParam(s.trim(), like[0]));
+    return out.includes(undefined) ? undefined : out;
+  }
+  if (isPlain(like)) {
+    const v = parseJson(raw);
+    return isPlain(v) ? v : undefined;
+  }
+  if (like == null) return seedValue(raw);
+  return undefined;
+}
+
+// what coerceParam wanted, for its warning
+export function paramType(like) {
+  if (like instanceof Date) return 'date';
+  if (Array.isArray(like)) return 'list';
+  return isPlain(like) ? 'JSON object' : typeof like;
+}
+
+// a raw value handed to a widget before its type is known: the widget coerces
+// strings itself, but not booleans (checkbox) or structured values (xy)
+export function seedValue(raw) {
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  if (/^\s*[[{]/.test(raw)) {
+    const v = parseJson(raw);
+    if (v !== undefined) return v;
+  }
+  return raw;
+}
+
+// a value as it goes in a link, or null for things a URL can't carry
+export function formatParam(v) {
+  if (typeof v === 'string') return v;
+  if (typeof v === 'number') return Number.isFinite(v) ? String(v) : null;
+  if (typeof v === 'boolean' || typeof v === 'bigint') return String(v);
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v.toISOString();
+  if (Array.isArray(v) && v.every(x => typeof x === 'number' || typeof x === 'boolean' || (typeof x === 'string' && x && !x.includes(',')))) {
+    return v.join(',');
+  }
+  if (Array.isArray(v) || isPlain(v)) {
+    try { return JSON.stringify(v); } catch { return null; }
+  }
+  return null;
+}
+
+// href with `values` in its query. the same names are dropped from a
+// parameter hash, which would otherwise override them
+export function paramsLink(href, values) {
+  const url = new URL(href);
+  for (const [k, v] of Object.entries(values)) url.searchParams.set(k, v);
+  if (url.hash.includes('=')) {
+    const hash = new URLSearchParams(url.hash.slice(1));
+    for (const k of Object.keys(values)) hash.delete(k);
+    url.hash = hash.toString();
+  }
+  return url.href;
+}
@@ -0,0 +1,418 @@
+// ── PLOT ──
+// std.plot: line, scatter, bar, histogram, heatmap and box charts drawn as
+// SVG, with axes, ticks and legends. each call returns a plot object; shown
+// in a cell it fills the output's width and redraws when that changes, and
+// .toSVG(width?) gives standalone markup for saving or embedding. colors come
+// from the notebook theme (CSS variables), so plots follow dark/light mode
+// unless `theme` pins them. no dependencies: stdlib.js hands in its palette
+// and colormap.
+
+const PLOT_WIDTH = 640;
+const PLOT_HEIGHT = 300;
+const PLOT_RASTER = 10000; // heatmap cells above which the browser draws an image
+
+// colors as CSS variables (with fallbacks for standalone files), or fixed
+const PLOT_THEMES = {
+  auto: { fg: 'var(--fg, #888)', dim: 'var(--fg-dim, #888)', grid: 'var(--border, #8884)', bg: 'none', font: 'var(--mono, monospace)' },
+  dark: { fg: '#aaa', dim: '#555', grid: '#222', bg: '#0a0a0a', font: 'monospace' },
+  light: { fg: '#444', dim: '#888', grid: '#ccc8bf', bg: '#f5f4f0', font: 'monospace' },
+};
+
+// ~count round values covering [lo, hi], stepping by 1, 2 or 5 × 10^k
+export function niceTicks(lo, hi, count = 5) {
+  if (!Number.isFinite(lo) || !Number.isFinite(hi)) return [];
+  if (lo === hi) return [lo];
+  if (lo > hi) [lo, hi] = [hi, lo];
+  const raw = (hi - lo) / Math.max(1, count);
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw);
+  const ticks = [];
+  for (let i = Math.ceil(lo / step - 1e-9); i * step <= hi + step * 1e-9; i++) {
+    ticks.push(+(i * step).toPrecision(12));
+  }
+  return ticks;
+}
+
+// domain widened to the enclosing ticks, so axes start and end on a label
+export function niceDomain(lo, hi, count = 5) {
+  if (lo === hi) return lo === 0 ? [-1, 1] : [lo - Math.abs(lo) / 2, hi + Math.abs(hi) / 2];
+  const t = niceTicks(lo, hi, count);
+  const step = t.length > 1 ? t[1] - t[0] : 1;
+  return [Math.min(lo, Math.floor(lo / step) * step), Math.max(hi, Math.ceil(hi / step) * step)].map(v => +v.toPrecision(12));
+}
+
+export function linearScale([d0, d1], [r0, r1]) {
+  const k = (r1 - r0) / ((d1 - d0) || 1);
+  const s = v => r0 + (v - d0) * k;
+  s.domain = [d0, d1];
+  return s;
+}
+
+// categories spread across the range; s(cat) is the band's start
+function bandScale(cats, [r0, r1], padding = 0.2) {
+  const step = (r1 - r0) / Math.max(1, cats.length);
+  const index = new Map(cats.map((c, i) => [c, i]));
+  const s = c => r0 + index.get(c) * step + step * padding / 2;
+  s.bandwidth = step * (1 - padding);
+  s.domain = cats;
+  return s;
+}
+
+// tick label: as many decimals as the spacing needs; k/M/G past 10 000
+export function fmtTick(v, step = 0) {
+  const a = Math.abs(v);
+  for (const [n, suffix] of [[1e9, 'G'], [1e6, 'M'], [1e3, 'k']]) {
+    if (a >= 1e4 && a >= n) return fmtTick(v / n, step / n) + suffix;
+  }
+  const decimals = step > 0 ? Math.min(10, Math.max(0, -Math.floor(Math.log10(step) + 1e-9))) : 0;
+  return v.toFixed(decimals).replace(/^-(0\.?0*)$/, '$1');
+}
+
+const plotEsc = s => String(s).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+const plotNum = v => +v.toFixed(2);
+
+// a column name or a function of the row
+const plotAccessor = (a, dflt) => a == null ? dflt : typeof a === 'function' ? a : d => d?.[a];
+
+function plotExtent(values) {
+  let lo = Infinity, hi = -Infinity;
+  for (const v of values) if (Number.isFinite(v)) { if (v < lo) lo = v; if (v > hi) hi = v; }
+  return lo <= hi ? [lo, hi] : [0, 1];
+}
+
+// [{ name, rows: [[x, y, datum]] }] from numbers (y by index), several y
+// columns (one series each), a z column to group by, or one x/y pair
+function plotSeries(data, opts) {
+  data = [...data];
+  if (data.every(d => typeof d === 'number')) {
+    return [{ name: opts.name ?? '', rows: data.map((y, i) => [i, y, y]) }];
+  }
+  const x = plotAccessor(opts.x, (d, i) => i);
+  if (Array.isArray(opts.y)) {
+    return opts.y.map(k => ({ name: String(k), rows: data.map((d, i) => [x(d, i), plotAccessor(k)(d, i), d]) }));
+  }
+  const y = plotAccessor(opts.y, d => d);
+  if (opts.z == null) return [{ name: opts.name ?? '', rows: data.map((d, i) => [x(d, i), y(d, i), d]) }];
+  const z = plotAccessor(opts.z);
+  const groups = new Map();
+  data.forEach((d, i) => {
+    const k = z(d, i);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push([x(d, i), y(d, i), d]);
+  });
+  return [...groups].map(([name, rows]) => ({ name: String(name), rows }));
+}
+
+// R-7 quantile of sorted numbers
+export function quantile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const h = (sorted.length - 1) * p;
+  const lo = Math.floor(h);
+  return sorted[lo] + (h - lo) * ((sorted[lo + 1] ?? sorted[lo]) - sorted[lo]);
+}
+
+// quartiles, whiskers at the furthest values within 1.5 IQR, and the outliers
+export function boxStats(values) {
+  const v = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const q1 = quantile(v, 0.25), median = quantile(v, 0.5), q3 = quantile(v, 0.75);
+  const iqr = q3 - q1;
+  const inside = v.filter(x => x >= q1 - 1.5 * iqr && x <= q3 + 1.5 * iqr);
+  return {
+    q1, median, q3,
+    lo: inside[0] ?? q1, hi: inside[inside.length - 1] ?? q3,
+    outliers: v.filter(x => x < q1 - 1.5 * iqr || x > q3 + 1.5 * iqr),
+  };
+}
+
+// bins on round thresholds: [{ x0, x1, count }]
+export function binValues(values, count = 20) {
+  const [lo, hi] = plotExtent(values);
+  const t = niceTicks(lo, hi, count);
+  const step = t.length > 1 ? t[1] - t[0] : 1;
+  const start = Math.floor(lo / step) * step;
+  const n = Math.max(1, Math.ceil((hi - start) / step + 1e-9) || 1);
+  const bins = Array.from({ length: n }, (_, i) => ({ x0: +(start + i * step).toPrecision(12), x1: +(start + (i + 1) * step).toPrecision(12), count: 0 }));
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    bins[Math.min(n - 1, Math.floor((v - start) / step + 1e-9))].count++;
+  }
+  return bins;
+}
+
+// ── charts ──
+// each returns { x, y, marks(sx, sy), legend }: x and y say how the axes are
+// scaled ({ domain } for numbers, { bands } for categories) and marks draws
+// the data once the scales exist
+
+const CHARTS = {
+  line(data, o, c) {
+    const series = plotSeries(data, o);
+    return {
+      x: { domain: o.xDomain ?? plotExtent(series.flatMap(s => s.rows.map(r => r[0]))), nice: false },
+      y: { domain: o.yDomain ?? plotExtent(series.flatMap(s => s.rows.map(r => r[1]))) },
+      legend: series.length > 1 && series.map((s, i) => [s.name, c.series(i)]),
+      marks: (sx, sy) => series.map((s, i) => {
+        let d = '', pen = 'M';
+        for (const [x, y] of s.rows) {
+          if (!Number.isFinite(x) || !Number.isFinite(y)) { pen = 'M'; continue; }
+          d += `${pen}${plotNum(sx(x))},${plotNum(sy(y))}`;
+          pen = 'L';
+        }
+        return `<path d="${d}" fill="none" stroke="${c.series(i)}" stroke-width="${o.strokeWidth ?? 1.5}" stroke-linejoin="round"/>`;
+      }).join(''),
+    };
+  },
+
+  scatter(data, o, c) {
+    const series = plotSeries(data, o);
+    const r = plotAccessor(o.r, () => 3);
+    return {
+      x: { domain: o.xDomain ?? plotExtent(series.flatMap(s => s.rows.map(p => p[0]))) },
+      y: { domain: o.yDomain ?? plotExtent(series.flatMap(s => s.rows.map(p => p[1]))) },
+      legend: series.length > 1 && series.map((s, i) => [s.name, c.series(i)]),
+      marks: (sx, sy) => series.map((s, i) => s.rows
+        .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y))
+        .map(([x, y, d]) => `<circle cx="${plotNum(sx(x))}" cy="${plotNum(sy(y))}" r="${typeof o.r === 'number' ? o.r : r(d)}" fill="${c.series(i)}" fill-opacity="${o.opacity ?? 0.75}"/>`)
+        .join('')).join(''),
+    };
+  },
+
+  // x: category, y: value; with z, bars of a category sit side by side
+  bar(data, o, c) {
+    const series = plotSeries(data, { ...o, x: o.x ?? ((d, i) => i) });
+    const cats = [...new Set(series.flatMap(s => s.rows.map(r => r[0])))];
+    const [lo, hi] = plotExtent(series.flatMap(s => s.rows.map(r => r[1])));
+    return {
+      x: { bands: cats },
+      y: { domain: o.yDomain ?? [Math.min(0, lo), Math.max(0, hi)] },
+      legend: series.length > 1 && series.map((s, i) => [s.name, c.series(i)]),
+      marks: (sx, sy) => series.map((s, i) => {
+        const w = sx.bandwidth / series.length;
+        return s.rows.filter(r => Number.isFinite(r[1])).map(([x, y]) => {
+          const y0 = sy(0), y1 = sy(y);
+          return `<rect x="${plotNum(sx(x) + i * w)}" y="${plotNum(Math.min(y0, y1))}" width="${plotNum(Math.max(0, w - 1))}" height="${plotNum(Math.abs(y1 - y0))}" fill="${c.series(i)}"/>`;
+        }).join('');
+      }).join(''),
+    };
+  },
+
+  histogram(data, o, c) {
+    const x = plotAccessor(o.x, d => d);
+    const bins = binValues([...data].map((d, i) => x(d, i)), o.bins ?? 20);
+    return {
+      x: { domain: [bins[0].x0, bins[bins.length - 1].x1], nice: false },
+      y: { domain: [0, Math.max(1, ...bins.map(b => b.count))] },
+      marks: (sx, sy) => bins.map(b => `<rect x="${plotNum(sx(b.x0))}" y="${plotNum(sy(b.count))}" width="${plotNum(Math.max(0, sx(b.x1) - sx(b.x0) - 1))}" height="${plotNum(sy(0) - sy(b.count))}" fill="${o.color ?? c.series(0)}"><title>${plotEsc(`${b.x0} – ${b.x1}: ${b.count}`)}</title></rect>`).join(''),
+    };
+  },
+
+  // grid[row][col]; columns along x over [x0, x1], rows along y over [y0, y1]
+  // with row 0 at the bottom (origin: 'top' puts it at the top)
+  heatmap(grid, o, c) {
+    const rows = grid.length, cols = grid[0]?.length ?? 0;
+    const x0 = o.x0 ?? 0, x1 = o.x1 ?? cols, y0 = o.y0 ?? 0, y1 = o.y1 ?? rows;
+    const domain = o.domain ?? plotExtent(grid.flatMap(r => [...r]));
+    const colors = o.colors ?? c.colormap;
+    const color = v => colors(Math.max(0, Math.min(1, (v - domain[0]) / ((domain[1] - domain[0]) || 1))));
+    const rowAt = o.origin === 'top' ? r => rows - 1 - r : r => r;
+    return {
+      x: { domain: [x0, x1], nice: false },
+      y: { domain: [y0, y1], nice: false },
+      ramp: { domain, colors },
+      marks: (sx, sy) => {
+        const cw = (sx(x1) - sx(x0)) / cols, ch = (sy(y0) - sy(y1)) / rows;
+        if (rows * cols > PLOT_RASTER && typeof document !== 'undefined') {
+          const url = heatmapImage(grid, color, rowAt);
+          if (url) return `<image href="${url}" x="${plotNum(sx(x0))}" y="${plotNum(sy(y1))}" width="${plotNum(cw * cols)}" height="${plotNum(ch * rows)}" preserveAspectRatio="none" style="image-rendering:pixelated"/>`;
+        }
+        let out = '';
+        for (let r = 0; r < rows; r++) {
+          const top = sy(y0) - (rowAt(r) + 1) * ch;
+          for (let k = 0; k < cols; k++) {
+            const v = grid[r][k];
+            if (!Number.isFinite(v)) continue;
+            out += `<rect x="${plotNum(sx(x0) + k * cw)}" y="${plotNum(top)}" width="${plotNum(cw + 0.5)}" height="${plotNum(ch + 0.5)}" fill="${color(v)}"/>`;
+          }
+        }
+        return out;
+      },
+    };
+  },
+
+  // x: group (optional), y: value
+  box(data, o, c) {
+    const x = plotAccessor(o.x, () => ''), y = plotAccessor(o.y, d => d);
+    const groups = new Map();
+    [...data].forEach((d, i) => {
+      const g = x(d, i);
+      if (!groups.has(g)) groups.set(g, []);
+      groups.get(g).push(y(d, i));
+    });
+    const stats = [...groups].map(([g, v]) => [g, boxStats(v)]);
+    const all = stats.flatMap(([, s]) => [s.lo, s.hi, ...s.outliers]);
+    return {
+      x: { bands: stats.map(([g]) => g) },
+      y: { domain: o.yDomain ?? plotExtent(all) },
+      marks: (sx, sy) => stats.map(([g, s], i) => {
+        const col = o.color ?? c.series(i);
+        const w = sx.bandwidth, left = sx(g), mid = plotNum(left + w / 2);
+        return `<line x1="${mid}" x2="${mid}" y1="${plotNum(sy(s.lo))}" y2="${plotNum(sy(s.hi))}" stroke="${c.theme.fg}"/>` +
+          `<rect x="${plotNum(left)}" y="${plotNum(sy(s.q3))}" width="${plotNum(w)}" height="${plotNum(sy(s.q1) - sy(s.q3))}" fill="${col}" fill-opacity="0.6" stroke="${col}"/>` +
+          `<line x1="${plotNum(left)}" x2="${plotNum(left + w)}" y1="${plotNum(sy(s.median))}" y2="${plotNum(sy(s.median))}" stroke="${c.theme.fg}" stroke-width="2"/>` +
+          s.outliers.map(v => `<circle cx="${mid}" cy="${plotNum(sy(v))}" r="2" fill="none" stroke="${col}"/>`).join('');
+      }).join(''),
+    };
+  },
+};
+
+// PNG data URL of a heatmap, one pixel per cell, or null without a canvas
+function heatmapImage(grid, color, rowAt) {
+  const rows = grid.length, cols = grid[0].length;
+  const cv = document.createElement('canvas');
+  cv.width = cols; cv.height = rows;
+  const ctx = cv.getContext?.('2d');
+  if (!ctx) return null;
+  for (let r = 0; r < rows; r++) {
+    for (let k = 0; k < cols; k++) {
+      const v = grid[r][k];
+      if (!Number.isFinite(v)) continue;
+      ctx.fillStyle = color(v);
+      ctx.fillRect(k, rows - 1 - rowAt(r), 1, 1);
+    }
+  }
+  try { return cv.toDataURL('image/png'); } catch { return null; }
+}
+
+let plotIds = 0;
+
+// the full SVG for a chart at a given size
+export function renderPlot(kind, data, opts, defaults, width = PLOT_WIDTH) {
+  const height = opts.height ?? PLOT_HEIGHT;
+  const theme = { ...PLOT_THEMES.auto, ...(typeof opts.theme === 'string' ? PLOT_THEMES[opts.theme] : opts.theme) };
+  const palette = opts.colors && typeof opts.colors !== 'function' ? opts.colors : defaults.palette;
+  const c = {
+    theme,
+    colormap: defaults.colormap,
+    series: i => (opts.color && kind !== 'heatmap' && typeof opts.color === 'string') ? opts.color : palette[i % palette.length],
+  };
+  const chart = CHARTS[kind](data, opts, c);
+
+  // room for the title, axis labels, legend and color ramp
+  const legendW = chart.legend ? 16 + Math.max(...chart.legend.map(([n]) => n.length)) * 7 : chart.ramp ? 56 : 0;
+  const m = {
+    top: opts.title ? 28 : 10,
+    right: 14 + legendW,
+    bottom: 26 + (opts.xLabel ? 16 : 0),
+    left: 48 + (opts.yLabel ? 16 : 0),
+  };
+  const pw = Math.max(10, width - m.left - m.right), ph = Math.max(10, height - m.top - m.bottom);
+
+  const xt = !chart.x.bands && niceTicks(...chart.x.domain, Math.max(2, Math.round(pw / 80)));
+  const yt = niceTicks(...chart.y.domain, Math.max(2, Math.round(ph / 40)));
+  const xd = chart.x.bands ? null : chart.x.nice === false || opts.xDomain ? chart.x.domain : niceDomain(...chart.x.domain, Math.max(2, Math.round(pw / 80)));
+  const yd = chart.y.nice === false || opts.yDomain ? chart.y.domain : niceDomain(...chart.y.domain, Math.max(2, Math.round(ph / 40)));
+  const sx = chart.x.bands ? bandScale(chart.x.bands, [m.left, m.left + pw]) : linearScale(xd, [m.left, m.left + pw]);
+  const sy = linearScale(yd, [m.top + ph, m.top]);
+  const text = (x, y, s, extra = '') => `<text x="${plotNum(x)}" y="${plotNum(y)}" ${extra}>${plotEsc(s)}</text>`;
+
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" class="plot-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="monospace" font-size="10" style="font-family:${theme.font};background:${theme.bg}">`);
+  if (opts.title) out.push(text(m.left, 16, opts.title, `style="fill:${theme.fg}" font-size="12"`));
+
+  // grid and ticks
+  const grid = opts.grid !== false;
+  const g = [`<g style="stroke:${theme.grid}" stroke-width="1" shape-rendering="crispEdges">`];
+  const labels = [`<g style="fill:${theme.dim}">`];
+  const ystep = yt.length > 1 ? yt[1] - yt[0] : 0;
+  for (const v of yt) {
+    if (v < yd[0] || v > yd[1]) continue;
+    const y = plotNum(sy(v));
+    if (grid) g.push(`<line x1="${m.left}" x2="${m.left + pw}" y1="${y}" y2="${y}"/>`);
+    labels.push(text(m.left - 6, y + 3, fmtTick(v, ystep), 'text-anchor="end"'));
+  }
+  if (chart.x.bands) {
+    for (const cat of chart.x.bands) labels.push(text(sx(cat) + sx.bandwidth / 2, m.top + ph + 14, cat, 'text-anchor="middle"'));
+  } else {
+    const xstep = xt.length > 1 ? xt[1] - xt[0] : 0;
+    for (const v of xt) {
+      if (v < xd[0] || v > xd[1]) continue;
+      const x = plotNum(sx(v));
+      if (grid) g.push(`<line x1="${x}" x2="${x}" y1="${m.top}" y2="${m.top + ph}"/>`);
+      labels.push(text(x, m.top + ph + 14, fmtTick(v, xstep), 'text-anchor="middle"'));
+    }
+  }
+  g.push('</g>');
+  labels.push('</g>');
+  out.push(g.join(''));
+
+  // marks only stray outside the frame with a domain given in opts. (ids are
+  // avoided otherwise: saved output snapshots drop them)
+  if (opts.xDomain || opts.yDomain) {
+    const clip = `plot-clip-${++plotIds}`;
+    out.push(`<clipPath id="${clip}"><rect x="${m.left}" y="${m.top}" width="${pw}" height="${ph}"/></clipPath>`);
+    out.push(`<g clip-path="url(#${clip})">${chart.marks(sx, sy)}</g>`);
+  } else {
+    out.push(`<g>${chart.marks(sx, sy)}</g>`);
+  }
+
+  // axes lines and labels
+  out.push(`<path d="M${m.left},${m.top}V${m.top + ph}H${m.left + pw}" fill="none" style="stroke:${theme.dim}" shape-rendering="crispEdges"/>`);
+  out.push(labels.join(''));
+  if (opts.xLabel) out.push(text(m.left + pw / 2, height - 6, opts.xLabel, `text-anchor="middle" style="fill:${theme.fg}"`));
+  if (opts.yLabel) out.push(text(12, m.top + ph / 2, opts.yLabel, `text-anchor="middle" transform="rotate(-90 12 ${plotNum(m.top + ph / 2)})" style="fill:${theme.fg}"`));
+
+  // series legend, or the heatmap's color ramp
+  const lx = m.left + pw + 14;
+  if (chart.legend && opts.legend !== false) {
+    chart.legend.forEach(([name, col], i) => {
+      const y = m.top + 6 + i * 14;
+      out.push(`<rect x="${lx}" y="${y - 7}" width="9" height="9" fill="${col}"/>`);
+      out.push(text(lx + 13, y + 1, name, `style="fill:${theme.fg}"`));
+    });
+  }
+  if (chart.ramp && opts.legend !== false) {
+    const steps = 32, sh = ph / steps;
+    for (let i = 0; i < steps; i++) {
+      out.push(`<rect x="${lx}" y="${plotNum(m.top + i * sh)}" width="10" height="${plotNum(sh + 0.5)}" fill="${chart.ramp.colors(1 - (i + 0.5) / steps)}"/>`);
+    }
+    const [d0, d1] = chart.ramp.domain;
+    const rs = linearScale([d0, d1], [m.top + ph, m.top]);
+    const rt = niceTicks(d0, d1, 4);
+    for (const v of rt) out.push(text(lx + 14, rs(v) + 3, fmtTick(v, rt[1] - rt[0] || 0), `style="fill:${theme.dim}"`));
+  }
+
+  out.push('</svg>');
+  return out.join('');
+}
+
+// std.plot, given the palette and colormap stdlib ships
+export function makePlot(defaults) {
+  const plot = {};
+  for (const kind of Object.keys(CHARTS)) {
+    plot[kind] = (data, opts = {}) => {
+      if (data == null || typeof data[Symbol.iterator] !== 'function') throw new TypeError(`plot.${kind}: data must be an array`);
+      return {
+        kind, data, opts,
+        toSVG: (width = opts.width ?? PLOT_WIDTH) => renderPlot(kind, data, opts, defaults, width),
+        // fills the output's width (or opts.width) and redraws when it changes
+        [Symbol.for('auditable.display')]() {
+          const div = document.createElement('div');
+          div.className = 'plot';
+          let drawn = 0;
+          const draw = width => {
+            width = Math.floor(width);
+            if (!width || width === drawn) return;
+            drawn = width;
+            div.innerHTML = renderPlot(kind, data, opts, defaults, width);
+          };
+          draw(opts.width ?? PLOT_WIDTH);
+          if (opts.width == null && typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(entries => draw(entries[0].contentRect.width)).observe(div);
+          }
+          return div;
+        },
+      };
+    };
+  }
+  return plot;
+}
@@ -0,0 +1,31 @@
+// ── PROFILING ──
+// each pass records, per cell it was asked to run, when it started (ms from
+// the pass start), how long it took, and what happened: ran, cached, error,
+// interrupted, or why it was skipped (gated, norun, manual, blocked, stopped).
+// the finished profile becomes S.lastRun, drawn by timeline.js
+
+// statuses with a real duration; the others are skips, recorded as instants
+export const TIMED = new Set(['ran', 'cached', 'error', 'interrupted']);
+
+// { start, duration, dirty, cells: [{ id, start, duration, status }] }
+export function startProfile(dirtyIds, now = performance.now()) {
+  return { start: now, duration: 0, dirty: [...dirtyIds], cells: [] };
+}
+
+// a cell that ran since t0, or was skipped (no t0) just now
+export function recordCell(profile, id, status, t0, now = performance.now()) {
+  const entry = { id, start: (t0 ?? now) - profile.start, duration: t0 == null ? 0 : now - t0, status };
+  profile.cells.push(entry);
+  return entry;
+}
+
+export function endProfile(profile, now = performance.now()) {
+  profile.duration = now - profile.start;
+  return profile;
+}
+
+// how many of a profile's cells ran and how many were skipped
+export function profileCounts(profile) {
+  const timed = profile.cells.filter(e => TIMED.has(e.status)).length;
+  return { timed, skipped: profile.cells.length - timed };
+}
@@ -0,0 +1,151 @@
+// ── RESULT CACHE ──
+// a `// %cache` cell is keyed by a SHA-256 of its source and the values of
+// its inputs. the defines (and a static copy of the output) are stored in
+// IndexedDB under that key, so the next run with the same source and inputs
+// — in this session, after a reload, or in another notebook — restores them
+// instead of executing. inputs must be plain data for the key to mean
+// anything; a cell whose inputs aren't simply runs as usual.
+
+const CACHE_DB = 'auditable-cache';
+const CACHE_VERSION = 'auditable-cache/1';
+
+const utf8 = new TextEncoder();
+
+// byte chunks that identify a value, appended to `parts`. returns false for
+// anything that isn't plain data (functions, DOM nodes, class instances, ...)
+export function fingerprint(value, parts = [], seen = new Map()) {
+  const tag = s => { parts.push(utf8.encode(s + '\u0000')); return true; };
+  if (value === null) return tag('null');
+  switch (typeof value) {
+    case 'undefined': return tag('u');
+    case 'boolean': return tag(value ? 't' : 'f');
+    case 'number': return tag('n' + (Object.is(value, -0) ? '-0' : String(value)));
+    case 'bigint': return tag('i' + value);
+    case 'string': return tag('s' + value.length + ':' + value);
+    case 'object': break;
+    default: return false;
+  }
+  if (seen.has(value)) return tag('ref' + seen.get(value));
+  seen.set(value, seen.size);
+  const bytes = (name, view) => {
+    tag(name + view.byteLength);
+    parts.push(new Uint8Array(view.buffer, view.byteOffset, view.byteLength).slice());
+    return true;
+  };
+  if (ArrayBuffer.isView(value)) return bytes('V' + value.constructor.name, value);
+  if (value instanceof ArrayBuffer) return bytes('B', new Uint8Array(value));
+  if (value instanceof Date) return tag('D' + value.getTime());
+  if (value instanceof RegExp) return tag('R' + value.flags + '/' + value.source);
+  if (value instanceof Map) {
+    tag('M' + value.size);
+    for (const [k, v] of value) if (!fingerprint(k, parts, seen) || !fingerprint(v, parts, seen)) return false;
+    return true;
+  }
+  if (value instanceof Set) {
+    tag('S' + value.size);
+    for (const v of value) if (!fingerprint(v, parts, seen)) return false;
+    return true;
+  }
+  if (Array.isArray(value)) {
+    tag('a' + value.length);
+    for (let i = 0; i < value.length; i++) if (!fingerprint(value[i], parts, seen)) return false;
+    return true;
+  }
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null) return false;
+  const keys = Object.keys(value);
+  tag('o' + keys.length);
+  for (const k of keys) if (!tag('k' + k) || !fingerprint(value[k], parts, seen)) return false;
+  return true;
+}
+
+// hex key for a cell's source and its [name, value] inputs, or null if an
+// input isn't plain data (or the page has no WebCrypto)
+export async function resultKey(code, inputs) {
+  const parts = [utf8.encode(CACHE_VERSION + '\u0000' + code + '\u0000')];
+  for (const [name, value] of inputs) {
+    parts.push(utf8.encode(name + '\u0000'));
+    if (!fingerprint(value, parts)) return null;
+  }
+  if (!globalThis.crypto?.subtle) return null;
+  const all = new Uint8Array(parts.reduce((n, p) => n + p.byteLength, 0));
+  let at = 0;
+  for (const p of parts) { all.set(p, at); at += p.byteLength; }
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', all));
+  return [...digest].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// rough size in bytes of what gets stored, for the settings list
+export function approxSize(value, seen = new Set()) {
+  if (value == null) return 0;
+  if (typeof value === 'string') return value.length * 2;
+  if (typeof value !== 'object') return 8;
+  if (seen.has(value)) return 0;
+  seen.add(value);
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value.byteLength;
+  let n = 0;
+  if (value instanceof Map) for (const [k, v] of value) n += approxSize(k, seen) + approxSize(v, seen);
+  else if (value instanceof Set) for (const v of value) n += approxSize(v, seen);
+  else for (const k of Object.keys(value)) n += k.length * 2 + approxSize(value[k], seen);
+  return n;
+}
+
+// ── storage ──
+// two stores: `results` holds { key, defines, output } and `meta` the small
+// { key, label, size, time } records the settings panel lists
+
+// on/off is per browser, like the store itself
+export function isCacheEnabled() {
+  try { return localStorage.getItem('auditable-result-cache') !== 'off'; } catch { return true; }
+}
+
+let _db = null;
+
+function openCache() {
+  if (!_db) {
+    _db = new Promise((resolve, reject) => {
+      const req = indexedDB.open(CACHE_DB, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore('results', { keyPath: 'key' });
+        req.result.createObjectStore('meta', { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch(() => null); // no IndexedDB (opaque origin, private mode): no cache
+  }
+  return _db;
+}
+
+// run fn(stores) in one transaction; resolves to fn's request result, or null on failure
+async function withStores(mode, fn) {
+  let db;
+  try { db = await openCache(); } catch { return null; }
+  if (!db) return null;
+  return new Promise(resolve => {
+    let tx;
+    try {
+      tx = db.transaction(['results', 'meta'], mode);
+      const req = fn(tx.objectStore('results'), tx.objectStore('meta'));
+      tx.oncomplete = () => resolve(req ? req.result : true);
+      tx.onerror = tx.onabort = () => resolve(null);
+    } catch {
+      // DataCloneError and friends
+      try { tx?.abort(); } catch {}
+      resolve(null);
+    }
+  });
+}
+
+export const cacheGet = key => withStores('readonly', results => results.get(key));
+
+export function cachePut({ key, defines, output, label }) {
+  const meta = { key, label, size: approxSize(defines), time: Date.now() };
+  return withStores('readwrite', (results, metaStore) => {
+    results.put({ key, defines, output });
+    metaStore.put(meta);
+  });
+}
+
+export const cacheDelete = key => withStores('readwrite', (results, meta) => { results.delete(key); meta.delete(key); });
+export const cacheClear = () => withStores('readwrite', (results, meta) => { results.clear(); meta.clear(); });
+export const cacheEntries = async () => (await withStores('readonly', (_, meta) => meta.getAll())) || [];
@@ -1,7 +1,9 @@
 import { S, $ } from './state.js';
 import { addCell } from './cell-ops.js';
-import { isCollapsed } from './dag.js';
-import { getSettings, applySettings, resolveExecMode, resolveRunOnLoad } from './settings.js';
+import { isCollapsed, isParams } from './dag.js';
+import { formatParam, paramsLink } from './params.js';
+import { getSettings, applySettings, resolveExecMode, resolveRunOnLoad, getSaveOutputsSetting } from './settings.js';
+import { captureOutputs, restoreOutputs } from './snapshot.js';
 import { runAll } from './exec.js';
 import { setMsg } from './ui.js';
 
@@ -55,7 +57,8 @@ function buildNotebookHtml() {
   const cellData = S.cells.map(c => ({
     type: c.type,
     code: c.code,
-    collapsed: (c._splitOrigEl || c.el).classList.contains('collapsed') || undefined
+    collapsed: (c._splitOrigEl || c.el).classList.contains('collapsed') || undefined,
+    folded: c._folds ? [...c._folds] : undefined
   }));
 
   // get the runtime and styles from current document
@@ -67,7 +70,10 @@ function buildNotebookHtml() {
   const script = scriptEl.textContent;
 
   // read static elements from live DOM
-  const helpHTML = $('#helpOverlay').outerHTML;
+  // help without rows added by extension widgets (they re-register on load)
+  const helpEl = $('#helpOverlay').cloneNode(true);
+  for (const row of helpEl.querySelectorAll('.help-row[data-ext]')) row.remove();
+  const helpHTML = helpEl.outerHTML;
   const settingsOvHTML = $('#settingsOverlay').outerHTML;
   const settingsPanHTML = $('#settingsPanel').outerHTML.replace(/display:\s*block;?/, '');
   const updateOvHTML = $('#updateOverlay').outerHTML.replace(/\bvisible\b/, '').replace(/class="\s*"/, 'class=""');
@@ -114,6 +120,22 @@ function buildNotebookHtml() {
   findBarEl.querySelector('#findRegexBtn').classList.remove('active');
   const findBarHTML = findBarEl.outerHTML;
 
+  // timeline panel, closed and empty
+  const timelineEl = $('#timelinePanel').cloneNode(true);
+  timelineEl.classList.remove('open');
+  timelineEl.querySelector('#timelineSummary').textContent = '';
+  timelineEl.querySelector('#timelineBody').textContent = '';
+  const timelineHTML = timelineEl.outerHTML;
+
+  // outline sidebar, closed and empty
+  const outlineEl = $('#outlinePanel').cloneNode(true);
+  outlineEl.classList.remove('open');
+  outlineEl.querySelector('#outlineBody').textContent = '';
+  const outlineHTML = outlineEl.outerHTML;
+
+  // rendered outputs, when the notebook opts in
+  const outputs = getSaveOutputsSetting() === 'yes' ? captureOutputs(S.cells) : null;
+
   // build output HTML
   return `<!DOCTYPE html>
 <html lang="en">
@@ -139,13 +161,18 @@ ${findBarHTML}
 
 <button class="present-exit" onclick="togglePresent()">\u2715 exit</button>
 
+${timelineHTML}
+
+${outlineHTML}
+
 <div class="notebook" id="notebook">
 </div>
 
 ${statusbarHTML}
 
-${'<!-- cell data: JSON array of {type, code, collapsed?} -->\n<!--AUDITABLE-DATA\n' + JSON.stringify(cellData) + '\nAUDITABLE-DATA-->'}
+${'<!-- cell data: JSON array of {type, code, collapsed?, folded?} -->\n<!--AUDITABLE-DATA\n' + JSON.stringify(cellData) + '\nAUDITABLE-DATA-->'}
 ${Object.keys(window._installedModules || {}).length ? '<!-- installed modules: base64-encoded JSON mapping URLs to {source, cellId} -->\n<!--AUDITABLE-MODULES\n' + encodeModules(window._installedModules) + '\nAUDITABLE-MODULES-->' : ''}
+${outputs ? '<!-- rendered outputs: base64-encoded JSON array, per cell, of {cls, html} or null -->\n<!--AUDITABLE-OUTPUTS\n' + encodeModules(outputs) + '\nAUDITABLE-OUTPUTS-->' : ''}
 ${'<!-- notebook settings: JSON {theme, fontSize, width, ...} -->\n<!--AUDITABLE-SETTINGS\n' + JSON.stringify(getSettings()) + '\nAUDITABLE-SETTINGS-->'}
 
 <script>\n${script}\n<\/script>
@@ -322,6 +349,24 @@ export function exportAsTxt() {
   setMsg('exported .txt', 'ok');
 }
 
+// this page's URL with the %params cells' current values, widgets as set now
+export function copyParamsLink() {
+  const values = {};
+  for (const c of S.cells) {
+    if (c.type !== 'code' || !isParams(c.code) || !c.defines) continue;
+    for (const name of c.defines) {
+      const widget = c.el.querySelector(`.cell-widgets [data-widget-key="${CSS.escape(name)}"]`);
+      const v = formatParam(widget ? c._inputs[name] : c._lastResult?.[name]);
+      if (v !== null) values[name] = v;
+    }
+  }
+  const n = Object.keys(values).length;
+  if (!n) { setMsg('no parameters \u2014 add a // %params cell', 'warn'); return; }
+  navigator.clipboard.writeText(paramsLink(location.href, values)).then(
+    () => setMsg(`copied link with ${n} parameter${n === 1 ? '' : 's'}`, 'ok'),
+    () => setMsg('copy failed', 'err'));
+}
+
 export function loadFromEmbed() {
   // look for embedded cell data in HTML comments
   const raw = document.body.innerHTML;
@@ -366,6 +411,16 @@ export function loadFromEmbed() {
       for (const c of data) {
         const cell = addCell(c.type, c.code);
         if (c.collapsed || isCollapsed(c.code)) cell.el.classList.add('collapsed');
+        if (c.folded) cell._folds = new Set(c.folded);
+      }
+      // saved outputs stand in until each cell runs
+      const outMatch = raw.match(/<!--AUDITABLE-OUTPUTS\n([\s\S]*?)\nAUDITABLE-OUTPUTS-->/);
+      if (outMatch) {
+        try {
+          restoreOutputs(S.cells, decodeModules(outMatch[1]));
+        } catch (e) {
+          console.error('Failed to parse saved outputs:', e);
+        }
       }
       // run after load (gated on resolved runOnLoad)
       if (effectiveRun === 'yes' && S.cells.some(c => c.type === 'code')) {
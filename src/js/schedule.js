@@ -0,0 +1,50 @@
+// ── SCHEDULER ──
+// a concurrent pass over the cells: each cell waits only for the earlier
+// cells that define what it uses, so independent async branches overlap. a
+// cell still sees the value document order would give it (the latest earlier
+// definition), and a failed cell blocks every later cell reading from it.
+// what running a cell means is up to the caller (runScheduled in exec.js)
+
+// visit(cell, ready) handles one cell and settles to { out, failed }: the
+// values it puts in scope, and whether it errored or was blocked. ready()
+// waits for the cell's upstream and gives its { inputs, blocked }. settles to
+// every cell's { out, failed }, in document order
+export function scheduleCells(cells, visit) {
+  const definers = new Map(); // name -> indices of earlier cells defining it
+  const tasks = [];
+  for (let i = 0; i < cells.length; i++) {
+    const cell = cells[i];
+    const deps = new Set();
+    if (cell.uses) for (const name of cell.uses) for (const j of definers.get(name) || []) deps.add(j);
+    const upstream = [...deps].sort((a, b) => a - b).map(j => tasks[j]);
+    tasks.push(visit(cell, () => gatherInputs(cell, upstream)));
+    if (cell.defines) for (const name of cell.defines) {
+      if (!definers.has(name)) definers.set(name, []);
+      definers.get(name).push(i);
+    }
+  }
+  return Promise.all(tasks);
+}
+
+// upstream settles in document order, so the latest definition of each name wins
+async function gatherInputs(cell, upstream) {
+  const deps = await Promise.all(upstream);
+  const inputs = {};
+  for (const { out } of deps) {
+    if (!out) continue;
+    for (const name of cell.uses) if (out[name] !== undefined) inputs[name] = out[name];
+  }
+  return { inputs, blocked: deps.some(d => d.failed) };
+}
+
+// the scope a pass leaves behind: every cell's values, later cells winning
+export function mergeScope(settled) {
+  const scope = {};
+  for (const { out } of settled) {
+    if (!out) continue;
+    for (const [k, v] of Object.entries(out)) {
+      if (v !== undefined) scope[k] = v;
+    }
+  }
+  return scope;
+}
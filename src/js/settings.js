@@ -1,6 +1,7 @@
 import { S, $ } from './state.js';
 import { updateStatus, setMsg } from './ui.js';
 import { updateAllEditorThemes, updateAllEditorLineNumbers, updateAllEditorReadOnly } from './cm6.js';
+import { isCacheEnabled, cacheEntries, cacheDelete, cacheClear } from './result-cache.js';
 
 // ── SETTINGS ──
 
@@ -15,7 +16,7 @@ export function toggleSettings() {
   const open = !overlay.classList.contains('visible');
   overlay.classList.toggle('visible');
   panel.style.display = open ? 'block' : 'none';
-  if (open) refreshModuleList();
+  if (open) { refreshModuleList(); refreshCacheList(); }
 }
 
 export function applyTheme(theme) {
@@ -67,6 +68,7 @@ const __AUDITABLE_DEFAULT_RUN_ON_LOAD__ = 'yes';
 let _runOnLoad = 'yes';
 let _showToggle = 'yes';
 let _editorView = 'no';
+let _saveOutputs = 'no';
 
 export function applyExecMode(mode) {
   S.autorun = (mode === 'reactive');
@@ -123,6 +125,14 @@ export function applyEditorView(val) {
 
 export function getEditorViewSetting() { return _editorView; }
 
+export function applySaveOutputs(val) {
+  _saveOutputs = val;
+  const sel = $('#setSaveOutputs');
+  if (sel) sel.value = val;
+}
+
+export function getSaveOutputsSetting() { return _saveOutputs; }
+
 export function getSettings() {
   const s = {
     theme: document.documentElement.classList.contains('light') ? 'light' : 'dark',
@@ -134,6 +144,7 @@ export function getSettings() {
     runOnLoad: _runOnLoad,
     showToggle: _showToggle,
     editorView: _editorView,
+    saveOutputs: _saveOutputs,
   };
   if (window._sizeCompare) s.sizeCompare = true;
   if (window._sizeCompareRef === 'content') s.sizeCompareRef = 'content';
@@ -151,6 +162,7 @@ export function applySettings(s) {
   if (s.runOnLoad) applyRunOnLoad(s.runOnLoad);
   if (s.showToggle) applyShowToggle(s.showToggle);
   if (s.editorView) applyEditorView(s.editorView);
+  if (s.saveOutputs) applySaveOutputs(s.saveOutputs);
   // optional: size-compare.js (typeof guards for --lean builds without it)
   if (s.sizeCompare !== undefined && typeof applySizeCompare === 'function') applySizeCompare(s.sizeCompare);
   if (s.sizeCompareRef !== undefined && typeof applySizeCompareRef === 'function') applySizeCompareRef(s.sizeCompareRef);
@@ -186,6 +198,8 @@ const __AUDITABLE_BASE_SIZE__ = 0;
   const selGr = $('#setGlobalRunOnLoad');
   if (selGm) selGm.value = gm;
   if (selGr) selGr.value = gr;
+  const selCache = $('#setResultCache');
+  if (selCache) selCache.value = isCacheEnabled() ? 'on' : 'off';
 })();
 
 // ── MODULE MANAGEMENT ──
@@ -279,3 +293,54 @@ export function removeModule(url) {
     setMsg(`removed ${kind} \u2014 cell ${cellId} will re-install it on next run`, 'warn');
   }
 }
+
+// ── RESULT CACHE ──
+
+export function applyResultCache(val) {
+  if (val === 'off') lsSet('auditable-result-cache', 'off');
+  else lsRemove('auditable-result-cache');
+}
+
+export async function refreshCacheList() {
+  const list = $('#cacheList');
+  if (!list) return;
+  const entries = (await cacheEntries()).sort((a, b) => b.time - a.time);
+  list.innerHTML = '';
+  if (entries.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'module-empty';
+    empty.textContent = 'no cached results';
+    list.appendChild(empty);
+    return;
+  }
+  let totalSize = 0;
+  for (const e of entries) {
+    const row = document.createElement('div');
+    row.className = 'module-row';
+    const label = document.createElement('span');
+    label.className = 'module-url';
+    label.textContent = e.label;
+    label.title = e.key;
+    const info = document.createElement('span');
+    info.className = 'module-info';
+    info.textContent = new Date(e.time).toLocaleDateString() + '  ' + formatSize(e.size);
+    const btn = document.createElement('button');
+    btn.className = 'module-remove';
+    btn.textContent = '\u00d7';
+    btn.title = 'remove cached result';
+    btn.onclick = async () => { await cacheDelete(e.key); refreshCacheList(); };
+    row.append(label, info, btn);
+    list.appendChild(row);
+    totalSize += e.size;
+  }
+  const total = document.createElement('div');
+  total.className = 'module-total';
+  total.textContent = 'total  ' + formatSize(totalSize);
+  list.appendChild(total);
+}
+
+export async function clearResultCache() {
+  await cacheClear();
+  refreshCacheList();
+  setMsg('cleared cached results \u2014 %cache cells recompute on next run', 'ok');
+}
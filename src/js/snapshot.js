@@ -0,0 +1,87 @@
+// ── OUTPUT SNAPSHOTS ──
+// with "save outputs" on, a saved notebook carries a static copy of each
+// cell's rendered output so it reads instantly, before (or without) running.
+// the copy is plain markup: canvases become PNG data URLs, and anything that
+// could run code is stripped, both when capturing and again when loading.
+// a snapshot stays on screen until its cell runs and replaces it.
+
+const DROP = 'script,iframe,frame,frameset,object,embed,applet,style,link,meta,base,form,template,noscript,animate,set';
+const URL_ATTRS = new Set(['href', 'src', 'xlink:href', 'action', 'formaction', 'poster', 'background', 'ping']);
+
+// links may go anywhere ordinary; embedded data is limited to images, and
+// blob: URLs are dropped since they die with the page
+export function isSafeUrl(value) {
+  const v = String(value).replace(/[\u0000- ]/g, '').toLowerCase();
+  const scheme = /^([a-z][a-z0-9+.-]*):/.exec(v);
+  if (!scheme) return true;
+  if (scheme[1] === 'data') return /^data:image\/(png|jpeg|gif|webp|svg\+xml)[;,]/.test(v);
+  return ['http', 'https', 'mailto'].includes(scheme[1]);
+}
+
+// whether an attribute survives in a snapshot
+export function keepAttr(name, value) {
+  const n = name.toLowerCase();
+  if (n.startsWith('on') || n === 'id' || n === 'srcset' || n === 'contenteditable') return false;
+  if (URL_ATTRS.has(n)) return isSafeUrl(value);
+  return true;
+}
+
+function sanitize(root) {
+  for (const el of root.querySelectorAll(DROP)) el.remove();
+  for (const el of root.querySelectorAll('*')) {
+    for (const a of [...el.attributes]) {
+      if (!keepAttr(a.name, a.value)) el.removeAttribute(a.name);
+    }
+  }
+  return root;
+}
+
+// { cls, html } for a cell's output, or null if there is nothing to keep
+export function captureOutput(outputEl) {
+  if (!outputEl || !outputEl.childNodes.length) return null;
+  const copy = outputEl.cloneNode(true);
+  const live = outputEl.querySelectorAll('canvas');
+  copy.querySelectorAll('canvas').forEach((c, i) => {
+    let url = null;
+    try { url = live[i].toDataURL('image/png'); } catch {} // tainted canvas
+    if (!url || !url.startsWith('data:image/png')) { c.remove(); return; }
+    const img = document.createElement('img');
+    img.src = url;
+    img.width = c.width;
+    img.height = c.height;
+    if (c.style.cssText) img.style.cssText = c.style.cssText;
+    c.replaceWith(img);
+  });
+  sanitize(copy);
+  if (!copy.childNodes.length) return null;
+  const cls = [...outputEl.classList].filter(c => c !== 'cell-output' && c !== 'snapshot').join(' ');
+  return { cls, html: copy.innerHTML };
+}
+
+// one entry per cell, in notebook order; null when there's no output
+export function captureOutputs(cells) {
+  const out = cells.map(c => captureOutput((c._splitOrigEl || c.el).querySelector(':scope > .cell-output')));
+  return out.some(Boolean) ? out : null;
+}
+
+// append a captured output's markup to outputEl
+export function fillOutput(outputEl, snap) {
+  if (!snap || typeof snap.html !== 'string') return;
+  // parsed into an inert template, so nothing loads or runs before cleaning
+  const tpl = document.createElement('template');
+  tpl.innerHTML = snap.html;
+  outputEl.appendChild(document.importNode(sanitize(tpl.content), true));
+}
+
+export function restoreOutputs(cells, snapshots) {
+  if (!Array.isArray(snapshots)) return;
+  snapshots.forEach((snap, i) => {
+    const cell = cells[i];
+    if (!snap || !cell || typeof snap.html !== 'string') return;
+    const outputEl = cell.el.querySelector(':scope > .cell-output');
+    if (!outputEl || outputEl.childNodes.length) return;
+    fillOutput(outputEl, snap);
+    outputEl.className = 'cell-output snapshot';
+    if (snap.cls) outputEl.classList.add(...String(snap.cls).split(/\s+/).filter(Boolean));
+  });
+}
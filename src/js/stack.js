@@ -0,0 +1,48 @@
+// ── STACK TRACES ──
+// cells compile to `new AsyncFunction(...params, body)` tagged with
+// `//# sourceURL=auditable://cell-<id>[-slug][-worker].js`, and the body starts
+// with a "use strict" line. the engine wraps the body in its own function
+// header, so the line it reports is the cell line plus a fixed offset; the
+// offset is measured once by compiling a probe the same way.
+
+const CELL_FRAME = /auditable:\/\/cell-(\d+)(?:-[a-z0-9-]*)?\.js:(\d+):(\d+)/;
+const URL_FRAME = /\(?((?:[a-z][a-z0-9+.-]*:|\/)[^\s()]*?):(\d+):(\d+)\)?\s*$/i;
+
+// the frame's function name, or '' for a cell's top level
+function frameName(line) {
+  const m = /^\s*at (?:async )?(.+?) \(/.exec(line) || /^\s*(?:async\*)?([^@\s]*)@/.exec(line);
+  const name = m ? m[1] : '';
+  return name === 'eval' || name === 'anonymous' ? '' : name;
+}
+
+let _offset = null;
+
+export function bodyLineOffset() {
+  if (_offset != null) return _offset;
+  _offset = 3; // V8's header, if the probe can't tell
+  try {
+    new Function('a', 'b', '"use strict";\nthrow new Error("probe");\n//# sourceURL=auditable://cell-0-probe.js')();
+  } catch (e) {
+    const m = CELL_FRAME.exec(String(e.stack));
+    if (m) _offset = Number(m[2]) - 1;
+  }
+  return _offset;
+}
+
+// frames of an error stack, innermost first. cell frames are
+// { fn, cellId, line, col } with line/col in the cell's own source; other
+// frames with a location are { fn, url, line, col }.
+export function parseStack(stack, offset = bodyLineOffset()) {
+  const frames = [];
+  for (const text of String(stack || '').split('\n')) {
+    const cell = CELL_FRAME.exec(text);
+    if (cell) {
+      frames.push({ fn: frameName(text), cellId: Number(cell[1]), line: Math.max(1, Number(cell[2]) - offset), col: Number(cell[3]) });
+      continue;
+    }
+    if (!/^\s*at\s|@/.test(text)) continue;
+    const loc = URL_FRAME.exec(text);
+    if (loc) frames.push({ fn: frameName(text), url: loc[1], line: Number(loc[2]), col: Number(loc[3]) });
+  }
+  return frames;
+}
@@ -27,6 +27,7 @@ export const S = {
   initialized: false, // set after loadFromEmbed/init completes
   splitView: false,   // split view mode active
   splitEditor: null,  // CM6 EditorView for split view (or null)
+  lastRun: null,      // profile of the last runDAG pass { start, duration, dirty, cells }
 };
 
 export const JS_KEYWORDS = new Set([
@@ -34,7 +35,7 @@ export const JS_KEYWORDS = new Set([
   'switch','case','break','continue','new','this','class','extends','import',
   'export','default','from','of','in','typeof','instanceof','void','delete',
   'throw','try','catch','finally','async','await','yield','true','false',
-  'null','undefined','NaN','Infinity'
+  'null','undefined','NaN','Infinity','mutable'
 ]);
 
 export const JS_BUILTINS = new Set([
@@ -1,3 +1,5 @@
+import { makePlot } from './plot.js';
+
 // ── STDLIB ──
 // Bundled standard library for notebook work.
 // Module-level — no per-cell state needed.
@@ -591,4 +593,5 @@ export const std = {
   color, colorScale,
   viridis, magma, inferno, plasma, turbo,
   palette10,
+  plot: makePlot({ palette: palette10, colormap: viridis }),
 };
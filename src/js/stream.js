@@ -0,0 +1,45 @@
+// ── STREAMS ──
+// a cell value that is a generator or async iterable is a stream: the cell
+// defines its first value, then keeps pulling one value per frame and hands
+// each to the DAG (see exec.js). stopping is driven by the run's signal
+
+// abort reason for a run replaced by a newer one (or a deleted cell) — silent
+export const SUPERSEDED = new DOMException('cell re-ran', 'AbortError');
+
+// generators and async iterables become streams; plain iterators (Map#entries
+// etc.) and arrays are ordinary values
+export function asStream(v) {
+  if (!v || typeof v !== 'object') return null;
+  const tag = Object.prototype.toString.call(v);
+  if (tag === '[object Generator]' || tag === '[object AsyncGenerator]') return v;
+  if (typeof v[Symbol.asyncIterator] === 'function') return v[Symbol.asyncIterator]();
+  return null;
+}
+
+// pull iter until it ends, throws or the signal fires: frame() paces the
+// pulls, next(value) takes each value, failed(e) an error it throws. an abort
+// closes the iterator and calls stopped(reason), unless it was SUPERSEDED.
+// settles once the stream is no longer live
+export async function pumpStream(iter, signal, { frame, next, stopped, failed }) {
+  let live = true;
+  const onAbort = () => {
+    live = false;
+    try { iter.return?.(); } catch {}
+    if (signal.reason !== SUPERSEDED) stopped(signal.reason);
+  };
+  if (signal.aborted) return onAbort();
+  signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    while (live) {
+      await frame();
+      if (!live) return;
+      const { value, done } = await iter.next();
+      if (done || !live) return;
+      await next(value);
+    }
+  } catch (e) {
+    if (live) failed(e);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
@@ -0,0 +1,26 @@
+import { DISPLAY } from './display.js';
+
+// ── TAGGED CONTENT ──
+// what the md`...`, html`...` and css`...` templates cells get return: the
+// interpolated text, tagged with its type so display() and markdown
+// interpolation know how to show it
+
+class TaggedContent {
+  constructor(type, content) { this.type = type; this.content = content; }
+  toString() { return this.content; }
+  [DISPLAY]() {
+    if (this.type === 'md') return { 'text/markdown': this.content };
+    if (this.type === 'html') return { 'text/html': this.content };
+    return { 'text/plain': this.content };
+  }
+}
+
+export function taggedTemplate(type) {
+  return (strings, ...values) => {
+    let result = strings[0];
+    for (let i = 0; i < values.length; i++) result += String(values[i]) + strings[i + 1];
+    return new TaggedContent(type, result);
+  };
+}
+
+export { TaggedContent };
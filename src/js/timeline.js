@@ -0,0 +1,72 @@
+import { S, $ } from './state.js';
+import { selectCell } from './keyboard.js';
+import { cellLabel } from './ui.js';
+import { TIMED, profileCounts } from './profile.js';
+
+// ── TIMELINE ──
+// flame-chart view of S.lastRun: one row per cell the pass was asked to run,
+// each bar placed by start time so concurrent branches show up side by side
+
+export function fmtDuration(ms) {
+  if (ms < 1) return '<1ms';
+  if (ms < 1000) return Math.round(ms) + 'ms';
+  return (ms / 1000).toFixed(2) + 's';
+}
+
+export function showCellTime(cell, entry) {
+  const el = cell.el.querySelector('.cell-time');
+  if (!el) return;
+  el.textContent = entry.status !== 'cached' && TIMED.has(entry.status) ? fmtDuration(entry.duration) : entry.status;
+  el.dataset.status = entry.status;
+  el.title = entry.status === 'cached' ? 'served from cache' : 'last run';
+}
+
+export function toggleTimeline() {
+  const panel = $('#timelinePanel');
+  panel.classList.toggle('open');
+  renderTimeline();
+}
+
+export function renderTimeline() {
+  const panel = $('#timelinePanel');
+  if (!panel || !panel.classList.contains('open')) return;
+  const body = $('#timelineBody');
+  const summary = $('#timelineSummary');
+  body.textContent = '';
+  const run = S.lastRun;
+  if (!run) {
+    summary.textContent = 'nothing has run yet';
+    return;
+  }
+
+  const { timed, skipped } = profileCounts(run);
+  summary.textContent = `${fmtDuration(run.duration)} · ${timed} ran` + (skipped ? ` · ${skipped} skipped` : '');
+
+  const total = Math.max(run.duration, 1);
+  for (const e of run.cells) {
+    const row = document.createElement('div');
+    row.className = 'timeline-row';
+    row.onclick = () => selectCell(e.id, true);
+
+    const label = document.createElement('span');
+    label.className = 'timeline-label';
+    label.textContent = S.cells.some(c => c.id === e.id) ? cellLabel(e.id) : 'deleted cell';
+
+    const track = document.createElement('span');
+    track.className = 'timeline-track';
+    const bar = document.createElement('span');
+    bar.className = 'timeline-bar';
+    bar.dataset.status = e.status;
+    bar.style.left = (e.start / total * 100) + '%';
+    bar.style.width = Math.max(e.duration / total * 100, 0.5) + '%';
+    track.appendChild(bar);
+
+    const time = document.createElement('span');
+    time.className = 'timeline-time';
+    time.dataset.status = e.status;
+    time.textContent = TIMED.has(e.status) ? fmtDuration(e.duration) : e.status;
+
+    row.append(label, track, time);
+    body.appendChild(row);
+  }
+}
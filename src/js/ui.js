@@ -1,6 +1,8 @@
 import { S, $ } from './state.js';
+import { parseCellName } from './dag.js';
 import { addCell } from './cell-ops.js';
 import { selectCell, editCell, addCellWithUndo } from './keyboard.js';
+import { scheduleOutline } from './outline-panel.js';
 
 // ── STATUS ──
 
@@ -24,7 +26,9 @@ export function updateStatus() {
   for (const c of S.cells) if (counts[c.type] !== undefined) counts[c.type]++;
   const parts = [];
   for (const [t, n] of Object.entries(counts)) if (n > 0) parts.push(`${n} ${t}`);
-  const statusText = parts.join(' \u00b7 ') || '0 cells';
+  let statusText = parts.join(' \u00b7 ') || '0 cells';
+  const issues = S.cells.reduce((n, c) => n + (c.diagnostics?.length || 0), 0);
+  if (issues) statusText += ` \u00b7 \u26a0 ${issues} definition issue${issues === 1 ? '' : 's'}`;
   const totalBytes = estimateFileSize();
   const contentBytes = estimateContentSize();
   const useContent = window._sizeCompareRef === 'content';
@@ -39,6 +43,56 @@ export function updateStatus() {
   const toolbarStatus = document.getElementById('toolbarStatus');
   if (toolbarStatus) toolbarStatus.textContent = (compare || sizeText) + ' \u00b7 ' + statusText;
   updateInsertBars();
+  scheduleOutline();
+}
+
+// ── DIAGNOSTICS ──
+
+// [before, after] the link to the other cell
+const DIAG_TEXT = {
+  duplicate: name => [`${name} is already defined in `, ''],
+  forward: name => [`${name} is only defined below, in `, ''],
+  cycle: name => [`${name} comes from `, ', which depends on this cell'],
+};
+
+export function cellLabel(id) {
+  const idx = S.cells.findIndex(c => c.id === id);
+  const name = idx >= 0 ? parseCellName(S.cells[idx].code) : null;
+  return name ? `\u201c${name}\u201d` : `cell ${idx + 1}`;
+}
+
+// show buildDAG's duplicate / forward-reference / cycle findings above each
+// cell's output; kept apart from the output so re-runs don't wipe them
+export function renderDiagnostics() {
+  for (const cell of S.cells) {
+    let el = cell.el.querySelector(':scope > .cell-diag');
+    const diags = cell.diagnostics || [];
+    if (!diags.length) {
+      if (el) el.remove();
+      continue;
+    }
+    if (!el) {
+      el = document.createElement('div');
+      el.className = 'cell-diag';
+      const output = cell.el.querySelector(':scope > .cell-output');
+      if (output) output.before(el);
+      else cell.el.appendChild(el);
+    }
+    el.textContent = '';
+    for (const d of diags) {
+      const row = document.createElement('div');
+      const badge = document.createElement('span');
+      badge.className = 'diag-badge';
+      badge.textContent = d.kind;
+      const [before, after] = DIAG_TEXT[d.kind](d.name);
+      const link = document.createElement('a');
+      link.textContent = cellLabel(d.other);
+      // stop the document handler from re-selecting the cell the link sits in
+      link.onclick = (e) => { e.stopPropagation(); selectCell(d.other, true); };
+      row.append(badge, before, link, after);
+      el.appendChild(row);
+    }
+  }
 }
 
 export function updateInsertBars() {
@@ -323,9 +323,10 @@ function finishUpdate(newHtml, version) {
     const cellData = S.cells.map(c => ({
       type: c.type,
       code: c.code,
-      collapsed: c.el?.classList.contains('collapsed') || undefined
+      collapsed: c.el?.classList.contains('collapsed') || undefined,
+      folded: c._folds ? [...c._folds] : undefined
     }));
-    oldData.data = '<!-- cell data: JSON array of {type, code, collapsed?} -->\n<!--AUDITABLE-DATA\n' + JSON.stringify(cellData) + '\nAUDITABLE-DATA-->';
+    oldData.data = '<!-- cell data: JSON array of {type, code, collapsed?, folded?} -->\n<!--AUDITABLE-DATA\n' + JSON.stringify(cellData) + '\nAUDITABLE-DATA-->';
   }
   if (window._installedModules && Object.keys(window._installedModules).length) {
     oldData.modules = '<!-- installed modules: base64-encoded JSON mapping URLs to {source, cellId} -->\n<!--AUDITABLE-MODULES\n' + encodeModules(window._installedModules) + '\nAUDITABLE-MODULES-->';
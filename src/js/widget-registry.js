@@ -0,0 +1,135 @@
+// ── WIDGET REGISTRY ──
+// every ui.<name>() input widget is an entry here: the custom element behind
+// it, how the call's arguments map to a default value and options, which
+// attributes the options set, how its value is coerced and how long input is
+// debounced before the cell re-runs. execCell builds ui.* from this table,
+// HTML cells wire up and the DAG reads defines from the same tags, and
+// completions and the help overlay list it. extensions add widgets through
+// window.__auditable_registerWidget, typically from an install()ed module:
+//
+//   __auditable_registerWidget('knob', {
+//     tag: 'my-knob',               // custom element name
+//     element: MyKnob,              // optional: defined under tag if it isn't yet
+//     debounce: 80,                 // ms from input to re-run (0: immediately)
+//     coerce: Number,               // applied to .value before it enters scope
+//     args: (value = 0, opts = {}) => ({ value, opts }),  // ui.knob(label, ...args)
+//     attrs: opts => ({ min: opts.min, max: opts.max }),  // set on create and re-run
+//     sig: 'ui.knob(label, default?, {min,max}?)',
+//     desc: 'rotary input',
+//   });
+
+const _widgets = new Map(); // name -> spec
+
+// ui members that aren't widgets and can't be replaced by one
+const RESERVED_UI = new Set(['display', 'print', 'canvas', 'table', 'view']);
+
+const defaultArgs = (value, opts = {}) => ({ value, opts });
+
+function addWidget(name, spec) {
+  if (!/^[A-Za-z_$][\w$]*$/.test(name) || RESERVED_UI.has(name)) throw new Error(`invalid widget name: ${name}`);
+  if (!spec || !/^[a-z][a-z0-9]*-[a-z0-9-]*$/.test(spec.tag || '')) throw new Error(`widget ${name} needs a custom element tag (with a dash)`);
+  const entry = {
+    tag: spec.tag,
+    debounce: spec.debounce ?? 0,
+    coerce: spec.coerce || null,
+    args: spec.args || defaultArgs,
+    attrs: spec.attrs || null,
+    sig: spec.sig || `ui.${name}(label, default?, opts?)`,
+    desc: spec.desc || `${spec.tag} input`,
+  };
+  _widgets.set(name, entry);
+  return entry;
+}
+
+addWidget('slider', {
+  tag: 'audit-slider', debounce: 80,
+  args: (value = 50, opts = {}) => ({ value, opts }),
+  attrs: opts => ({ min: opts.min ?? 0, max: opts.max ?? 100, step: opts.step ?? 1 }),
+});
+addWidget('dropdown', {
+  tag: 'audit-dropdown',
+  args: (options = [], value, opts = {}) => ({ value: value || options[0], opts: { ...opts, options } }),
+  attrs: opts => ({ options: (opts.options || []).join(',') }),
+});
+addWidget('checkbox', {
+  tag: 'audit-checkbox',
+  args: (value = false, opts = {}) => ({ value, opts }),
+});
+addWidget('textInput', {
+  tag: 'audit-text-input', debounce: 300,
+  args: (value = '', opts = {}) => ({ value, opts }),
+});
+addWidget('color', {
+  tag: 'audit-color', debounce: 80,
+  args: (value = '#000000', opts = {}) => ({ value, opts }),
+});
+addWidget('number', {
+  tag: 'audit-number', debounce: 300,
+  args: (value = 0, opts = {}) => ({ value, opts }),
+  attrs: opts => ({ min: opts.min, max: opts.max, step: opts.step }),
+});
+addWidget('date', {
+  tag: 'audit-date', debounce: 300,
+  args: (value = '', opts = {}) => ({ value, opts }),
+  attrs: opts => ({ type: opts.type, min: opts.min, max: opts.max }),
+});
+addWidget('range', {
+  tag: 'audit-range', debounce: 80,
+  attrs: opts => ({ min: opts.min ?? 0, max: opts.max ?? 100, step: opts.step ?? 1 }),
+});
+addWidget('radio', {
+  tag: 'audit-radio',
+  args: (options = [], value, opts = {}) => ({ value: value ?? options[0], opts: { ...opts, options } }),
+  attrs: opts => ({ options: (opts.options || []).join(',') }),
+});
+addWidget('toggles', {
+  tag: 'audit-toggles',
+  args: (options = [], value = [], opts = {}) => ({ value, opts: { ...opts, options } }),
+  attrs: opts => ({ options: (opts.options || []).join(',') }),
+});
+addWidget('button', {
+  tag: 'audit-button',
+  args: (opts = {}) => ({ value: undefined, opts }),
+});
+addWidget('file', {
+  tag: 'audit-file',
+  args: (opts = {}) => ({ value: undefined, opts }),
+  attrs: opts => ({ accept: opts.accept, multiple: opts.multiple ? '' : null }),
+});
+addWidget('textarea', {
+  tag: 'audit-textarea', debounce: 300,
+  args: (value = '', opts = {}) => ({ value, opts }),
+  attrs: opts => ({ rows: opts.rows, placeholder: opts.placeholder }),
+});
+addWidget('xy', {
+  tag: 'audit-xy', debounce: 80,
+  attrs: opts => ({ xmin: opts.xmin ?? 0, xmax: opts.xmax ?? 1, ymin: opts.ymin ?? 0, ymax: opts.ymax ?? 1 }),
+});
+const BUILTIN_WIDGETS = new Set(_widgets.keys());
+
+// re-registering a name replaces it, so re-installing a module is harmless
+export function registerWidget(name, spec) {
+  if (BUILTIN_WIDGETS.has(name)) throw new Error(`ui.${name} is built in`);
+  const entry = addWidget(name, spec);
+  if (spec.element && typeof customElements !== 'undefined' && !customElements.get(spec.tag)) {
+    customElements.define(spec.tag, spec.element);
+  }
+  for (const fn of _listeners) fn(name, entry);
+  return entry;
+}
+
+export const getWidget = name => _widgets.get(name);
+export const widgetNames = () => [..._widgets.keys()];
+export const widgetTags = () => [..._widgets.values()].map(w => w.tag);
+export const isBuiltinWidget = name => BUILTIN_WIDGETS.has(name);
+
+// the widget registered for a custom element tag
+export function widgetForTag(tag) {
+  tag = tag.toLowerCase();
+  for (const [name, w] of _widgets) if (w.tag === tag) return { name, ...w };
+  return null;
+}
+
+// help overlay and the like hear about widgets registered later
+const _listeners = [];
+export function onWidgetRegistered(fn) { _listeners.push(fn); }
@@ -1,3 +1,5 @@
+import { onWidgetRegistered } from './widget-registry.js';
+
 // ── CUSTOM ELEMENT WIDGETS ──
 //
 // Light DOM custom elements for interactive controls. Each element:
@@ -207,7 +209,625 @@ class AuditTextInput extends AuditWidget {
   }
 }
 
+// the widgets below stop their inner controls' own input/change events, so
+// listeners on the element hear each change once
+
+// comma-separated options / "a,b" pairs, as widget attributes carry them
+const splitOptions = s => (s || '').split(',').map(o => o.trim()).filter(Boolean);
+function parsePair(s) {
+  const p = Array.isArray(s) ? s : String(s ?? '').split(',');
+  const a = parseFloat(p[0]), b = parseFloat(p[1]);
+  return isNaN(a) || isNaN(b) ? null : [a, b];
+}
+
+class AuditColor extends AuditWidget {
+  static observedAttributes = ['value', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = this.getAttribute('value') || '#000000';
+    this._input = input;
+
+    const val = document.createElement('span');
+    val.className = 'audit-widget-val';
+    val.textContent = input.value;
+    this._valSpan = val;
+
+    input.oninput = e => {
+      e.stopPropagation();
+      val.textContent = input.value;
+      this._dispatch('input');
+    };
+    input.onchange = e => { e.stopPropagation(); this._dispatch('change'); };
+
+    this.appendChild(input);
+    this.appendChild(val);
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (name === 'value') {
+      this.value = val;
+    }
+  }
+
+  get value() { return this._input ? this._input.value : (this.getAttribute('value') || '#000000'); }
+  set value(v) {
+    if (this._input) {
+      this._input.value = v;
+      this._valSpan.textContent = this._input.value;
+    } else {
+      this.setAttribute('value', v);
+    }
+  }
+}
+
+class AuditNumber extends AuditWidget {
+  static observedAttributes = ['min', 'max', 'step', 'value', 'placeholder', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    for (const a of ['min', 'max', 'step', 'placeholder']) {
+      if (this.hasAttribute(a)) input[a] = this.getAttribute(a);
+    }
+    input.value = this.getAttribute('value') ?? 0;
+    this._input = input;
+
+    input.oninput = e => { e.stopPropagation(); this._dispatch('input'); };
+    input.onchange = e => { e.stopPropagation(); this._dispatch('change'); };
+
+    this.appendChild(input);
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (this._input) {
+      this._input[name] = val ?? '';
+    }
+  }
+
+  // NaN while the field is empty
+  get value() { return parseFloat(this._input ? this._input.value : (this.getAttribute('value') ?? 0)); }
+  set value(v) {
+    if (this._input) this._input.value = v;
+    else this.setAttribute('value', v);
+  }
+}
+
+const DATE_TYPES = ['date', 'time', 'datetime-local', 'month', 'week'];
+
+class AuditDate extends AuditWidget {
+  static observedAttributes = ['type', 'min', 'max', 'value', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const input = document.createElement('input');
+    const type = this.getAttribute('type');
+    input.type = DATE_TYPES.includes(type) ? type : 'date';
+    if (this.hasAttribute('min')) input.min = this.getAttribute('min');
+    if (this.hasAttribute('max')) input.max = this.getAttribute('max');
+    input.value = this.getAttribute('value') || '';
+    this._input = input;
+
+    input.oninput = e => { e.stopPropagation(); this._dispatch('input'); };
+    input.onchange = e => { e.stopPropagation(); this._dispatch('change'); };
+
+    this.appendChild(input);
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (name === 'type') {
+      const prev = this._input.value;
+      this._input.type = DATE_TYPES.includes(val) ? val : 'date';
+      this._input.value = prev;
+    } else if (this._input) {
+      this._input[name] = val || '';
+    }
+  }
+
+  // the input's own string form: '2024-03-01', '14:30', '2024-03-01T14:30', ...
+  get value() { return this._input ? this._input.value : (this.getAttribute('value') || ''); }
+  set value(v) {
+    if (this._input) this._input.value = v;
+    else this.setAttribute('value', v);
+  }
+}
+
+// two range inputs stacked on one track; value is [lo, hi]
+class AuditRange extends AuditWidget {
+  static observedAttributes = ['min', 'max', 'step', 'value', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const track = document.createElement('span');
+    track.className = 'audit-range-track';
+    this._lo = document.createElement('input');
+    this._hi = document.createElement('input');
+    for (const input of [this._lo, this._hi]) {
+      input.type = 'range';
+      input.min = this.getAttribute('min') ?? 0;
+      input.max = this.getAttribute('max') ?? 100;
+      input.step = this.getAttribute('step') ?? 1;
+      track.appendChild(input);
+    }
+
+    const val = document.createElement('span');
+    val.className = 'audit-widget-val';
+    this._valSpan = val;
+    this._set(parsePair(this.getAttribute('value')) || [this._lo.min, this._hi.max]);
+
+    // handles can meet but not cross
+    const onInput = (e, moved) => {
+      e.stopPropagation();
+      const lo = parseFloat(this._lo.value), hi = parseFloat(this._hi.value);
+      if (lo > hi) moved.value = moved === this._lo ? hi : lo;
+      this._set([this._lo.value, this._hi.value]);
+      this._dispatch('input');
+    };
+    this._lo.oninput = e => onInput(e, this._lo);
+    this._hi.oninput = e => onInput(e, this._hi);
+    this._lo.onchange = this._hi.onchange = e => { e.stopPropagation(); this._dispatch('change'); };
+
+    this.appendChild(track);
+    this.appendChild(val);
+  }
+
+  // the array stays the same object until the handles move
+  _set([lo, hi]) {
+    this._lo.value = lo;
+    this._hi.value = hi;
+    this._val = [parseFloat(this._lo.value), parseFloat(this._hi.value)];
+    this._valSpan.textContent = `${this._val[0]} – ${this._val[1]}`;
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (name === 'value') {
+      const pair = parsePair(val);
+      if (pair) this._set(pair);
+    } else {
+      const prev = this._val;
+      this._lo[name] = this._hi[name] = val;
+      this._set(prev);
+    }
+  }
+
+  get value() {
+    if (this._built) return this._val;
+    return parsePair(this.getAttribute('value')) ||
+      [parseFloat(this.getAttribute('min') ?? 0), parseFloat(this.getAttribute('max') ?? 100)];
+  }
+  set value(v) {
+    const pair = parsePair(v);
+    if (!pair) return;
+    if (this._built) this._set(pair.sort((a, b) => a - b));
+    else this.setAttribute('value', pair.join(','));
+  }
+}
+
+let radioGroups = 0;
+
+class AuditRadio extends AuditWidget {
+  static observedAttributes = ['options', 'value', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const group = document.createElement('span');
+    group.className = 'audit-choices';
+    group.setAttribute('role', 'radiogroup');
+    this._group = group;
+    this._groupName = `audit-radio-${++radioGroups}`;
+    this._buildOptions();
+    this.value = this.getAttribute('value') ?? splitOptions(this.getAttribute('options'))[0] ?? '';
+
+    group.oninput = e => e.stopPropagation();
+    group.onchange = e => {
+      e.stopPropagation();
+      this._dispatch('input');
+      this._dispatch('change');
+    };
+
+    this.appendChild(group);
+  }
+
+  _buildOptions() {
+    this._group.innerHTML = '';
+    for (const o of splitOptions(this.getAttribute('options'))) {
+      const item = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = this._groupName;
+      input.value = o;
+      item.append(input, o);
+      this._group.appendChild(item);
+    }
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (name === 'options') {
+      const prev = this.value;
+      this._buildOptions();
+      this.value = prev;
+    } else if (name === 'value') {
+      this.value = val;
+    }
+  }
+
+  get value() {
+    if (!this._group) return this.getAttribute('value') || '';
+    return this._group.querySelector('input:checked')?.value ?? '';
+  }
+  set value(v) {
+    if (!this._group) { this.setAttribute('value', v); return; }
+    for (const input of this._group.querySelectorAll('input')) input.checked = input.value === String(v);
+  }
+}
+
+// a row of buttons, each on or off; value is the array of pressed options
+class AuditToggles extends AuditWidget {
+  static observedAttributes = ['options', 'value', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const group = document.createElement('span');
+    group.className = 'audit-choices';
+    group.setAttribute('role', 'group');
+    this._group = group;
+    this._buildOptions();
+    this.value = splitOptions(this.getAttribute('value'));
+
+    group.onclick = e => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      btn.setAttribute('aria-pressed', btn.getAttribute('aria-pressed') !== 'true');
+      this._read();
+      this._dispatch('input');
+      this._dispatch('change');
+    };
+
+    this.appendChild(group);
+  }
+
+  _buildOptions() {
+    this._group.innerHTML = '';
+    for (const o of splitOptions(this.getAttribute('options'))) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.value = o;
+      btn.textContent = o;
+      btn.setAttribute('aria-pressed', 'false');
+      this._group.appendChild(btn);
+    }
+  }
+
+  _read() {
+    this._val = [...this._group.querySelectorAll('button[aria-pressed="true"]')].map(b => b.value);
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (name === 'options') {
+      const prev = this._val;
+      this._buildOptions();
+      this.value = prev;
+    } else if (name === 'value') {
+      this.value = splitOptions(val);
+    }
+  }
+
+  get value() { return this._group ? this._val : splitOptions(this.getAttribute('value')); }
+  set value(v) {
+    const on = Array.isArray(v) ? v.map(String) : splitOptions(v);
+    if (!this._group) { this.setAttribute('value', on.join(',')); return; }
+    for (const btn of this._group.querySelectorAll('button')) btn.setAttribute('aria-pressed', on.includes(btn.value));
+    this._read();
+  }
+}
+
+// value is how many times it has been clicked
+class AuditButton extends AuditWidget {
+  static observedAttributes = ['value', 'label'];
+
+  _render() {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = this.getAttribute('label') || 'run';
+    this._btn = btn;
+    this._count = parseInt(this.getAttribute('value'), 10) || 0;
+
+    btn.onclick = () => {
+      this._count++;
+      this._dispatch('input');
+      this._dispatch('change');
+    };
+
+    this.appendChild(btn);
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') this._btn.textContent = val || 'run';
+    else if (name === 'value') this._count = parseInt(val, 10) || 0;
+  }
+
+  get value() { return this._built ? this._count : (parseInt(this.getAttribute('value'), 10) || 0); }
+  set value(v) {
+    if (this._built) this._count = parseInt(v, 10) || 0;
+    else this.setAttribute('value', v);
+  }
+}
+
+// value is the chosen File (null before one is picked), or an array of
+// Files with the multiple attribute
+class AuditFile extends AuditWidget {
+  static observedAttributes = ['accept', 'multiple', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    if (this.hasAttribute('accept')) input.accept = this.getAttribute('accept');
+    input.multiple = this.hasAttribute('multiple');
+    this._input = input;
+    if (!this._files) this._files = [];
+
+    const val = document.createElement('span');
+    val.className = 'audit-widget-val';
+    this._valSpan = val;
+    this._showNames();
+
+    input.oninput = e => e.stopPropagation();
+    input.onchange = e => {
+      e.stopPropagation();
+      this._files = [...input.files];
+      this._showNames();
+      this._dispatch('input');
+      this._dispatch('change');
+    };
+
+    this.appendChild(input);
+    this.appendChild(val);
+  }
+
+  // the input forgets its files when re-created, so the names live beside it
+  _showNames() {
+    this._valSpan.textContent = this._files.map(f => f.name).join(', ');
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (name === 'accept') {
+      this._input.accept = val || '';
+    } else if (name === 'multiple') {
+      this._input.multiple = val !== null;
+    }
+  }
+
+  get value() {
+    const files = this._files || [];
+    return this.hasAttribute('multiple') ? files : (files[0] ?? null);
+  }
+  set value(v) {
+    this._files = (Array.isArray(v) ? v : [v]).filter(f => f instanceof Blob);
+    if (this._built) this._showNames();
+  }
+}
+
+class AuditTextarea extends AuditWidget {
+  static observedAttributes = ['value', 'placeholder', 'rows', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const input = document.createElement('textarea');
+    input.value = this.getAttribute('value') || '';
+    input.placeholder = this.getAttribute('placeholder') || '';
+    input.rows = parseInt(this.getAttribute('rows'), 10) || 4;
+    input.spellcheck = false;
+    this._input = input;
+
+    input.oninput = e => { e.stopPropagation(); this._dispatch('input'); };
+    input.onchange = e => { e.stopPropagation(); this._dispatch('change'); };
+
+    this.appendChild(input);
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (this._input) {
+      if (name === 'value') this._input.value = val || '';
+      else if (name === 'placeholder') this._input.placeholder = val || '';
+      else if (name === 'rows') this._input.rows = parseInt(val, 10) || 4;
+    }
+  }
+
+  get value() { return this._input ? this._input.value : (this.getAttribute('value') || ''); }
+  set value(v) {
+    if (this._input) this._input.value = v;
+    else this.setAttribute('value', v);
+  }
+}
+
+// a square pad with a draggable point; value is { x, y }, y growing upward.
+// arrow keys nudge it by a twentieth of the range
+class AuditXY extends AuditWidget {
+  static observedAttributes = ['xmin', 'xmax', 'ymin', 'ymax', 'value', 'label'];
+
+  _render() {
+    const lbl = this._mkLabel();
+    if (lbl) this.appendChild(lbl);
+
+    const pad = document.createElement('span');
+    pad.className = 'audit-xy-pad';
+    pad.tabIndex = 0;
+    const dot = document.createElement('span');
+    dot.className = 'audit-xy-dot';
+    pad.appendChild(dot);
+    this._pad = pad;
+    this._dot = dot;
+
+    const val = document.createElement('span');
+    val.className = 'audit-widget-val';
+    this._valSpan = val;
+    const b = this._bounds();
+    this._set(parsePair(this.getAttribute('value')) || [(b.x0 + b.x1) / 2, (b.y0 + b.y1) / 2]);
+
+    const moveTo = e => {
+      const r = pad.getBoundingClientRect();
+      const fx = (e.clientX - r.left) / (r.width || 1);
+      const fy = (e.clientY - r.top) / (r.height || 1);
+      const { x0, x1, y0, y1 } = this._bounds();
+      this._set([x0 + fx * (x1 - x0), y1 - fy * (y1 - y0)]);
+      this._dispatch('input');
+    };
+    pad.onpointerdown = e => {
+      this._dragging = true;
+      pad.setPointerCapture?.(e.pointerId);
+      moveTo(e);
+    };
+    pad.onpointermove = e => { if (this._dragging) moveTo(e); };
+    pad.onpointerup = pad.onpointercancel = () => {
+      if (!this._dragging) return;
+      this._dragging = false;
+      this._dispatch('change');
+    };
+    pad.onkeydown = e => {
+      const dir = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] }[e.key];
+      if (!dir) return;
+      e.preventDefault();
+      const { x0, x1, y0, y1 } = this._bounds();
+      this._set([this._val.x + dir[0] * (x1 - x0) / 20, this._val.y + dir[1] * (y1 - y0) / 20]);
+      this._dispatch('input');
+      this._dispatch('change');
+    };
+
+    this.appendChild(pad);
+    this.appendChild(val);
+  }
+
+  _bounds() {
+    const n = (a, d) => { const v = parseFloat(this.getAttribute(a)); return isNaN(v) ? d : v; };
+    return { x0: n('xmin', 0), x1: n('xmax', 1), y0: n('ymin', 0), y1: n('ymax', 1) };
+  }
+
+  // clamped and rounded to 1/1000 of the range; the object stays the same until the point moves
+  _set([x, y]) {
+    const { x0, x1, y0, y1 } = this._bounds();
+    const fit = (v, lo, hi) => {
+      const q = Math.abs(hi - lo) / 1000 || 1;
+      return Math.round(Math.min(Math.max(v, Math.min(lo, hi)), Math.max(lo, hi)) / q) * q;
+    };
+    const fx = fit(x, x0, x1), fy = fit(y, y0, y1);
+    this._val = { x: +fx.toPrecision(12), y: +fy.toPrecision(12) };
+    this._dot.style.left = `${((fx - x0) / ((x1 - x0) || 1)) * 100}%`;
+    this._dot.style.top = `${(1 - (fy - y0) / ((y1 - y0) || 1)) * 100}%`;
+    this._valSpan.textContent = `${+fx.toFixed(2)}, ${+fy.toFixed(2)}`;
+  }
+
+  attributeChangedCallback(name, old, val) {
+    if (!this._built) return;
+    if (name === 'label') {
+      const lbl = this.querySelector('.audit-widget-label');
+      if (lbl) lbl.textContent = val;
+    } else if (name === 'value') {
+      const pair = parsePair(val);
+      if (pair) this._set(pair);
+    } else {
+      this._set([this._val.x, this._val.y]);
+    }
+  }
+
+  get value() {
+    if (this._built) return this._val;
+    const b = this._bounds();
+    const [x, y] = parsePair(this.getAttribute('value')) || [(b.x0 + b.x1) / 2, (b.y0 + b.y1) / 2];
+    return { x, y };
+  }
+  set value(v) {
+    const pair = parsePair(v && typeof v === 'object' && !Array.isArray(v) ? [v.x, v.y] : v);
+    if (!pair) return;
+    if (this._built) this._set(pair);
+    else this.setAttribute('value', pair.join(','));
+  }
+}
+
 customElements.define('audit-slider', AuditSlider);
 customElements.define('audit-dropdown', AuditDropdown);
 customElements.define('audit-checkbox', AuditCheckbox);
 customElements.define('audit-text-input', AuditTextInput);
+customElements.define('audit-color', AuditColor);
+customElements.define('audit-number', AuditNumber);
+customElements.define('audit-date', AuditDate);
+customElements.define('audit-range', AuditRange);
+customElements.define('audit-radio', AuditRadio);
+customElements.define('audit-toggles', AuditToggles);
+customElements.define('audit-button', AuditButton);
+customElements.define('audit-file', AuditFile);
+customElements.define('audit-textarea', AuditTextarea);
+customElements.define('audit-xy', AuditXY);
+
+// extension widgets get a help row after the built-in ones (re-registering
+// replaces it); save.js leaves these rows out of saved files
+onWidgetRegistered((name, w) => {
+  const rows = document.querySelectorAll('#helpOverlay .help-row[data-widget]');
+  if (!rows.length) return;
+  const row = document.createElement('div');
+  row.className = 'help-row';
+  row.dataset.widget = name;
+  row.dataset.ext = '';
+  const key = document.createElement('span');
+  key.className = 'help-key';
+  key.textContent = `ui.${name}()`;
+  const desc = document.createElement('span');
+  desc.className = 'help-desc';
+  desc.textContent = w.desc;
+  row.append(key, desc);
+  const old = [...rows].find(r => r.dataset.widget === name);
+  if (old) old.replaceWith(row);
+  else rows[rows.length - 1].after(row);
+});
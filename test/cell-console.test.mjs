@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFormat, tableRows } from '../src/js/cell-console.js';
+
+// ── applyFormat ──
+
+describe('applyFormat', () => {
+  it('substitutes specifiers in order', () => {
+    assert.deepEqual(applyFormat(['%s has %d items (%f)', 'cart', '3.7', '1.5']), ['cart has 3 items (1.5)']);
+  });
+
+  it('keeps extra arguments and unmatched specifiers', () => {
+    const obj = { a: 1 };
+    assert.deepEqual(applyFormat(['%s', 'x', obj]), ['x', obj]);
+    assert.deepEqual(applyFormat(['%s and %s', 'x']), ['x and %s']);
+  });
+
+  it('drops %c styles and serializes %o', () => {
+    assert.deepEqual(applyFormat(['%cred %o', 'color: red', { a: 1 }]), ['red {"a":1}']);
+  });
+
+  it('leaves other calls alone', () => {
+    const args = [{ a: 1 }, 'b'];
+    assert.equal(applyFormat(args), args);
+    assert.deepEqual(applyFormat(['100%']), ['100%']);
+  });
+});
+
+// ── tableRows ──
+
+describe('tableRows', () => {
+  it('unions keys across rows', () => {
+    const { header, rows } = tableRows([{ a: 1 }, { b: 2 }]);
+    assert.deepEqual(header, ['(index)', 'a', 'b']);
+    assert.deepEqual(rows, [['0', 1, undefined], ['1', undefined, 2]]);
+  });
+
+  it('puts primitives in a Values column', () => {
+    const { header, rows } = tableRows({ x: 1, y: { z: 2 } });
+    assert.deepEqual(header, ['(index)', 'z', 'Values']);
+    assert.deepEqual(rows, [['x', undefined, 1], ['y', 2, undefined]]);
+  });
+
+  it('restricts to the requested columns', () => {
+    const { header } = tableRows([{ a: 1, b: 2, c: 3 }], ['c', 'a', 'nope']);
+    assert.deepEqual(header, ['(index)', 'c', 'a']);
+  });
+});
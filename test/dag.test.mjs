@@ -3,7 +3,8 @@ globalThis.document = { querySelector: () => null, querySelectorAll: () => [] };
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { parseNames, findUses, findHtmlUses, isManual, parseCellName, isHidden, isNorun, parseOutputId, parseOutputClass } from '../src/js/dag.js';
+import { rewriteMutables, rewriteInits } from '../src/js/analyze.js';
+import { parseNames, findUses, findHtmlUses, isManual, parseCellName, isHidden, isNorun, isWorker, isParams, parseTimeout, parseOutputId, parseOutputClass, findDiagnostics } from '../src/js/dag.js';
 
 // ── isManual ──
 
@@ -73,6 +74,50 @@ describe('isNorun', () => {
   });
 });
 
+// ── parseTimeout ──
+
+describe('parseTimeout', () => {
+  it('parses seconds', () => {
+    assert.strictEqual(parseTimeout('// %timeout 5s\nconst x = 1;'), 5000);
+  });
+  it('parses milliseconds and minutes', () => {
+    assert.strictEqual(parseTimeout('// %timeout 250ms'), 250);
+    assert.strictEqual(parseTimeout('// %timeout 1.5m'), 90000);
+  });
+  it('treats a bare number as seconds', () => {
+    assert.strictEqual(parseTimeout('// %timeout 2'), 2000);
+  });
+  it('returns null for missing or malformed values', () => {
+    assert.strictEqual(parseTimeout('const x = 1;'), null);
+    assert.strictEqual(parseTimeout('// %timeout soon'), null);
+  });
+});
+
+// ── isWorker ──
+
+describe('isWorker', () => {
+  it('detects // %worker', () => {
+    assert.ok(isWorker('// %worker\nconst x = 1;'));
+  });
+  it('rejects longer directive names', () => {
+    assert.ok(!isWorker('// %workers\nconst x = 1;'));
+  });
+  it('rejects without directive', () => {
+    assert.ok(!isWorker('const worker = 1;'));
+  });
+});
+
+// ── isParams ──
+
+describe('isParams', () => {
+  it('detects // %params', () => {
+    assert.ok(isParams('// %params\nconst grade = 0.5;'));
+  });
+  it('rejects longer directive names', () => {
+    assert.ok(!isParams('// %paramsX\nconst x = 1;'));
+  });
+});
+
 // ── parseOutputId ──
 
 describe('parseOutputId', () => {
@@ -200,6 +245,62 @@ describe('parseNames', () => {
     assert.ok(defines.has('W'));
     assert.ok(defines.has('H'));
   });
+
+  it('class declaration', () => {
+    const { defines } = parseNames('class Grid extends Base { cell(i) { const tmp = i; return tmp; } }');
+    assert.deepStrictEqual([...defines], ['Grid']);
+  });
+
+  it('nested destructuring with defaults', () => {
+    const { defines } = parseNames('const { a = 1, b: { c, d: [e, f = g] } = {}, ...rest } = obj;');
+    assert.deepStrictEqual([...defines].sort(), ['a', 'c', 'e', 'f', 'rest']);
+  });
+
+  it('array destructuring with holes and rest', () => {
+    const { defines } = parseNames('const [, second, ...others] = arr;');
+    assert.deepStrictEqual([...defines].sort(), ['others', 'second']);
+  });
+
+  it('comma after a call initializer', () => {
+    const { defines } = parseNames('const a = f(1, 2), b = [3, 4], c = { x: 5, y: 6 };');
+    assert.deepStrictEqual([...defines], ['a', 'b', 'c']);
+  });
+
+  it('async and generator functions', () => {
+    const { defines } = parseNames('async function fetchIt() {}\nfunction* gen() {}');
+    assert.deepStrictEqual([...defines], ['fetchIt', 'gen']);
+  });
+
+  it('import statements', () => {
+    const { defines } = parseNames("import d3, { scale as s, axis } from 'd3';\nimport * as ns from 'x';");
+    assert.deepStrictEqual([...defines].sort(), ['axis', 'd3', 'ns', 's']);
+  });
+
+  it('var inside a block is hoisted, let is not', () => {
+    const { defines } = parseNames('if (ok) { var hoisted = 1; let scoped = 2; }');
+    assert.deepStrictEqual([...defines], ['hoisted']);
+  });
+
+  it('for-of bindings are block scoped', () => {
+    const { defines } = parseNames('for (const [k, v] of entries) total += v;');
+    assert.strictEqual(defines.size, 0);
+  });
+
+  it('declarations after a regex literal', () => {
+    const { defines } = parseNames('const re = /[}{]/g;\nconst after = 1;');
+    assert.deepStrictEqual([...defines], ['re', 'after']);
+  });
+
+  it('declarations after a template with nested braces', () => {
+    const { defines } = parseNames('const s = `${ {a: 1}.a } }`;\nconst t = 2;');
+    assert.deepStrictEqual([...defines], ['s', 't']);
+  });
+
+  it('tolerates incomplete code', () => {
+    const { defines } = parseNames('const x = 1;\nconst y = foo(');
+    assert.ok(defines.has('x'));
+    assert.ok(defines.has('y'));
+  });
 });
 
 // ── findUses ──
@@ -252,6 +353,87 @@ describe('findUses', () => {
     assert.ok(uses.has('x'));
     assert.ok(!uses.has('hello'));
   });
+
+  it('ignores property names and object keys', () => {
+    const allDefined = new Set(['data', 'row', 'obj']);
+    const uses = findUses('const z = obj.data + { row: 1 }.row;', allDefined);
+    assert.deepStrictEqual([...uses], ['obj']);
+  });
+
+  it('counts shorthand properties as uses', () => {
+    const allDefined = new Set(['a', 'b']);
+    const uses = findUses('const o = { a, b };', allDefined);
+    assert.deepStrictEqual([...uses].sort(), ['a', 'b']);
+  });
+
+  it('ignores names shadowed by arrow params', () => {
+    const allDefined = new Set(['x', 'y']);
+    const uses = findUses('const f = (x, { y = x }) => x + y;', allDefined);
+    assert.strictEqual(uses.size, 0);
+  });
+
+  it('arrow param defaults can read outer names', () => {
+    const allDefined = new Set(['scale']);
+    const uses = findUses('const f = (v, k = scale) => v * k;', allDefined);
+    assert.ok(uses.has('scale'));
+  });
+
+  it('ignores names shadowed inside blocks', () => {
+    const allDefined = new Set(['i', 'n']);
+    const uses = findUses('for (let i = 0; i < 3; i++) { const n = i; }', allDefined);
+    assert.strictEqual(uses.size, 0);
+  });
+
+  it('block shadowing does not hide uses outside the block', () => {
+    const allDefined = new Set(['n']);
+    const uses = findUses('{ const n = 1; }\nconst m = n;', allDefined);
+    assert.ok(uses.has('n'));
+  });
+
+  it('ignores labels', () => {
+    const allDefined = new Set(['outer']);
+    const uses = findUses('outer: for (const a of b) { continue outer; }', allDefined);
+    assert.ok(!uses.has('outer'));
+  });
+
+  it('ignores function params and catch bindings', () => {
+    const allDefined = new Set(['e', 'p']);
+    const uses = findUses('function f(p) { try {} catch (e) { return e + p; } }', allDefined);
+    assert.strictEqual(uses.size, 0);
+  });
+
+  it('finds uses inside class bodies', () => {
+    const allDefined = new Set(['Base', 'scale', 'method']);
+    const uses = findUses('class A extends Base { method() { return scale; } }', allDefined);
+    assert.deepStrictEqual([...uses].sort(), ['Base', 'scale']);
+  });
+
+  it('named function expression binds its own name', () => {
+    const allDefined = new Set(['fact']);
+    const uses = findUses('const f = function fact(n) { return n ? n * fact(n - 1) : 1; };', allDefined);
+    assert.ok(!uses.has('fact'));
+  });
+
+  it('functions can use names declared later in the cell', () => {
+    const allDefined = new Set(['later']);
+    const uses = findUses('function f() { return later; }\nconst later = 1;', allDefined);
+    assert.strictEqual(uses.size, 0);
+  });
+
+  it('ignores names in regex literals', () => {
+    const allDefined = new Set(['x']);
+    const uses = findUses('const re = /x+/g;', allDefined);
+    assert.strictEqual(uses.size, 0);
+  });
+
+  it('reads a regex after a block, and division after an object literal', () => {
+    const allDefined = new Set(['s', 'w', 'foo', 'x']);
+    const code = 'function f() {}\n/`/.test(s)\nconst y = 1\nconst z = w';
+    assert.deepStrictEqual([...parseNames(code).defines], ['f', 'y', 'z']);
+    assert.deepStrictEqual([...findUses(code, allDefined)], ['s', 'w']);
+    assert.deepStrictEqual([...findUses('if (x) {}\n/foo/.test(s)', allDefined)], ['x', 's']);
+    assert.deepStrictEqual([...findUses('const a = {b: 1} / 2\nconst c = w', allDefined)], ['w']);
+  });
 });
 
 // ── findHtmlUses ──
@@ -282,4 +464,110 @@ describe('findHtmlUses', () => {
     const uses = findHtmlUses('<p>hello</p>', allDefined);
     assert.strictEqual(uses.size, 0);
   });
+
+  it('ignores property names in expressions', () => {
+    const allDefined = new Set(['stats', 'mean']);
+    const uses = findHtmlUses('<p>${stats.mean}</p>', allDefined);
+    assert.deepStrictEqual([...uses], ['stats']);
+  });
+});
+
+// ── mutable ──
+
+describe('mutable', () => {
+  it('declares top-level mutables', () => {
+    const { defines, mutables } = parseNames('mutable count = 0, step = 1;\nconst x = 2;');
+    assert.deepStrictEqual([...defines], ['count', 'step', 'x']);
+    assert.deepStrictEqual([...mutables], ['count', 'step']);
+  });
+
+  it('treats mutable as a plain identifier elsewhere', () => {
+    const { mutables } = parseNames('const mutable = 1;\nmutable + 1;');
+    assert.strictEqual(mutables.size, 0);
+  });
+
+  it('rewrites the declaration and own references', () => {
+    const code = 'mutable count = 0;\nbtn.onclick = () => count++;';
+    assert.strictEqual(rewriteMutables(code, new Set(['count'])),
+      ' __mutable.count = 0;\nbtn.onclick = () => __mutable.count++;');
+  });
+
+  it('rewrites free references in other cells, including shorthand', () => {
+    const code = 'count += 1;\nconst o = { count };';
+    assert.strictEqual(rewriteMutables(code, new Set(['count'])),
+      '__mutable.count += 1;\nconst o = { count: __mutable.count };');
+  });
+
+  it('leaves shadowed and unrelated names alone', () => {
+    const code = 'const f = (count) => count + other;\nobj.count = 1;';
+    assert.strictEqual(rewriteMutables(code, new Set(['count'])), code);
+  });
+});
+
+// ── findDiagnostics ──
+
+describe('findDiagnostics', () => {
+  const cell = (id, defines, uses) => ({ id, defines: new Set(defines), uses: new Set(uses) });
+
+  it('reports nothing for a clean notebook', () => {
+    const diags = findDiagnostics([cell(1, ['a'], []), cell(2, ['b'], ['a'])]);
+    assert.deepStrictEqual([...diags.values()], [[], []]);
+  });
+
+  it('flags later definitions of a name, naming the first', () => {
+    const diags = findDiagnostics([cell(1, ['a'], []), cell(2, ['b'], []), cell(3, ['a'], [])]);
+    assert.deepStrictEqual(diags.get(1), []);
+    assert.deepStrictEqual(diags.get(3), [{ kind: 'duplicate', name: 'a', other: 1 }]);
+  });
+
+  it('flags uses defined only by later cells', () => {
+    const diags = findDiagnostics([cell(1, ['a'], ['b']), cell(2, ['b'], [])]);
+    assert.deepStrictEqual(diags.get(1), [{ kind: 'forward', name: 'b', other: 2 }]);
+  });
+
+  it('does not flag a use that also has an earlier definition', () => {
+    const diags = findDiagnostics([cell(1, ['b'], []), cell(2, ['a'], ['b']), cell(3, ['b'], [])]);
+    assert.deepStrictEqual(diags.get(2), []);
+  });
+
+  it('reports a forward reference that loops back as a cycle', () => {
+    const diags = findDiagnostics([cell(1, ['a'], ['c']), cell(2, ['b'], ['a']), cell(3, ['c'], ['b'])]);
+    assert.deepStrictEqual(diags.get(1), [{ kind: 'cycle', name: 'c', other: 3 }]);
+    assert.deepStrictEqual(diags.get(3), []);
+  });
+
+  it('allows html cells to read their own widgets', () => {
+    const diags = findDiagnostics([cell(1, ['x'], ['x'])]);
+    assert.deepStrictEqual(diags.get(1), []);
+  });
+
+  it('ignores runtime-internal names', () => {
+    const diags = findDiagnostics([cell(1, ['__goto'], []), cell(2, ['__goto'], [])]);
+    assert.deepStrictEqual(diags.get(2), []);
+  });
+
+  it('skips cells without defines or uses', () => {
+    const diags = findDiagnostics([{ id: 1 }, cell(2, ['a'], [])]);
+    assert.deepStrictEqual(diags.get(1), []);
+  });
+});
+
+// ── rewriteInits ──
+
+describe('rewriteInits', () => {
+  const wrap = (name, init) => `P(${name}, ${init})`;
+
+  it('wraps each top-level initializer', () => {
+    const code = 'const a = 0.5, b = "x";\nlet c = f(1,\n  2)\nvar d = `t ${a}`;';
+    assert.strictEqual(rewriteInits(code, wrap), 'const a = P(a, 0.5), b = P(b, "x");\nlet c = P(c, f(1,\n  2))\nvar d = P(d, `t ${a}`);');
+  });
+
+  it('leaves destructuring, bare and nested declarations alone', () => {
+    const code = 'const { a, b } = o;\nlet c;\nif (a) { const d = 1; }\nfunction f() { const e = 2; }';
+    assert.strictEqual(rewriteInits(code, wrap), code);
+  });
+
+  it('stops at the end of the expression', () => {
+    assert.strictEqual(rewriteInits('const a = 1 // one\nconst b = a + 1', wrap), 'const a = P(a, 1) // one\nconst b = P(b, a + 1)');
+  });
 });
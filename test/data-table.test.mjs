@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { tableColumns, formatCell, compareValues, viewRows, selectedRows, syncSelection } from '../src/js/data-table.js';
+
+const rows = [
+  { name: 'b2', depth: 12.5, grade: 0.3 },
+  { name: 'a10', depth: null, grade: 0.1 },
+  { name: 'a9', depth: 3, grade: 0.3 },
+  { name: 'c', depth: 7, grade: null },
+];
+const cols = tableColumns(rows);
+
+describe('tableColumns', () => {
+  it('takes keys from the first row and flags numeric columns', () => {
+    assert.deepStrictEqual(cols, [
+      { key: 'name', numeric: false }, { key: 'depth', numeric: true }, { key: 'grade', numeric: true },
+    ]);
+    assert.deepStrictEqual(tableColumns(rows, ['grade']).map(c => c.key), ['grade']);
+  });
+});
+
+describe('formatCell', () => {
+  it('keeps the plain number format by default', () => {
+    assert.strictEqual(formatCell(3), '3');
+    assert.strictEqual(formatCell(0.5), '0.5000');
+    assert.strictEqual(formatCell(null), '');
+  });
+
+  it('applies decimals, Intl options and functions', () => {
+    assert.strictEqual(formatCell(2.345, 1), '2.3');
+    assert.strictEqual(formatCell(0.25, { style: 'percent' }), '25%');
+    assert.strictEqual(formatCell(2, (v, row) => `${v}/${row.n}`, { n: 4 }), '2/4');
+    assert.strictEqual(formatCell('x', 2), 'x');
+  });
+
+  it('builds one formatter per options object', () => {
+    const NumberFormat = Intl.NumberFormat;
+    let built = 0;
+    Intl.NumberFormat = class extends NumberFormat { constructor(...a) { super(...a); built++; } };
+    try {
+      const pct = { style: 'percent' };
+      assert.deepStrictEqual([0.1, 0.5, 1].map(v => formatCell(v, pct)), ['10%', '50%', '100%']);
+      assert.strictEqual(formatCell(1234.5, { maximumFractionDigits: 0, useGrouping: false }), '1235');
+      assert.strictEqual(built, 2);
+    } finally {
+      Intl.NumberFormat = NumberFormat;
+    }
+  });
+});
+
+describe('compareValues', () => {
+  it('puts empty values last in both directions', () => {
+    assert.ok(compareValues(null, 1) > 0);
+    assert.ok(compareValues(null, 1, -1) > 0);
+    assert.ok(compareValues(1, NaN, -1) < 0);
+    assert.strictEqual(compareValues(undefined, null), 0);
+  });
+
+  it('compares digit runs in text numerically', () => {
+    assert.ok(compareValues('a9', 'a10') < 0);
+    assert.ok(compareValues('a9', 'a10', -1) > 0);
+    assert.ok(compareValues(2, 10) < 0);
+  });
+});
+
+describe('viewRows', () => {
+  it('sorts in both directions, keeping ties in data order and empties last', () => {
+    assert.deepStrictEqual(viewRows(rows, cols, { sort: { key: 'depth', dir: 1 } }), [2, 3, 0, 1]);
+    assert.deepStrictEqual(viewRows(rows, cols, { sort: { key: 'grade', dir: -1 } }), [0, 2, 1, 3]);
+    assert.deepStrictEqual(viewRows(rows, cols, { sort: { key: 'name', dir: 1 } }), [2, 1, 0, 3]);
+  });
+
+  it('filters on the formatted text of any column', () => {
+    assert.deepStrictEqual(viewRows(rows, cols, { filter: 'A' }), [1, 2]);
+    assert.deepStrictEqual(viewRows(rows, cols, { filter: '30%' }, { grade: { style: 'percent' } }), [0, 2]);
+  });
+
+  it('ignores a sort on a column that is not shown', () => {
+    assert.deepStrictEqual(viewRows(rows, cols, { sort: { key: 'gone', dir: 1 } }), [0, 1, 2, 3]);
+  });
+});
+
+describe('selectedRows', () => {
+  it('returns selected rows in data order, dropping ones past the end', () => {
+    assert.deepStrictEqual(selectedRows(rows, { selected: [2, 0, 9] }).map(r => r.name), ['a9', 'b2']);
+    assert.deepStrictEqual(selectedRows(rows, {}), []);
+  });
+});
+
+describe('syncSelection', () => {
+  it('keeps the selection while the data array is the same', () => {
+    const state = { selected: [1], anchor: 1, data: rows };
+    syncSelection(state, rows);
+    assert.deepStrictEqual([state.selected, state.anchor], [[1], 1]);
+  });
+
+  it('drops it when the data changes', () => {
+    const state = { selected: [1, 3], anchor: 3, data: rows };
+    const next = rows.slice().reverse();
+    syncSelection(state, next);
+    assert.deepStrictEqual([state.selected, state.anchor], [[], null]);
+    assert.equal(state.data, next);
+  });
+
+  it('keeps it across the re-run a pick caused', () => {
+    const state = { selected: [2], anchor: 2, data: rows, picked: true };
+    syncSelection(state, rows.slice());
+    assert.deepStrictEqual(state.selected, [2]);
+    assert.equal(state.picked, false);
+    syncSelection(state, rows.slice());
+    assert.deepStrictEqual(state.selected, []);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarize, toJSON, isMimeBundle, isNdarray, preview, className } from '../src/js/display.js';
+
+// ── summarize ──
+
+describe('summarize', () => {
+  it('lists Map entries', () => {
+    assert.equal(summarize(new Map([['a', 1], [2, { x: 1 }]])), 'Map(2) {"a" => 1, 2 => {x: 1}}');
+  });
+
+  it('lists Set members', () => {
+    assert.equal(summarize(new Set([1, 'b'])), 'Set(2) {1, "b"}');
+  });
+
+  it('truncates long typed arrays', () => {
+    const text = summarize(new Float64Array(25).fill(1.5));
+    assert.ok(text.startsWith('Float64Array(25) [1.5, 1.5'));
+    assert.ok(text.endsWith('… 5 more]'));
+  });
+
+  it('shortens nested containers', () => {
+    assert.equal(summarize(new Map([['m', new Map([[1, new Set([1])]])]])), 'Map(1) {"m" => Map(1) {1 => Set(1)}}');
+  });
+
+  it('formats dates, errors, buffers and bigints', () => {
+    assert.equal(summarize(new Date(0)), '1970-01-01T00:00:00.000Z');
+    assert.equal(summarize(new Date(NaN)), 'Invalid Date');
+    assert.equal(summarize(new TypeError('bad')), 'TypeError: bad');
+    assert.equal(summarize(new ArrayBuffer(8)), 'ArrayBuffer(8 bytes)');
+    assert.equal(summarize(new Set([10n])), 'Set(1) {10n}');
+  });
+
+  it('uses a custom toString', () => {
+    class Vec { constructor(x, y) { this.x = x; this.y = y; } toString() { return `<${this.x}, ${this.y}>`; } }
+    assert.equal(summarize(new Vec(1, 2)), '<1, 2>');
+  });
+
+  it('uses ndarray formatting', () => {
+    const arr = { shape: [2], dtype: 'f64', ndim: 1, toString: () => 'array([1, 2])' };
+    assert.ok(isNdarray(arr));
+    assert.equal(summarize(arr), 'array([1, 2])');
+  });
+
+  it('returns null for plain objects and arrays', () => {
+    assert.equal(summarize({ a: 1 }), null);
+    assert.equal(summarize([1, 2]), null);
+    assert.equal(summarize({ toString: () => '[object Thing]' }), null);
+  });
+});
+
+// ── toJSON ──
+
+describe('toJSON', () => {
+  it('summarizes nested built-ins', () => {
+    const json = JSON.parse(toJSON({ m: new Map([[1, 2]]), t: new Uint8Array([1, 2]), n: 3n }));
+    assert.deepEqual(json, { m: 'Map(1) {1 => 2}', t: 'Uint8Array(2) [1, 2]', n: '3n' });
+  });
+
+  it('keeps plain data as JSON', () => {
+    assert.equal(toJSON({ a: [1, { b: 2 }] }), JSON.stringify({ a: [1, { b: 2 }] }, null, 2));
+  });
+});
+
+// ── isMimeBundle ──
+
+describe('isMimeBundle', () => {
+  it('recognizes MIME keys', () => {
+    assert.ok(isMimeBundle({ 'text/html': '<b>x</b>' }));
+    assert.ok(isMimeBundle({ 'text/plain': 'x', 'image/png': 'AAAA' }));
+  });
+
+  it('rejects other values', () => {
+    assert.ok(!isMimeBundle({ html: 'x' }));
+    assert.ok(!isMimeBundle(['text/html']));
+    assert.ok(!isMimeBundle('text/html'));
+    assert.ok(!isMimeBundle(null));
+  });
+});
+
+// ── preview ──
+
+describe('preview', () => {
+  it('names classes and omits Object', () => {
+    class Point { constructor() { this.x = 1; this.y = 2; } }
+    assert.equal(preview(new Point()), 'Point {x: 1, y: 2}');
+    assert.equal(preview({ a: 'b' }), '{a: "b"}');
+    assert.equal(className(Object.create(null)), 'Object');
+  });
+
+  it('shows the first few items of collections', () => {
+    assert.equal(preview([1, 2, 3, 4, 5, 6, 7]), 'Array(7) [1, 2, 3, 4, 5, …]');
+    assert.equal(preview(new Int8Array([1, 2])), 'Int8Array(2) [1, 2]');
+    assert.equal(preview(new Map([['k', [1]]])), 'Map(1) {"k" => Array(1)}');
+    assert.equal(preview(new Set([{}])), 'Set(1) {{…}}');
+  });
+
+  it('does not run getters', () => {
+    let ran = false;
+    assert.equal(preview({ get x() { ran = true; return 1; } }), '{x: (…)}');
+    assert.ok(!ran);
+  });
+});
@@ -1,18 +1,18 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { renderMd } from '../src/js/markdown.js';
+import { renderMd, slugify, isSafeMdUrl } from '../src/js/markdown.js';
 
 describe('renderMd', () => {
   it('renders h1', () => {
-    assert.ok(renderMd('# Hello').includes('<h1>Hello</h1>'));
+    assert.ok(renderMd('# Hello').includes('<h1 id="hello">Hello</h1>'));
   });
 
   it('renders h2', () => {
-    assert.ok(renderMd('## World').includes('<h2>World</h2>'));
+    assert.ok(renderMd('## World').includes('<h2 id="world">World</h2>'));
   });
 
   it('renders h3', () => {
-    assert.ok(renderMd('### Sub').includes('<h3>Sub</h3>'));
+    assert.ok(renderMd('### Sub').includes('<h3 id="sub">Sub</h3>'));
   });
 
   it('renders bold', () => {
@@ -73,4 +73,114 @@ describe('renderMd', () => {
     const result = renderMd('a | b');
     assert.ok(!result.includes('<table>'));
   });
+
+  it('renders headings 4 to 6 and setext headings', () => {
+    assert.equal(renderMd('#### a\n###### b'), '<h4 id="a">a</h4><h6 id="b">b</h6>');
+    assert.equal(renderMd('Title\n=====\nSub\n---'), '<h1 id="title">Title</h1><h2 id="sub">Sub</h2>');
+    assert.ok(!renderMd('#nope').includes('<h1'));
+  });
+
+  it('gives repeated headings distinct anchors', () => {
+    assert.equal(renderMd('# Dup\n## Dup'), '<h1 id="dup">Dup</h1><h2 id="dup-1">Dup</h2>');
+  });
+
+  it('renders nested lists, tight and loose', () => {
+    assert.equal(renderMd('- a\n- b\n  - c\n- d'), '<ul><li>a</li><li>b<ul><li>c</li></ul></li><li>d</li></ul>');
+    assert.equal(renderMd('1. a\n\n1. b'), '<ol><li><p>a</p></li><li><p>b</p></li></ol>');
+    assert.ok(renderMd('3. a\n4. b').startsWith('<ol start="3">'));
+  });
+
+  it('renders task lists as disabled checkboxes', () => {
+    const result = renderMd('- [ ] todo\n- [x] done');
+    assert.ok(result.includes('<li class="task-list-item"><input type="checkbox" disabled> todo</li>'));
+    assert.ok(result.includes('<input type="checkbox" disabled checked> done'));
+  });
+
+  it('renders blockquotes with lazy continuation', () => {
+    assert.equal(renderMd('> a\nb\n> > c'), '<blockquote><p>a\nb</p><blockquote><p>c</p></blockquote></blockquote>');
+  });
+
+  it('renders fenced and indented code unformatted', () => {
+    assert.equal(renderMd('```js\nif (a < b) *x*\n```'), '<pre><code class="language-js">if (a &lt; b) *x*\n</code></pre>');
+    assert.equal(renderMd('~~~\n# no\n~~~'), '<pre><code># no\n</code></pre>');
+    assert.equal(renderMd('    code'), '<pre><code>code\n</code></pre>');
+  });
+
+  it('renders horizontal rules', () => {
+    assert.equal(renderMd('---\n* * *'), '<hr><hr>');
+  });
+
+  it('renders images and reference links', () => {
+    assert.equal(renderMd('![a *b*](x.png "t")'), '<p><img src="x.png" alt="a b" title="t"></p>');
+    assert.equal(renderMd('[text][r] and [r]\n\n[r]: https://r.io'),
+      '<p><a href="https://r.io">text</a> and <a href="https://r.io">r</a></p>');
+  });
+
+  it('handles backslash escapes, entities and hard breaks', () => {
+    assert.equal(renderMd('\\*a\\* &copy; & b  \nc'), '<p>*a* &copy; &amp; b<br>c</p>');
+  });
+
+  it('matches emphasis like CommonMark', () => {
+    assert.equal(renderMd('***a*** foo_bar_baz ~~gone~~'), '<p><em><strong>a</strong></em> foo_bar_baz <del>gone</del></p>');
+    assert.equal(renderMd('*a **b** c*'), '<p><em>a <strong>b</strong> c</em></p>');
+  });
+
+  it('links bare and bracketed URLs', () => {
+    assert.equal(renderMd('see https://a.io/x.'), '<p>see <a href="https://a.io/x">https://a.io/x</a>.</p>');
+    assert.equal(renderMd('<me@a.io>'), '<p><a href="mailto:me@a.io">me@a.io</a></p>');
+  });
+
+  it('keeps allowed HTML and strips the rest', () => {
+    assert.equal(renderMd('<kbd>K</kbd> <span onclick="x()" title="t">s</span>'), '<p><kbd>K</kbd> <span title="t">s</span></p>');
+    assert.equal(renderMd('<div>a <iframe src="x"></iframe></div>'), '<div>a &lt;iframe src=&quot;x&quot;&gt;&lt;/iframe&gt;</div>');
+    assert.equal(renderMd('<details><summary>s</summary>\n\n*m*\n\n</details>'), '<details><summary>s</summary><p><em>m</em></p></details>');
+  });
+
+  it('drops script URLs', () => {
+    assert.equal(renderMd('[x](javascript:alert(1))'), '<p>x</p>');
+    assert.equal(renderMd('<a href="javascript:x">y</a>'), '<p><a>y</a></p>');
+    assert.ok(!renderMd('![i](data:text/html,x)').includes('<img'));
+  });
+
+  it('aligns table columns', () => {
+    const result = renderMd('| a | b |\n|:--|--:|\n| 1 | 2 |');
+    assert.ok(result.includes('<th style="text-align:left">a</th>'));
+    assert.ok(result.includes('<td style="text-align:right">2</td>'));
+  });
+});
+
+describe('slugify', () => {
+  it('makes lowercase dashed anchors', () => {
+    assert.equal(slugify('Hello, World!'), 'hello-world');
+    assert.equal(slugify('Ünïcode  ok'), 'ünïcode-ok');
+  });
+});
+
+describe('isSafeMdUrl', () => {
+  it('allows web links and image data only for images', () => {
+    assert.ok(isSafeMdUrl('https://x'));
+    assert.ok(isSafeMdUrl('rel/path.md'));
+    assert.ok(!isSafeMdUrl('JavaScript:alert(1)'));
+    assert.ok(!isSafeMdUrl('data:image/png;base64,AA'));
+    assert.ok(isSafeMdUrl('data:image/png;base64,AA', true));
+    assert.ok(isSafeMdUrl('blob:https://x/1', true));
+  });
+});
+
+describe('renderMd math', () => {
+  it('typesets inline and display math', () => {
+    assert.ok(renderMd('area $\\pi r^2$ here').startsWith('<p>area <math><semantics>'));
+    assert.ok(renderMd('$$\n\\gamma(h)\n$$').startsWith('<div class="math-display"><math display="block">'));
+    assert.ok(renderMd('text\n$$ x $$\nmore').includes('</p><div class="math-display">'));
+  });
+
+  it('leaves dollar amounts and escaped dollars alone', () => {
+    assert.equal(renderMd('costs $5 and $10'), '<p>costs $5 and $10</p>');
+    assert.equal(renderMd('\\$x$ and $ y$'), '<p>$x$ and $ y$</p>');
+    assert.equal(renderMd('`$x$`'), '<p><code>$x$</code></p>');
+  });
+
+  it('keeps TeX out of heading anchors', () => {
+    assert.ok(renderMd('## Model $\\gamma$').startsWith('<h2 id="model-γ">'));
+  });
 });
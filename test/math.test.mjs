@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTex } from '../src/js/math.js';
+
+// the MathML inside <semantics>, without the TeX annotation
+const body = (tex, display) => renderTex(tex, display).replace(/^<math[^>]*><semantics>|<annotation[^]*$/g, '');
+
+describe('renderTex', () => {
+  it('wraps the formula with its source as an annotation', () => {
+    assert.equal(renderTex('x', true),
+      '<math display="block"><semantics><mrow><mi>x</mi></mrow><annotation encoding="application/x-tex">x</annotation></semantics></math>');
+    assert.ok(renderTex('a<b').includes('<annotation encoding="application/x-tex">a&lt;b</annotation>'));
+  });
+
+  it('sets scripts, fractions and roots', () => {
+    assert.equal(body('x_i^2'), '<mrow><msubsup><mi>x</mi><mi>i</mi><mn>2</mn></msubsup></mrow>');
+    assert.equal(body('x^23'), '<mrow><msup><mi>x</mi><mn>2</mn></msup><mn>3</mn></mrow>');
+    assert.equal(body('\\frac{a}{2}'), '<mrow><mfrac><mrow><mi>a</mi></mrow><mrow><mn>2</mn></mrow></mfrac></mrow>');
+    assert.equal(body('{a \\over b}'), '<mrow><mrow><mfrac><mrow><mi>a</mi></mrow><mrow><mi>b</mi></mrow></mfrac></mrow></mrow>');
+    assert.equal(body('\\sqrt[3]{x}'), '<mrow><mroot><mrow><mi>x</mi></mrow><mrow><mn>3</mn></mrow></mroot></mrow>');
+    assert.equal(body("f'"), '<mrow><msup><mi>f</mi><mo>′</mo></msup></mrow>');
+  });
+
+  it('puts limits under big operators only in display', () => {
+    assert.ok(body('\\sum_{i}^{n}', true).startsWith('<mrow><munderover><mo>∑</mo>'));
+    assert.ok(body('\\sum_{i}^{n}', false).startsWith('<mrow><msubsup><mo>∑</mo>'));
+    assert.ok(body('\\int_0^1', true).startsWith('<mrow><msubsup><mo>∫</mo>'));
+    assert.equal(body('\\lim_{x}', true), '<mrow><munder><mi>lim</mi><mrow><mi>x</mi></mrow></munder><mo>&#x2061;</mo></mrow>');
+  });
+
+  it('maps Greek, symbols and fonts', () => {
+    assert.equal(body('\\gamma \\Gamma \\leq \\infty'),
+      '<mrow><mi>γ</mi><mi mathvariant="normal">Γ</mi><mo>≤</mo><mi>∞</mi></mrow>');
+    assert.equal(body('\\mathbb{R} \\mathbf{x} \\mathcal{L}'), '<mrow><mrow><mi>ℝ</mi></mrow><mrow><mi>𝐱</mi></mrow><mrow><mi>ℒ</mi></mrow></mrow>');
+    assert.equal(body('a-b'), '<mrow><mi>a</mi><mo>−</mo><mi>b</mi></mrow>');
+    assert.equal(body('\\text{ if } x'), '<mrow><mtext> if </mtext><mi>x</mi></mrow>');
+  });
+
+  it('stretches \\left and \\right delimiters', () => {
+    assert.equal(body('\\left( x \\middle| y \\right.'),
+      '<mrow><mrow><mo fence="true" stretchy="true">(</mo><mi>x</mi><mo fence="true" stretchy="true">|</mo><mi>y</mi></mrow></mrow>');
+  });
+
+  it('lays out matrices, cases and aligned rows', () => {
+    const m = body('\\begin{bmatrix} 1 & 0 \\\\ 0 & 1 \\end{bmatrix}');
+    assert.match(m, /^<mrow><mrow><mo fence="true" stretchy="true">\[<\/mo><mtable><mtr>(<mtd><mrow><mn>\d<\/mn><\/mrow><\/mtd>){2}<\/mtr><mtr>/);
+    assert.ok(m.endsWith('</mtable><mo fence="true" stretchy="true">]</mo></mrow></mrow>'));
+    const a = body('\\begin{aligned} a &= b \\\\ &= c \\\\ \\end{aligned}');
+    assert.equal(a.match(/<mtr>/g).length, 2);
+    assert.ok(a.includes('<mtd style="text-align:right"><mrow><mi>a</mi></mrow></mtd><mtd style="text-align:left"><mrow><mo>=</mo><mi>b</mi></mrow></mtd>'));
+    assert.ok(body('\\begin{cases} 1 & x > 0 \\end{cases}').includes('<mo fence="true" stretchy="true">{</mo><mtable class="tex-cases">'));
+    // rows at the top level align like an aligned environment
+    assert.ok(body('x &= 1 \\\\ y &= 2', true).startsWith('<mtable class="tex-aligned" displaystyle="true">'));
+  });
+
+  it('marks unknown commands and stray braces without failing', () => {
+    assert.equal(body('\\nope + 1'), '<mrow><merror><mtext>\\nope</mtext></merror><mo>+</mo><mn>1</mn></mrow>');
+    assert.equal(body('\\constructor'), '<mrow><merror><mtext>\\constructor</mtext></merror></mrow>');
+    assert.equal(body('a}b'), '<mrow><mi>a</mi><merror><mtext>}</mtext></merror><mi>b</mi></mrow>');
+    assert.equal(body('\\frac{a'), '<mrow><mfrac><mrow><mi>a</mi></mrow><mrow></mrow></mfrac></mrow>');
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { highlightCode } from '../src/js/md-code.js';
+
+// a tagged language as extensions register it: one token list per line
+const tokenize = line => line.split(/(\s+)/).filter(Boolean)
+  .map(text => ({ type: /^\d+$/.test(text) ? 'num' : text === 'SELECT' ? 'kw' : text === '<' ? 'op' : 'id', text }));
+
+describe('highlightCode', () => {
+  afterEach(() => { delete globalThis.window; });
+
+  it('uses a registered tagged language, line by line', () => {
+    globalThis.window = { _taggedLanguages: { sql: { tokenize } } };
+    assert.equal(highlightCode('SELECT 1\n< x', 'sql'),
+      '<span class="hl-kw">SELECT</span> <span class="hl-num">1</span>\n<span class="hl-op">&lt;</span> x');
+  });
+
+  it('resolves aliases and ignores case', () => {
+    globalThis.window = { _taggedLanguages: { glsl: { tokenize } } };
+    assert.equal(highlightCode('1', 'FRAG'), '<span class="hl-num">1</span>');
+  });
+
+  it('keeps text a tokenizer leaves out', () => {
+    globalThis.window = { _taggedLanguages: { x: { tokenize: () => [{ type: 'kw', text: 'a' }] } } };
+    assert.equal(highlightCode('a <b>', 'x'), '<span class="hl-kw">a</span> &lt;b&gt;');
+  });
+
+  it('is null for languages nothing knows', () => {
+    globalThis.window = { _taggedLanguages: {} };
+    assert.equal(highlightCode('x', 'cobol'), null);
+    delete globalThis.window;
+    assert.equal(highlightCode('x', 'js'), null);
+  });
+});
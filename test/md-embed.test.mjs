@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { embedPlaceholder, embedsInMd, sameEmbed, renderMdEmbeds, splitEmbeds } from '../src/js/md-embed.js';
+import { TaggedContent, taggedTemplate } from '../src/js/tagged.js';
+import { DISPLAY } from '../src/js/display.js';
+
+globalThis.Node ??= class Node {};
+
+const md = taggedTemplate('md');
+const html = taggedTemplate('html');
+const css = taggedTemplate('css');
+const P = embedPlaceholder;
+
+describe('embedsInMd', () => {
+  it('embeds nodes, md and html templates, and displayable values', () => {
+    assert.ok(embedsInMd(new Node()));
+    assert.ok(embedsInMd(md`**x**`));
+    assert.ok(embedsInMd(html`<b>x</b>`));
+    assert.ok(embedsInMd({ [DISPLAY]: () => ({ 'text/plain': 'x' }) }));
+  });
+
+  it('leaves everything else to be stringified', () => {
+    for (const v of [css`a {}`, 'text', 3, null, undefined, [1, 2], { a: 1 }, new Date(0)]) {
+      assert.equal(embedsInMd(v), false, String(v));
+    }
+  });
+});
+
+describe('sameEmbed', () => {
+  it('matches the same value, or templates with the same text', () => {
+    const n = new Node();
+    assert.ok(sameEmbed(n, n));
+    assert.ok(!sameEmbed(n, new Node()));
+    assert.ok(sameEmbed(md`a ${1}`, md`a 1`));
+    assert.ok(!sameEmbed(md`a`, html`a`));
+    assert.ok(!sameEmbed(md`a`, md`b`));
+  });
+});
+
+describe('splitEmbeds', () => {
+  it('splits text around placeholders into text and indices', () => {
+    assert.deepEqual(splitEmbeds(`a ${P(0)} b ${P(12)}`), ['a ', 0, ' b ', 12, '']);
+    assert.deepEqual(splitEmbeds('plain'), ['plain']);
+  });
+});
+
+describe('renderMdEmbeds', () => {
+  it('keeps placeholders that land in text', () => {
+    const out = renderMdEmbeds(`# Plot\n\n${P(0)}\n\nsee ${P(1)} here`, [md`x`, md`y`]);
+    assert.equal(out, `<h1 id="plot">Plot</h1><p>${P(0)}</p><p>see ${P(1)} here</p>`);
+  });
+
+  it('puts values that land in a tag back as text', () => {
+    const embeds = [md`https://example.com/a`, html`<b>caption</b>`, md`keep`];
+    const out = renderMdEmbeds(`[link](${P(0)}) ![${P(1)}](x.png) ${P(2)}`, embeds);
+    assert.ok(out.includes('href="https://example.com/a"'), out);
+    assert.ok(out.includes('alt="caption"'), out);
+    assert.ok(out.includes(P(2)));
+    assert.ok(!out.includes(P(0)) && !out.includes(P(1)));
+  });
+
+  it('puts them through the same checks as typed markdown', () => {
+    const out = renderMdEmbeds(`[x](${P(0)}) <span title="${P(1)}">t</span>`, [md`javascript:alert(1)`, new TaggedContent('html', '"><script>')]);
+    assert.ok(!out.includes('javascript:'), out);
+    assert.ok(!out.includes('<script>'), out);
+    assert.ok(!out.includes('\uE000'), out);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOutline, sectionCells, tocMarkdown, TOC_RE } from '../src/js/outline.js';
+import { renderMd } from '../src/js/markdown.js';
+
+const cells = [
+  { id: 1, type: 'md', code: '# Intro\n\ntext' },
+  { id: 2, type: 'code', code: '// %cellName load\nconst d = 1' },
+  { id: 3, type: 'md', code: '## Data & *more*\n```\n# not a heading\n```' },
+  { id: 4, type: 'code', code: 'const e = d' },
+  { id: 5, type: 'md', code: '# Model $\\gamma$\n## Fit' },
+  { id: 6, type: 'css', code: '/* %cellName nope */' },
+];
+
+describe('buildOutline', () => {
+  it('lists headings and named cells in order', () => {
+    const o = buildOutline(cells);
+    assert.deepEqual(o.map(e => [e.id, e.kind, e.level, e.text]), [
+      [1, 'heading', 1, 'Intro'],
+      [2, 'cell', null, 'load'],
+      [3, 'heading', 2, 'Data & more'],
+      [5, 'heading', 1, 'Model γ'],
+      [5, 'heading', 2, 'Fit'],
+    ]);
+  });
+
+  it('uses the anchors the rendered cell gets', () => {
+    const o = buildOutline([{ id: 1, type: 'md', code: '# A\n# A' }]);
+    assert.deepEqual(o.map(e => e.slug), ['a', 'a-1']);
+    assert.ok(renderMd('# A\n# A').includes('id="a-1"'));
+  });
+
+  it('gives every heading an anchor unique across the notebook', () => {
+    const o = buildOutline([
+      { id: 1, type: 'md', code: '# Setup\n# Setup' },
+      { id: 2, type: 'md', code: '# Setup\n## Setup-1' },
+      { id: 3, type: 'md', code: '# Other' },
+    ]);
+    assert.deepEqual(o.map(e => [e.id, e.slug, e.anchor]), [
+      [1, 'setup', 'setup'],
+      [1, 'setup-1', 'setup-1'],
+      [2, 'setup', 'setup-2'],
+      [2, 'setup-1', 'setup-1-1'],
+      [3, 'other', 'other'],
+    ]);
+  });
+
+  it('reads interpolated cells from their rendered source', () => {
+    const o = buildOutline([{ id: 1, type: 'md', code: '# Grade ${g}', _mdSource: '# Grade 0.5 0' }]);
+    assert.equal(o[0].text, 'Grade 0.5');
+  });
+});
+
+describe('sectionCells', () => {
+  const o = buildOutline(cells);
+  it('runs to the next heading of the same or higher level', () => {
+    assert.deepEqual(sectionCells(cells, o, o[0]), [2, 3, 4]);
+    assert.deepEqual(sectionCells(cells, o, o[2]), [4]);
+    assert.deepEqual(sectionCells(cells, o, o[4]), [6]);
+  });
+
+  it('is empty when the next such heading shares the cell', () => {
+    const cs = [{ id: 1, type: 'md', code: '## a\n# b' }, { id: 2, type: 'code', code: '' }];
+    const oo = buildOutline(cs);
+    assert.deepEqual(sectionCells(cs, oo, oo[0]), []);
+    assert.deepEqual(sectionCells(cs, oo, oo[1]), [2]);
+  });
+});
+
+describe('tocMarkdown', () => {
+  it('nests headings as anchor links', () => {
+    const toc = tocMarkdown(buildOutline(cells));
+    assert.equal(toc, [
+      '- [Intro](#intro)',
+      '  - [Data &#38; more](#data-more)',
+      '- [Model γ](#model-γ)',
+      '  - [Fit](#fit)',
+    ].join('\n'));
+  });
+
+  it('links repeated headings to their own anchors', () => {
+    const toc = tocMarkdown(buildOutline([{ id: 1, type: 'md', code: '# Notes' }, { id: 2, type: 'md', code: '# Notes' }]));
+    assert.equal(toc, '- [Notes](#notes)\n- [Notes](#notes-1)');
+  });
+
+  it('nests skipped levels one step', () => {
+    const toc = tocMarkdown(buildOutline([{ id: 1, type: 'md', code: '# a\n### b\n## c' }]));
+    assert.equal(toc, '- [a](#a)\n  - [b](#b)\n  - [c](#c)');
+  });
+
+  it('renders as a nested list with literal text', () => {
+    const html = renderMd(tocMarkdown(buildOutline([{ id: 1, type: 'md', code: '# a_b $x$\n## c' }])));
+    assert.ok(html.startsWith('<ul><li><a href="#a_b-x">a&#95;b x</a><ul><li><a href="#c">c</a>'));
+  });
+});
+
+describe('TOC_RE', () => {
+  it('matches a line holding just [TOC]', () => {
+    assert.ok(TOC_RE.test('# Contents\n[TOC]\n'));
+    assert.ok(TOC_RE.test('[toc]'));
+    assert.ok(!TOC_RE.test('see [TOC] here'));
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readUrlParams, coerceParam, seedValue, formatParam, paramsLink, paramType } from '../src/js/params.js';
+
+describe('readUrlParams', () => {
+  it('reads the query, then the hash', () => {
+    const p = readUrlParams('?grade=0.5&domain=north', '#domain=south&x=a%20b');
+    assert.deepEqual([...p], [['grade', '0.5'], ['domain', 'south'], ['x', 'a b']]);
+  });
+
+  it('ignores an anchor hash', () => {
+    assert.deepEqual([...readUrlParams('', '#setup')], []);
+  });
+});
+
+describe('coerceParam', () => {
+  it('parses to the type of the default', () => {
+    assert.equal(coerceParam('0.75', 0.5), 0.75);
+    assert.equal(coerceParam('north', 'x'), 'north');
+    assert.equal(coerceParam('no', true), false);
+    assert.equal(coerceParam('', false), true);
+    assert.equal(coerceParam('12', 1n), 12n);
+    assert.equal(coerceParam('2024-03-01', new Date(0)).toISOString(), '2024-03-01T00:00:00.000Z');
+    assert.deepEqual(coerceParam('{"a":1}', { a: 0 }), { a: 1 });
+  });
+
+  it('splits lists on commas or reads them as JSON', () => {
+    assert.deepEqual(coerceParam('2021, 2023', [2020]), [2021, 2023]);
+    assert.deepEqual(coerceParam('roads,rivers', []), ['roads', 'rivers']);
+    assert.deepEqual(coerceParam('[1,"a"]', [0]), [1, 'a']);
+  });
+
+  it('returns undefined when the value does not fit', () => {
+    assert.equal(coerceParam('abc', 1), undefined);
+    assert.equal(coerceParam('', 1), undefined);
+    assert.equal(coerceParam('maybe', true), undefined);
+    assert.equal(coerceParam('1,x', [0]), undefined);
+    assert.equal(coerceParam('[1]', {}), undefined);
+    assert.equal(coerceParam('x', () => 1), undefined);
+  });
+
+  it('names what it wanted', () => {
+    assert.equal(paramType(1), 'number');
+    assert.equal(paramType([1]), 'list');
+    assert.equal(paramType(new Date()), 'date');
+  });
+});
+
+describe('seedValue', () => {
+  it('keeps strings for widgets to coerce, except booleans and JSON', () => {
+    assert.equal(seedValue('0.5'), '0.5');
+    assert.equal(seedValue('false'), false);
+    assert.deepEqual(seedValue('{"x":1,"y":2}'), { x: 1, y: 2 });
+    assert.equal(seedValue('{oops'), '{oops');
+  });
+});
+
+describe('formatParam', () => {
+  it('round-trips through coerceParam', () => {
+    for (const v of [0.25, 'south', true, 7n, new Date('2024-03-01'), [1, 2], ['a', 'b'], ['a,b'], { k: [1] }]) {
+      assert.deepEqual(coerceParam(formatParam(v), v), v);
+    }
+  });
+
+  it('skips what a URL cannot carry', () => {
+    assert.equal(formatParam(NaN), null);
+    assert.equal(formatParam(() => 1), null);
+    assert.equal(formatParam(new Map()), null);
+    assert.equal(formatParam(undefined), null);
+  });
+});
+
+describe('paramsLink', () => {
+  it('sets the query and drops the same names from a hash', () => {
+    assert.equal(paramsLink('https://a.io/r.html?grade=1&keep=1#grade=2&z=3', { grade: '0.5', domain: 'n s' }),
+      'https://a.io/r.html?grade=0.5&keep=1&domain=n+s#z=3');
+    assert.equal(paramsLink('file:///tmp/r.html#setup', { a: '1' }), 'file:///tmp/r.html?a=1#setup');
+  });
+});
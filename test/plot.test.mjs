@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { niceTicks, niceDomain, fmtTick, quantile, boxStats, binValues } from '../src/js/plot.js';
+import { std } from '../src/js/stdlib.js';
+
+const count = (svg, tag) => (svg.match(new RegExp(`<${tag}[ >]`, 'g')) || []).length;
+
+describe('niceTicks', () => {
+  it('steps by 1, 2 or 5 times a power of ten', () => {
+    assert.deepStrictEqual(niceTicks(0, 10, 5), [0, 2, 4, 6, 8, 10]);
+    assert.deepStrictEqual(niceTicks(0.13, 0.87, 4), [0.2, 0.4, 0.6, 0.8]);
+    assert.deepStrictEqual(niceTicks(-3, 3, 3), [-2, 0, 2]);
+  });
+
+  it('handles empty and reversed ranges', () => {
+    assert.deepStrictEqual(niceTicks(5, 5), [5]);
+    assert.deepStrictEqual(niceTicks(10, 0, 2), [0, 5, 10]);
+    assert.deepStrictEqual(niceTicks(NaN, 1), []);
+  });
+});
+
+describe('niceDomain', () => {
+  it('widens to the enclosing ticks', () => {
+    assert.deepStrictEqual(niceDomain(0.13, 0.87, 4), [0, 1]);
+    assert.deepStrictEqual(niceDomain(3, 3), [1.5, 4.5]);
+  });
+});
+
+describe('fmtTick', () => {
+  it('uses the decimals the tick spacing needs', () => {
+    assert.strictEqual(fmtTick(0.4, 0.2), '0.4');
+    assert.strictEqual(fmtTick(2, 0.05), '2.00');
+    assert.strictEqual(fmtTick(-0.0001, 0.1), '0.0');
+  });
+
+  it('abbreviates large values', () => {
+    assert.strictEqual(fmtTick(25000, 5000), '25k');
+    assert.strictEqual(fmtTick(1500000, 500000), '1.5M');
+    assert.strictEqual(fmtTick(5000, 1000), '5000');
+  });
+});
+
+describe('box and histogram statistics', () => {
+  it('computes R-7 quantiles', () => {
+    assert.strictEqual(quantile([1, 2, 3, 4], 0.5), 2.5);
+    assert.strictEqual(quantile([1, 2, 3, 4], 0.25), 1.75);
+  });
+
+  it('separates outliers beyond 1.5 IQR', () => {
+    const s = boxStats([1, 2, 3, 4, 5, 6, 7, 8, 100]);
+    assert.strictEqual(s.median, 5);
+    assert.strictEqual(s.hi, 8);
+    assert.deepStrictEqual(s.outliers, [100]);
+  });
+
+  it('bins on round thresholds and counts every value', () => {
+    const bins = binValues([0.5, 1.2, 3.9, 4, 9.99], 5);
+    assert.strictEqual(bins[0].x0, 0);
+    assert.strictEqual(bins[1].x0 - bins[0].x0, 2);
+    assert.strictEqual(bins.reduce((n, b) => n + b.count, 0), 5);
+  });
+
+  it('leaves out missing values rather than counting them as 0', () => {
+    const s = boxStats([1, null, 3, undefined]);
+    assert.deepStrictEqual([s.q1, s.median, s.q3, s.lo, s.hi], [1.5, 2, 2.5, 1, 3]);
+    const bins = binValues([null, 5, 6, undefined, '3'], 2);
+    assert.strictEqual(bins[0].x0, 5);
+    assert.strictEqual(bins.reduce((n, b) => n + b.count, 0), 2);
+  });
+});
+
+describe('std.plot', () => {
+  it('draws a path per line series, with a legend', () => {
+    const data = [{ t: 0, a: 1, b: 2 }, { t: 1, a: 3, b: 1 }, { t: 2, a: 2, b: null }];
+    const svg = std.plot.line(data, { x: 't', y: ['a', 'b'], title: 'A & B' }).toSVG(400);
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(svg, /width="400"/);
+    assert.strictEqual(count(svg, 'path'), 3); // two series and the axes
+    assert.ok(svg.includes('A &#38; B'));
+    assert.ok(svg.includes('>b</text>'));
+  });
+
+  it('breaks a line at missing values', () => {
+    const path = svg => svg.match(/<path d="([^"]*)"[^>]*stroke-linejoin/)[1];
+    assert.doesNotMatch(path(std.plot.line([1, null, 3]).toSVG()), /L/);
+    assert.strictEqual(path(std.plot.line([1, undefined, 3, 4]).toSVG()).split('M').length - 1, 2);
+    const hist = std.plot.histogram([null, 5, 6], { bins: 2 }).toSVG();
+    assert.ok(!hist.includes('>0 – '), hist);
+  });
+
+  it('draws scatter points grouped by z', () => {
+    const data = [{ x: 1, y: 2, k: 'p' }, { x: 2, y: 3, k: 'q' }, { x: 3, y: NaN, k: 'q' }];
+    const svg = std.plot.scatter(data, { x: 'x', y: 'y', z: 'k' }).toSVG();
+    assert.strictEqual(count(svg, 'circle'), 2);
+    assert.ok(svg.includes('>q</text>'));
+  });
+
+  it('draws bars from zero, histograms, boxes and heatmaps', () => {
+    const bars = std.plot.bar([{ c: 'a', v: 3 }, { c: 'b', v: -1 }], { x: 'c', y: 'v' }).toSVG();
+    assert.strictEqual(count(bars, 'rect'), 2);
+    const hist = std.plot.histogram([1, 2, 2, 3, 3, 3], { bins: 3 }).toSVG();
+    assert.ok(count(hist, 'rect') >= 3);
+    const box = std.plot.box([{ g: 'x', v: 1 }, { g: 'x', v: 2 }, { g: 'y', v: 5 }], { x: 'g', y: 'v' }).toSVG();
+    assert.ok(box.includes('>x</text>') && box.includes('>y</text>'));
+    const heat = std.plot.heatmap([[0, 1], [2, 3]], { legend: false }).toSVG();
+    assert.strictEqual(count(heat, 'rect'), 4);
+  });
+
+  it('uses theme variables unless a theme is given', () => {
+    assert.ok(std.plot.line([1, 2, 3]).toSVG().includes('var(--fg'));
+    assert.ok(!std.plot.line([1, 2, 3], { theme: 'light' }).toSVG().includes('var(--'));
+  });
+
+  it('rejects data that is not iterable', () => {
+    assert.throws(() => std.plot.line(5), TypeError);
+  });
+});
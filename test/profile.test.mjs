@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startProfile, recordCell, endProfile, profileCounts, TIMED } from '../src/js/profile.js';
+import { scheduleCells } from '../src/js/schedule.js';
+
+describe('recordCell', () => {
+  it('times a run from its start, relative to the pass', () => {
+    const p = startProfile([1], 1000);
+    const e = recordCell(p, 1, 'ran', 1010, 1035);
+    assert.deepEqual(e, { id: 1, start: 10, duration: 25, status: 'ran' });
+    assert.deepEqual(p.cells, [e]);
+  });
+
+  it('records skips as instants at the time they happen', () => {
+    const p = startProfile([1], 1000);
+    for (const status of ['gated', 'norun', 'manual', 'blocked', 'stopped']) recordCell(p, 2, status, undefined, 1040);
+    assert.deepEqual(p.cells.map(e => [e.status, e.start, e.duration]), [
+      ['gated', 40, 0], ['norun', 40, 0], ['manual', 40, 0], ['blocked', 40, 0], ['stopped', 40, 0],
+    ]);
+  });
+
+  it('keeps entries in the order cells finish', () => {
+    const p = startProfile([1, 2], 0);
+    recordCell(p, 2, 'ran', 0, 5);
+    recordCell(p, 1, 'error', 0, 9);
+    recordCell(p, 3, 'interrupted', 5, 12);
+    assert.deepEqual(p.cells.map(e => [e.id, e.status, e.duration]), [[2, 'ran', 5], [1, 'error', 9], [3, 'interrupted', 7]]);
+  });
+});
+
+describe('startProfile / endProfile', () => {
+  it('copies the dirty ids and measures the whole pass', () => {
+    const dirty = [3, 4];
+    const p = startProfile(dirty, 50);
+    dirty.push(5);
+    assert.deepEqual(p, { start: 50, duration: 0, dirty: [3, 4], cells: [] });
+    assert.equal(endProfile(p, 80), p);
+    assert.equal(p.duration, 30);
+  });
+});
+
+describe('profileCounts', () => {
+  it('counts timed statuses as ran and the rest as skipped', () => {
+    const p = startProfile([], 0);
+    for (const status of [...TIMED, 'gated', 'blocked']) recordCell(p, 1, status, 0, 1);
+    assert.deepEqual(profileCounts(p), { timed: 4, skipped: 2 });
+  });
+});
+
+describe('a scheduled pass', () => {
+  it('shows independent branches side by side and dependents after them', async () => {
+    let clock = 0;
+    const cell = (id, uses, defines) => ({ id, uses: new Set(uses), defines: new Set(defines) });
+    const cells = [cell(1, [], ['a']), cell(2, [], ['b']), cell(3, ['a', 'b'], ['c']), cell(4, ['c'], [])];
+    const p = startProfile([1, 2], clock);
+    // real timers keep the order, the clock reads as if they took exactly ms
+    const wait = (t0, ms) => new Promise(r => setTimeout(r, ms)).then(() => { clock = t0 + ms; });
+    await scheduleCells(cells, async (c, ready) => {
+      const { blocked } = await ready();
+      if (blocked) { recordCell(p, c.id, 'blocked', undefined, clock); return { failed: true }; }
+      const t0 = clock;
+      if (c.id === 3) { await wait(t0, 10); recordCell(p, c.id, 'error', t0, clock); return { failed: true }; }
+      await wait(t0, c.id === 1 ? 20 : 10);
+      recordCell(p, c.id, 'ran', t0, clock);
+      return { out: {} };
+    });
+    endProfile(p, clock);
+    assert.deepEqual(p.cells, [
+      { id: 2, start: 0, duration: 10, status: 'ran' },
+      { id: 1, start: 0, duration: 20, status: 'ran' },
+      { id: 3, start: 20, duration: 10, status: 'error' },
+      { id: 4, start: 30, duration: 0, status: 'blocked' },
+    ]);
+    assert.equal(p.duration, 30);
+  });
+});
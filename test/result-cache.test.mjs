@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprint, resultKey, approxSize } from '../src/js/result-cache.js';
+
+const key = (code, inputs) => resultKey(code, Object.entries(inputs));
+
+describe('fingerprint', () => {
+  it('accepts plain data', () => {
+    const v = { a: [1, 'x', null, undefined], m: new Map([[1, new Set([2n])]]), t: new Float64Array(3), d: new Date(0), r: /x/g };
+    assert.ok(fingerprint(v));
+  });
+
+  it('rejects functions and class instances', () => {
+    assert.ok(!fingerprint({ f: () => 1 }));
+    assert.ok(!fingerprint([new (class P {})()]));
+    assert.ok(!fingerprint(Symbol('s')));
+  });
+
+  it('handles cycles', () => {
+    const o = { n: 1 };
+    o.self = o;
+    assert.ok(fingerprint(o));
+  });
+});
+
+describe('resultKey', () => {
+  it('is stable for equal inputs', async () => {
+    const a = await key('x + 1', { x: [1, 2, { y: 3 }] });
+    const b = await key('x + 1', { x: [1, 2, { y: 3 }] });
+    assert.match(a, /^[0-9a-f]{64}$/);
+    assert.equal(a, b);
+  });
+
+  it('changes with the source or any input value', async () => {
+    const base = await key('x + 1', { x: 1 });
+    assert.notEqual(await key('x + 2', { x: 1 }), base);
+    assert.notEqual(await key('x + 1', { x: 2 }), base);
+    assert.notEqual(await key('x + 1', { x: '1' }), base);
+    assert.notEqual(await key('x + 1', { x: -0 }), await key('x + 1', { x: 0 }));
+  });
+
+  it('looks at typed array contents and type', async () => {
+    const a = await key('g', { g: new Float32Array([1, 2]) });
+    assert.equal(await key('g', { g: new Float32Array([1, 2]) }), a);
+    assert.notEqual(await key('g', { g: new Float32Array([1, 3]) }), a);
+    assert.notEqual(await key('g', { g: new Float64Array([1, 2]) }), a);
+  });
+
+  it('is null when an input is not plain data', async () => {
+    assert.equal(await key('f()', { f: () => 1 }), null);
+  });
+});
+
+describe('approxSize', () => {
+  it('counts typed array bytes and string lengths', () => {
+    assert.equal(approxSize({ g: new Float64Array(100) }), 2 + 800);
+    assert.equal(approxSize('abc'), 6);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleCells, mergeScope } from '../src/js/schedule.js';
+
+const cell = (id, uses, defines) => ({ id, uses: new Set(uses), defines: new Set(defines) });
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+// runs each cell as `run(cell, inputs)` once its upstream is ready, logging
+// starts and ends. a blocked cell fails without running
+function pass(cells, run) {
+  const log = [];
+  const seen = {};
+  const done = scheduleCells(cells, async (c, ready) => {
+    const { inputs, blocked } = await ready();
+    seen[c.id] = inputs;
+    if (blocked) { log.push('blocked ' + c.id); return { failed: true }; }
+    log.push('start ' + c.id);
+    const res = await run(c, inputs);
+    log.push('end ' + c.id);
+    return res;
+  });
+  return { log, seen, done };
+}
+
+describe('scheduleCells', () => {
+  it('starts a cell once the cells it reads from have settled', async () => {
+    const cells = [cell(1, [], ['a']), cell(2, ['a'], ['b']), cell(3, ['b'], [])];
+    const { log, seen, done } = pass(cells, async (c, inputs) => {
+      await new Promise(r => setTimeout(r, 5));
+      return { out: c.id === 1 ? { a: 1 } : c.id === 2 ? { b: inputs.a + 1 } : {} };
+    });
+    await done;
+    assert.deepEqual(log, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3']);
+    assert.deepEqual(seen[3], { b: 2 });
+  });
+
+  it('overlaps independent branches', async () => {
+    const gates = { 1: deferred(), 2: deferred() };
+    const cells = [cell(1, [], ['a']), cell(2, [], ['b']), cell(3, ['a', 'b'], [])];
+    const { log, done } = pass(cells, async (c) => {
+      if (gates[c.id]) await gates[c.id].promise;
+      return { out: {} };
+    });
+    await new Promise(r => setTimeout(r, 0));
+    assert.deepEqual(log, ['start 1', 'start 2']);
+    gates[2].resolve();
+    await new Promise(r => setTimeout(r, 0));
+    assert.deepEqual(log, ['start 1', 'start 2', 'end 2']);
+    gates[1].resolve();
+    await done;
+    assert.deepEqual(log.slice(3), ['end 1', 'start 3', 'end 3']);
+  });
+
+  it('blocks everything downstream of a failed cell', async () => {
+    const cells = [cell(1, [], ['a']), cell(2, ['a'], ['b']), cell(3, ['b'], []), cell(4, [], ['c'])];
+    const { log, done } = pass(cells, async (c) => (c.id === 1 ? { failed: true } : { out: {} }));
+    const settled = await done;
+    assert.deepEqual(log.filter(l => l.startsWith('blocked')), ['blocked 2', 'blocked 3']);
+    assert.ok(log.includes('end 4'));
+    assert.deepEqual(settled.map(r => !!r.failed), [true, true, true, false]);
+  });
+
+  it('gives each reader the latest earlier definition of a name', async () => {
+    const cells = [cell(1, [], ['x']), cell(2, ['x'], []), cell(3, [], ['x']), cell(4, ['x'], [])];
+    const slow = deferred();
+    const { seen, done } = pass(cells, async (c) => {
+      if (c.id === 3) { await slow.promise; return { out: { x: 'second' } }; }
+      if (c.id === 1) return { out: { x: 'first' } };
+      return { out: {} };
+    });
+    setTimeout(slow.resolve, 5);
+    const settled = await done;
+    assert.deepEqual(seen[2], { x: 'first' });
+    assert.deepEqual(seen[4], { x: 'second' });
+    assert.deepEqual(mergeScope(settled), { x: 'second' });
+  });
+
+  it('hands every cell its own inputs', async () => {
+    const cells = [cell(1, [], ['x']), cell(2, ['x'], []), cell(3, [], ['x']), cell(4, ['x'], [])];
+    const { seen, done } = pass(cells, async c => ({ out: c.defines.size ? { x: c.id } : {} }));
+    await done;
+    assert.notEqual(seen[2], seen[4]);
+    assert.deepEqual([seen[2], seen[4]], [{ x: 1 }, { x: 3 }]);
+  });
+});
+
+describe('mergeScope', () => {
+  it('lets later cells win and skips undefined values', () => {
+    const scope = mergeScope([{ out: { a: 1, b: 2 } }, {}, { failed: true }, { out: { a: 3, b: undefined } }, { out: null }]);
+    assert.deepEqual(scope, { a: 3, b: 2 });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSafeUrl, keepAttr } from '../src/js/snapshot.js';
+
+describe('isSafeUrl', () => {
+  it('allows relative, http(s) and mailto URLs', () => {
+    assert.ok(isSafeUrl('#section'));
+    assert.ok(isSafeUrl('img/a.png'));
+    assert.ok(isSafeUrl('https://example.com/x'));
+    assert.ok(isSafeUrl('mailto:a@b.c'));
+  });
+
+  it('allows embedded images only', () => {
+    assert.ok(isSafeUrl('data:image/png;base64,iVBOR'));
+    assert.ok(isSafeUrl('data:image/svg+xml,%3Csvg%3E'));
+    assert.ok(!isSafeUrl('data:text/html,<script>alert(1)</script>'));
+  });
+
+  it('rejects script and blob URLs, however they are spelled', () => {
+    assert.ok(!isSafeUrl('javascript:alert(1)'));
+    assert.ok(!isSafeUrl(' JaVa\tScRiPt:alert(1)'));
+    assert.ok(!isSafeUrl('vbscript:msgbox'));
+    assert.ok(!isSafeUrl('blob:https://example.com/1234'));
+  });
+});
+
+describe('keepAttr', () => {
+  it('drops event handlers and ids', () => {
+    assert.ok(!keepAttr('onclick', 'x()'));
+    assert.ok(!keepAttr('ONLOAD', 'x()'));
+    assert.ok(!keepAttr('id', 'out'));
+  });
+
+  it('checks URL attributes', () => {
+    assert.ok(keepAttr('href', 'https://example.com'));
+    assert.ok(!keepAttr('href', 'javascript:void 0'));
+    assert.ok(!keepAttr('xlink:href', 'javascript:void 0'));
+  });
+
+  it('keeps presentational attributes', () => {
+    assert.ok(keepAttr('class', 'inspector'));
+    assert.ok(keepAttr('style', 'color: red'));
+    assert.ok(keepAttr('width', '400'));
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStack, bodyLineOffset } from '../src/js/stack.js';
+
+const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+
+// ── parseStack ──
+
+describe('parseStack', () => {
+  it('maps V8 cell frames to cell lines', () => {
+    const stack = [
+      "TypeError: Cannot read properties of undefined (reading 'z')",
+      '    at boom (auditable://cell-12-helpers.js:6:14)',
+      '    at eval (auditable://cell-3.js:5:11)',
+      '    at execCell (https://example.test/nb.html:3913:51)',
+      '    at async Promise.all (index 1)',
+    ].join('\n');
+    assert.deepEqual(parseStack(stack, 3), [
+      { fn: 'boom', cellId: 12, line: 3, col: 14 },
+      { fn: '', cellId: 3, line: 2, col: 11 },
+      { fn: 'execCell', url: 'https://example.test/nb.html', line: 3913, col: 51 },
+    ]);
+  });
+
+  it('reads Firefox and Safari frames', () => {
+    const stack = 'f@auditable://cell-2-worker.js:5:9\nasync*@auditable://cell-2.js:8:1\n@https://esm.sh/x.js:1:2';
+    assert.deepEqual(parseStack(stack, 2), [
+      { fn: 'f', cellId: 2, line: 3, col: 9 },
+      { fn: '', cellId: 2, line: 6, col: 1 },
+      { fn: '', url: 'https://esm.sh/x.js', line: 1, col: 2 },
+    ]);
+  });
+
+  it('skips frames without a location', () => {
+    assert.deepEqual(parseStack('Error: x\n    at new Promise (<anonymous>)', 3), []);
+    assert.deepEqual(parseStack(undefined, 3), []);
+  });
+
+  it('finds the line in a compiled cell', async () => {
+    const fn = new AsyncFunction('a', 'b', '"use strict";\nconst ok = 1;\n\n  null.x;\n//# sourceURL=auditable://cell-9-n.js');
+    const err = await fn().catch(e => e);
+    const [top] = parseStack(err.stack);
+    assert.equal(top.cellId, 9);
+    assert.equal(top.line, 3);
+    assert.equal(top.col, 8);
+  });
+});
+
+describe('bodyLineOffset', () => {
+  it('is measured from a probe', () => {
+    assert.equal(typeof bodyLineOffset(), 'number');
+    assert.ok(bodyLineOffset() >= 0);
+  });
+});
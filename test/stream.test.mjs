@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { asStream, pumpStream, SUPERSEDED } from '../src/js/stream.js';
+
+// ── asStream ──
+
+describe('asStream', () => {
+  it('takes generators and async generators as they are', () => {
+    const g = (function* () { yield 1; })();
+    const ag = (async function* () { yield 1; })();
+    assert.equal(asStream(g), g);
+    assert.equal(asStream(ag), ag);
+  });
+
+  it('takes the iterator of an async iterable', async () => {
+    const iterable = { async *[Symbol.asyncIterator]() { yield 'a'; } };
+    const iter = asStream(iterable);
+    assert.ok(iter);
+    assert.deepEqual(await iter.next(), { value: 'a', done: false });
+  });
+
+  it('leaves arrays, plain iterators and other values alone', () => {
+    for (const v of [[1, 2], new Map([[1, 2]]).entries(), new Set([1]).values(), 'abc', 3, null, undefined, { next() {} }]) {
+      assert.equal(asStream(v), null);
+    }
+  });
+});
+
+// ── pumpStream ──
+
+// a pump whose frames resolve at once, recording what the hooks see
+function pump(iter, signal) {
+  const seen = { values: [], stopped: [], failed: [] };
+  const done = pumpStream(iter, signal, {
+    frame: () => Promise.resolve(),
+    next: v => { seen.values.push(v); },
+    stopped: r => seen.stopped.push(r),
+    failed: e => seen.failed.push(e),
+  });
+  return { seen, done };
+}
+
+describe('pumpStream', () => {
+  it('passes on every value until the stream ends', async () => {
+    const { seen, done } = pump((function* () { yield 1; yield 2; yield 3; })(), new AbortController().signal);
+    await done;
+    assert.deepEqual(seen, { values: [1, 2, 3], stopped: [], failed: [] });
+  });
+
+  it('stops and closes the iterator on abort', async () => {
+    let closed = false;
+    const ctl = new AbortController();
+    const iter = (function* () { try { for (let i = 0; ; i++) yield i; } finally { closed = true; } })();
+    const seen = { values: [], stopped: [] };
+    await pumpStream(iter, ctl.signal, {
+      frame: () => Promise.resolve(),
+      next: (v) => { seen.values.push(v); if (v === 2) ctl.abort(new DOMException('interrupted', 'AbortError')); },
+      stopped: r => seen.stopped.push(r.message),
+      failed: () => assert.fail('not an error'),
+    });
+    assert.deepEqual(seen, { values: [0, 1, 2], stopped: ['interrupted'] });
+    assert.ok(closed);
+  });
+
+  it('stops quietly when the cell re-ran', async () => {
+    const ctl = new AbortController();
+    const iter = (function* () { for (;;) yield 0; })();
+    const { seen, done } = pump(iter, ctl.signal);
+    ctl.abort(SUPERSEDED);
+    await done;
+    assert.deepEqual(seen.stopped, []);
+    assert.deepEqual(iter.next(), { value: undefined, done: true });
+  });
+
+  it('does not pull from an already aborted signal', async () => {
+    const ctl = new AbortController();
+    ctl.abort(SUPERSEDED);
+    const { seen, done } = pump((function* () { yield 1; })(), ctl.signal);
+    await done;
+    assert.deepEqual(seen, { values: [], stopped: [], failed: [] });
+  });
+
+  it('reports what the stream throws', async () => {
+    const err = new Error('boom');
+    const { seen, done } = pump((async function* () { yield 1; throw err; })(), new AbortController().signal);
+    await done;
+    assert.deepEqual(seen, { values: [1], stopped: [], failed: [err] });
+  });
+
+  it('ignores aborts after the stream ended', async () => {
+    const ctl = new AbortController();
+    const { seen, done } = pump((function* () { yield 1; })(), ctl.signal);
+    await done;
+    ctl.abort(new DOMException('interrupted', 'AbortError'));
+    assert.deepEqual(seen.stopped, []);
+  });
+});
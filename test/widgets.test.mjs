@@ -4,6 +4,7 @@ globalThis.document = { querySelector: () => null, querySelectorAll: () => [] };
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { parseHtmlDefines } from '../src/js/dag.js';
+import { registerWidget, getWidget, widgetNames, widgetForTag } from '../src/js/widget-registry.js';
 
 // ── parseHtmlDefines ──
 
@@ -59,8 +60,67 @@ describe('parseHtmlDefines', () => {
     assert.strictEqual(defines.size, 0);
   });
 
+  it('extracts names from audit-view attributes on any element', () => {
+    const html = '<input type="color" audit-view="tint">\n<my-picker value="3" audit-view="pick"></my-picker>';
+    const defines = parseHtmlDefines(html);
+    assert.ok(defines.has('tint'));
+    assert.ok(defines.has('pick'));
+    assert.strictEqual(defines.size, 2);
+  });
+
   it('handles self-closing style', () => {
     const defines = parseHtmlDefines('<audit-slider name="val" />');
     assert.ok(defines.has('val'));
   });
 });
+
+// ── widget registry ──
+
+describe('widget registry', () => {
+  it('has the built-in widgets', () => {
+    assert.deepStrictEqual(widgetNames().slice(0, 4), ['slider', 'dropdown', 'checkbox', 'textInput']);
+    assert.strictEqual(getWidget('slider').debounce, 80);
+    assert.strictEqual(widgetForTag('AUDIT-TEXT-INPUT').name, 'textInput');
+  });
+
+  it('maps dropdown arguments to a default value and options', () => {
+    const { value, opts } = getWidget('dropdown').args(['a', 'b'], undefined, { id: 'd' });
+    assert.strictEqual(value, 'a');
+    assert.deepStrictEqual(opts, { id: 'd', options: ['a', 'b'] });
+  });
+
+  it('registers extension widgets, whose tags then define names in HTML cells', () => {
+    registerWidget('knob', { tag: 'test-knob', debounce: 50, coerce: Number });
+    assert.strictEqual(getWidget('knob').coerce('3'), 3);
+    assert.ok(widgetNames().includes('knob'));
+    assert.ok(parseHtmlDefines('<test-knob name="gain"></test-knob>').has('gain'));
+  });
+
+  it('rejects reserved names, built-ins and tags without a dash', () => {
+    assert.throws(() => registerWidget('display', { tag: 'x-display' }));
+    assert.throws(() => registerWidget('slider', { tag: 'x-slider' }));
+    assert.throws(() => registerWidget('dial', { tag: 'dial' }));
+  });
+
+  it('has a tag for each of the other built-in widgets, defining names in HTML cells', () => {
+    const html = ['color', 'number', 'date', 'range', 'radio', 'toggles', 'button', 'file', 'textarea', 'xy']
+      .map(n => `<${getWidget(n).tag} name="w_${n}"></${getWidget(n).tag}>`).join('\n');
+    const defines = parseHtmlDefines(html);
+    assert.strictEqual(defines.size, 10);
+    assert.ok(defines.has('w_xy') && defines.has('w_toggles'));
+  });
+
+  it('maps the new widgets\' arguments to defaults and option attributes', () => {
+    assert.strictEqual(getWidget('radio').args(['x', 'y']).value, 'x');
+    assert.deepStrictEqual(getWidget('toggles').args(['x', 'y']).value, []);
+    assert.strictEqual(getWidget('button').args({ id: 'go' }).value, undefined);
+    assert.deepStrictEqual(getWidget('file').attrs({ multiple: true, accept: '.csv' }), { accept: '.csv', multiple: '' });
+    assert.strictEqual(getWidget('file').attrs({}).multiple, null);
+    assert.deepStrictEqual(getWidget('range').attrs({ max: 10 }), { min: 0, max: 10, step: 1 });
+    assert.deepStrictEqual(getWidget('xy').attrs({ xmin: -1 }), { xmin: -1, xmax: 1, ymin: 0, ymax: 1 });
+  });
+
+  it('does not match a tag that only starts with a widget tag', () => {
+    assert.strictEqual(parseHtmlDefines('<audit-slider-group name="x"></audit-slider-group>').size, 0);
+  });
+});